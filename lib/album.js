@@ -0,0 +1,131 @@
+/**
+ * 微信公众号合集（appmsgalbum）页面解析
+ */
+
+import * as cheerio from 'cheerio';
+
+const ALBUM_ITEM_SELECTOR = 'li.album__list-item, .js_album_item';
+
+// 每次滚动到底后等待分页加载的时间（毫秒）
+const ALBUM_SCROLL_INTERVAL = 1500;
+
+/**
+ * 判断是否为合集页面 URL
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isAlbumUrl(url) {
+    try {
+        const parsed = new URL(url);
+        return /(^|\.)mp\.weixin\.qq\.com$/i.test(parsed.hostname)
+            && parsed.pathname.startsWith('/mp/appmsgalbum');
+    } catch (_) {
+        return false;
+    }
+}
+
+/**
+ * 合集条目的发布时间：页面上是 Unix 秒级时间戳，渲染后也可能是日期文本
+ * @param {string} text - 时间文本
+ * @param {Function} parseDate - 日期文本解析函数（如 scraper.parsePublishDate）
+ * @returns {string} ISO 8601 时间，无法解析时返回空字符串
+ */
+function parseAlbumTime(text, parseDate) {
+    const value = String(text || '').trim();
+    if (/^\d{10}$/.test(value)) {
+        return new Date(parseInt(value, 10) * 1000).toISOString();
+    }
+    return value && parseDate ? parseDate(value) : '';
+}
+
+/**
+ * 从 style="background-image: url(...)" 中取出图片地址
+ */
+function backgroundImageUrl(style) {
+    const match = String(style || '').match(/url\(\s*['"]?([^'")]+)['"]?\s*\)/i);
+    return match ? match[1] : '';
+}
+
+/**
+ * 解析合集页面 HTML
+ * @param {string} htmlContent - 页面 HTML
+ * @param {Object} options - { parseDate }
+ * @returns {{album: Object, entries: Array}} 合集信息与按页面顺序排列的文章条目
+ */
+function parseAlbumHtml(htmlContent, options = {}) {
+    const { parseDate } = options;
+    const $ = cheerio.load(htmlContent);
+
+    const album = {
+        title: $('#js_tag_name').text().trim()
+            || $('.album__head-title').text().trim()
+            || $('meta[property="og:title"]').attr('content')
+            || $('title').text().trim()
+            || '',
+        description: $('.album__head-desc').text().trim() || $('meta[property="og:description"]').attr('content') || '',
+        account: $('.album__author-name').text().trim() || '',
+        cover: backgroundImageUrl($('.album__head-img, .album__head-cover').attr('style'))
+            || $('meta[property="og:image"]').attr('content')
+            || ''
+    };
+
+    const entries = [];
+    const seen = new Set();
+    $(ALBUM_ITEM_SELECTOR).each((_i, item) => {
+        const $item = $(item);
+        const url = ($item.attr('data-link') || $item.find('a[href]').attr('href') || '')
+            .replace(/&amp;/g, '&')
+            .replace(/^http:\/\//i, 'https://');
+        if (!url || seen.has(url)) return;
+        seen.add(url);
+
+        const $img = $item.find('.album__item-img');
+        entries.push({
+            position: entries.length + 1,
+            title: ($item.attr('data-title') || $item.find('.album__item-title-wrp, .album__item-title').first().text() || '').trim(),
+            url,
+            publish_time: parseAlbumTime($item.find('.js_article_create_time').first().text(), parseDate),
+            cover: backgroundImageUrl($img.attr('style'))
+                || $img.attr('data-src')
+                || $item.find('img').attr('data-src')
+                || $item.find('img').attr('src')
+                || '',
+            msgid: $item.attr('data-msgid') || '',
+            itemidx: $item.attr('data-itemidx') || ''
+        });
+    });
+
+    return { album, entries };
+}
+
+/**
+ * 从文章页面中找出所属合集的链接（文章顶部的“合集”标签）
+ * @param {string} htmlContent - 文章页面 HTML
+ * @returns {string} 合集 URL，未找到时返回空字符串
+ */
+function findAlbumLink(htmlContent) {
+    const $ = cheerio.load(htmlContent);
+    const href = $('a[href*="/mp/appmsgalbum"]').first().attr('href')
+        || $('[data-url*="/mp/appmsgalbum"]').first().attr('data-url');
+    if (href) {
+        return new URL(href.replace(/&amp;/g, '&'), 'https://mp.weixin.qq.com').toString();
+    }
+
+    // 只有 album_id 时，用页面中的 __biz 拼出合集地址
+    const albumId = $('[data-album_id]').first().attr('data-album_id')
+        || (htmlContent.match(/album_id\s*[:=]\s*['"]?(\d{6,})/) || [])[1];
+    const biz = (htmlContent.match(/var\s+biz\s*=\s*"([^"]+)"/) || [])[1];
+    if (albumId && biz) {
+        return `https://mp.weixin.qq.com/mp/appmsgalbum?__biz=${encodeURIComponent(biz)}&action=getalbum&album_id=${albumId}`;
+    }
+    return '';
+}
+
+export {
+    ALBUM_ITEM_SELECTOR,
+    ALBUM_SCROLL_INTERVAL,
+    isAlbumUrl,
+    parseAlbumHtml,
+    parseAlbumTime,
+    findAlbumLink
+};
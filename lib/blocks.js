@@ -0,0 +1,263 @@
+/**
+ * 结构化块与纯文本输出
+ * - blocks：从清理后的正文 DOM 生成有序的类型化节点数组，下游无需再解析 Markdown
+ * - text：由 blocks 拼出的纯文本，块之间空一行
+ *
+ * 节点类型：
+ *   heading   { level, text }
+ *   paragraph { text, links? }        links 为段落中的 [{ text, href }]
+ *   image     { src, alt, width, height }
+ *   code      { language, text }
+ *   list      { ordered, depth, items }  嵌套列表紧跟在父列表之后，depth 加 1
+ *   table     { header, rows }         header 为首行（th / thead），没有时为 null
+ *   quote     { text }
+ *   link      { text, href }           整段只有一个链接，或音视频、小程序等媒体占位
+ */
+
+import { BLOCK_SELECTOR, headingLevelOf, codeLanguageOf, describeMedia } from './markdown-rules.js';
+
+const BLOCK_TYPES = ['heading', 'paragraph', 'image', 'code', 'list', 'table', 'quote', 'link'];
+
+// 只起分段作用的容器：进入与离开时结束当前段落
+const CONTAINER_TAGS = new Set([
+    'p', 'section', 'div', 'article', 'main', 'header', 'footer', 'figure', 'figcaption',
+    'center', 'hr', 'dl', 'dt', 'dd', 'address', 'details', 'summary'
+]);
+const SKIP_TAGS = new Set(['script', 'style', 'noscript', 'template', 'svg', 'button', 'input', 'select', 'textarea']);
+const MEDIA_TAGS = new Set(['iframe', 'mpvoice', 'mp-common-mpaudio', 'mp-miniprogram', 'mp-common-videosnap', 'mpvideosnap']);
+
+const collapse = text => String(text || '').replace(/\u00a0/g, ' ').replace(/\s+/g, ' ');
+const normalizeText = text => collapse(text).trim();
+
+function toNumber(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) && number > 0 ? Math.round(number) : null;
+}
+
+/**
+ * 图片尺寸：width/height 属性，其次微信的 data-w 与 data-ratio（高/宽）
+ */
+function imageSize(el) {
+    const attribs = el.attribs || {};
+    const width = toNumber(attribs.width) || toNumber(attribs['data-w']);
+    const ratio = parseFloat(attribs['data-ratio']);
+    const height = toNumber(attribs.height) || (width && Number.isFinite(ratio) && ratio > 0 ? Math.round(width * ratio) : null);
+    return { width, height };
+}
+
+function headingLevel($, el) {
+    const tag = el.tagName.toLowerCase();
+    if (/^h[1-6]$/.test(tag)) return Number(tag[1]);
+    if (tag !== 'section' && tag !== 'p') return 0;
+    const node = $(el);
+    // 长段落与含块级子元素的容器不可能是小标题，先排除以免逐个读取后代元素
+    const text = node.text();
+    if (normalizeText(text).length > 40 || node.find(BLOCK_SELECTOR).length > 0) return 0;
+    return headingLevelOf({
+        tag: tag.toUpperCase(),
+        text,
+        hasBlocks: false,
+        elements: [el, ...node.find('*').toArray()].map(child => ({
+            tag: child.tagName.toUpperCase(),
+            style: $(child).attr('style') || '',
+            text: $(child).text()
+        }))
+    });
+}
+
+function isQuoteSection($, el) {
+    return el.tagName.toLowerCase() === 'section'
+        && /border-left\s*:[^;]*[1-9]\d*(?:\.\d+)?px/i.test($(el).attr('style') || '')
+        && $(el).text().trim().length > 0;
+}
+
+/**
+ * 代码块：微信把每一行放在单独的 <code> 中，行号列表单独成 ul
+ */
+function codeBlock($, el) {
+    const pre = $(el);
+    const lines = pre.children('code');
+    const text = lines.length > 1
+        ? lines.toArray().map(line => $(line).text()).join('\n')
+        : pre.text();
+    const classes = [pre.attr('class'), pre.parent().attr('class'), lines.first().attr('class')].filter(Boolean).join(' ');
+    return {
+        type: 'code',
+        language: codeLanguageOf(pre.attr('data-lang') || lines.first().attr('data-lang'), classes),
+        text: text.replace(/\u00a0/g, ' ').replace(/\n+$/, '')
+    };
+}
+
+/**
+ * 列表：条目文字不含嵌套列表，嵌套列表作为独立的 list 块紧跟其后
+ */
+function listBlocks($, el, depth = 0) {
+    const list = { type: 'list', ordered: el.tagName.toLowerCase() === 'ol', depth, items: [] };
+    const nested = [];
+    $(el).children('li').each((_i, li) => {
+        const item = $(li).clone();
+        item.find('ul, ol').remove();
+        list.items.push(normalizeText(item.text()));
+        $(li).find('ul, ol').filter((_j, sub) => $(sub).parent().closest('ul, ol')[0] === el).each((_j, sub) => {
+            nested.push(...listBlocks($, sub, depth + 1));
+        });
+    });
+    return [list, ...nested];
+}
+
+/**
+ * 单元格文字：<br> 保留为换行
+ */
+function cellText($, cell) {
+    const copy = $(cell).clone();
+    copy.find('br').replaceWith('\n');
+    return copy.text().split('\n').map(normalizeText).filter(Boolean).join('\n');
+}
+
+function tableBlock($, el) {
+    const rows = $(el).find('tr').filter((_i, tr) => $(tr).closest('table')[0] === el).toArray()
+        .map(tr => ({
+            header: $(tr).parent().is('thead') || ($(tr).children('th').length > 0 && $(tr).children('td').length === 0),
+            cells: $(tr).children('th, td').toArray().map(cell => cellText($, cell))
+        }));
+    const header = rows.length && rows[0].header ? rows.shift().cells : null;
+    return { type: 'table', header, rows: rows.map(row => row.cells) };
+}
+
+/**
+ * 由正文容器生成块数组
+ * @param {import('cheerio').CheerioAPI} $
+ * @param {import('cheerio').Cheerio} root - 正文容器（已修复懒加载图片、移除无关元素）
+ * @returns {Array<Object>} 按文档顺序排列的块
+ */
+function buildBlocks($, root) {
+    const blocks = [];
+    let text = '';
+    let links = [];
+
+    // 结束当前段落：<br> 保留为换行，其余空白折叠
+    const flush = () => {
+        const paragraph = text.split('\n').map(line => line.trim()).filter(Boolean).join('\n');
+        if (paragraph) {
+            if (links.length === 1 && links[0].text === paragraph) {
+                blocks.push({ type: 'link', text: paragraph, href: links[0].href });
+            } else {
+                blocks.push({ type: 'paragraph', text: paragraph, ...(links.length ? { links } : {}) });
+            }
+        }
+        text = '';
+        links = [];
+    };
+
+    const walk = (node) => {
+        if (node.type === 'text') {
+            text += collapse(node.data);
+            return;
+        }
+        if (node.type !== 'tag' && node.type !== 'script' && node.type !== 'style') return;
+
+        const tag = node.tagName.toLowerCase();
+        const el = $(node);
+        if (SKIP_TAGS.has(tag) || /code-snippet__line-index/.test(el.attr('class') || '')) return;
+
+        if (tag === 'br') {
+            text += '\n';
+            return;
+        }
+        if (tag === 'img') {
+            flush();
+            const src = el.attr('src') || el.attr('data-src') || '';
+            if (src) {
+                blocks.push({ type: 'image', src, alt: el.attr('alt') || '', ...imageSize(node) });
+            }
+            return;
+        }
+        if (MEDIA_TAGS.has(tag)) {
+            flush();
+            const media = describeMedia(tag, name => el.attr(name));
+            if (media && media.url) {
+                blocks.push({ type: 'link', text: media.label, href: media.url });
+            }
+            return;
+        }
+        if (tag === 'pre') {
+            flush();
+            blocks.push(codeBlock($, node));
+            return;
+        }
+        if (tag === 'ul' || tag === 'ol') {
+            flush();
+            blocks.push(...listBlocks($, node).filter(list => list.items.some(Boolean)));
+            return;
+        }
+        if (tag === 'table') {
+            flush();
+            blocks.push(tableBlock($, node));
+            return;
+        }
+        if (tag === 'blockquote' || isQuoteSection($, node)) {
+            flush();
+            const quote = blocksToText(buildBlocks($, el));
+            if (quote) {
+                blocks.push({ type: 'quote', text: quote });
+            }
+            return;
+        }
+        const level = headingLevel($, node);
+        if (level) {
+            flush();
+            const heading = normalizeText(el.text());
+            if (heading) {
+                blocks.push({ type: 'heading', level, text: heading });
+            }
+            return;
+        }
+        if (tag === 'a') {
+            const start = text.length;
+            node.children.forEach(walk);
+            const label = normalizeText(text.slice(start));
+            const href = el.attr('href') || '';
+            if (label && /^(https?:)?\/\//i.test(href)) {
+                links.push({ text: label, href: href.startsWith('//') ? `https:${href}` : href });
+            }
+            return;
+        }
+
+        const container = CONTAINER_TAGS.has(tag) || tag === 'li';
+        if (container) flush();
+        node.children.forEach(walk);
+        if (container) flush();
+    };
+
+    root.toArray().forEach(node => (node.children || []).forEach(walk));
+    flush();
+    return blocks;
+}
+
+/**
+ * 由块数组生成纯文本：块之间空一行，列表保留序号与缩进，表格单元格以制表符分隔，图片省略
+ * @param {Array<Object>} blocks
+ * @returns {string}
+ */
+function blocksToText(blocks) {
+    return blocks.map((block) => {
+        switch (block.type) {
+            case 'list':
+                return block.items
+                    .map((item, index) => `${'  '.repeat(block.depth || 0)}${block.ordered ? `${index + 1}.` : '-'} ${item}`)
+                    .join('\n');
+            case 'table':
+                return [block.header, ...block.rows].filter(Boolean).map(row => row.join('\t')).join('\n');
+            case 'image':
+                return '';
+            default:
+                return block.text || '';
+        }
+    }).filter(Boolean).join('\n\n');
+}
+
+export {
+    BLOCK_TYPES,
+    buildBlocks,
+    blocksToText
+};
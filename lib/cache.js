@@ -0,0 +1,152 @@
+/**
+ * 抓取结果缓存
+ * - MemoryCacheStore: 进程内缓存（默认）
+ * - FileCacheStore: 磁盘缓存，HTTP 部署重启后仍然有效
+ * - ResultCache: 在存储之上实现 TTL 与缓存键
+ */
+
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { articleIdentity } from './urls.js';
+import { hasCaptureFormats } from './capture.js';
+
+/**
+ * 进程内缓存，超过 maxEntries 时淘汰最早写入的条目
+ */
+class MemoryCacheStore {
+    constructor({ maxEntries = 500 } = {}) {
+        this.name = 'memory';
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        return entry ? structuredClone(entry) : null;
+    }
+
+    async set(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, structuredClone(entry));
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+}
+
+/**
+ * 磁盘缓存：每个条目一个 JSON 文件（文件名为缓存键的 sha1）
+ */
+class FileCacheStore {
+    constructor({ dir = '.cache/wechat-scraper' } = {}) {
+        this.name = 'file';
+        this.dir = path.resolve(dir);
+    }
+
+    filePath(key) {
+        return path.join(this.dir, `${createHash('sha1').update(key).digest('hex')}.json`);
+    }
+
+    async get(key) {
+        try {
+            const entry = JSON.parse(await fs.readFile(this.filePath(key), 'utf-8'));
+            return entry && entry.key === key ? entry : null;
+        } catch (_) {
+            // 文件不存在或已损坏都视为未命中
+            return null;
+        }
+    }
+
+    async set(key, entry) {
+        await fs.mkdir(this.dir, { recursive: true });
+        const target = this.filePath(key);
+        const tmp = `${target}.${process.pid}.tmp`;
+        await fs.writeFile(tmp, JSON.stringify({ ...entry, key }), 'utf-8');
+        await fs.rename(tmp, target);
+    }
+
+    async delete(key) {
+        await fs.rm(this.filePath(key), { force: true });
+    }
+}
+
+/**
+ * 带 TTL 的结果缓存
+ */
+class ResultCache {
+    /**
+     * @param {Object} options
+     * @param {Object} options.store - 缓存存储（需实现 get/set/delete）
+     * @param {number} options.ttl - 有效期（秒）
+     */
+    constructor({ store = new MemoryCacheStore(), ttl = 3600 } = {}) {
+        this.store = store;
+        this.ttl = ttl;
+    }
+
+    /**
+     * 缓存键：文章身份 + 影响输出的选项（PDF/截图的纸张与浮层选项仅在请求了这些格式时计入）
+     */
+    keyFor(url, { formats = ['markdown', 'html'], images = 'remote', pageSize = 'A4', hideOverlays = true, includeEngagement = false } = {}) {
+        let key = `${articleIdentity(url)}|${[...formats].sort().join(',')}|${images}`;
+        if (hasCaptureFormats(formats)) {
+            key += `|${pageSize}|${hideOverlays !== false}`;
+        }
+        return includeEngagement ? `${key}|engagement` : key;
+    }
+
+    /**
+     * 读取未过期的条目
+     * @returns {Promise<{value: Object, storedAt: number, ageMs: number}|null>}
+     */
+    async get(key) {
+        const entry = await this.store.get(key);
+        if (!entry) return null;
+        const ageMs = Date.now() - entry.storedAt;
+        if (ageMs > this.ttl * 1000) {
+            await this.store.delete(key);
+            return null;
+        }
+        return { value: entry.value, storedAt: entry.storedAt, ageMs };
+    }
+
+    async set(key, value) {
+        await this.store.set(key, { value, storedAt: Date.now() });
+    }
+}
+
+/**
+ * 从环境变量创建结果缓存
+ * - CACHE_STORE: memory（默认）| file | none
+ * - CACHE_TTL: 有效期（秒），默认 3600，0 表示关闭
+ * - CACHE_DIR: file 模式下的缓存目录
+ * @returns {ResultCache|null}
+ */
+function createResultCacheFromEnv(env = process.env) {
+    const type = (env.CACHE_STORE || 'memory').trim().toLowerCase();
+    const ttl = env.CACHE_TTL !== undefined ? parseInt(env.CACHE_TTL, 10) : 3600;
+    if (type === 'none' || !(ttl > 0)) {
+        return null;
+    }
+    switch (type) {
+        case 'memory':
+            return new ResultCache({ store: new MemoryCacheStore(), ttl });
+        case 'file':
+            return new ResultCache({ store: new FileCacheStore({ dir: env.CACHE_DIR }), ttl });
+        default:
+            throw new Error(`未知的缓存类型: ${env.CACHE_STORE}（可选: memory, file, none）`);
+    }
+}
+
+export {
+    articleIdentity,
+    MemoryCacheStore,
+    FileCacheStore,
+    ResultCache,
+    createResultCacheFromEnv
+};
@@ -0,0 +1,88 @@
+/**
+ * 页面视觉存档：PDF 与整页截图
+ * - 使用抓取时已经打开、已滚动加载完图片的 Puppeteer 页面，保留页面渲染时的样子
+ * - 可隐藏微信底部工具栏、二维码浮层等遮挡正文的元素
+ */
+
+const CAPTURE_FORMATS = ['pdf', 'screenshot'];
+
+const PAGE_SIZES = ['A3', 'A4', 'A5', 'Letter', 'Legal', 'Tabloid'];
+
+// 微信文章页的浮层：底部工具栏、未登录提示条、PC 端二维码、弹窗遮罩
+const WECHAT_OVERLAY_SELECTORS = [
+    '#js_pc_qr_code',
+    '.qr_code_pc_outer',
+    '.qr_code_pc',
+    '#unlogin_bottom_bar',
+    '.unlogin_bottom_bar',
+    '#js_bottom_bar',
+    '.wx_bottom_modal_wrp',
+    '.wx_follow_bar',
+    '.weui-dialog',
+    '.weui-mask',
+    '#js_top_ad_area'
+];
+
+/**
+ * 是否请求了需要浏览器页面的格式
+ * @param {Array<string>} formats
+ * @returns {boolean}
+ */
+function hasCaptureFormats(formats = []) {
+    return formats.some(format => CAPTURE_FORMATS.includes(format));
+}
+
+/**
+ * 校验并补全截图选项
+ * @param {Object} options
+ * @param {string} options.pageSize - PDF 纸张大小，默认 A4
+ * @param {boolean} options.hideOverlays - 是否隐藏微信浮层，默认 true
+ * @returns {{pageSize: string, hideOverlays: boolean}}
+ */
+function normalizeCaptureOptions({ pageSize = 'A4', hideOverlays = true } = {}) {
+    const size = PAGE_SIZES.find(item => item.toLowerCase() === String(pageSize).toLowerCase());
+    if (!size) {
+        throw new Error(`不支持的纸张大小: ${pageSize}（可选: ${PAGE_SIZES.join(', ')}）`);
+    }
+    return { pageSize: size, hideOverlays: hideOverlays !== false };
+}
+
+/**
+ * 在已加载的页面上生成 PDF / 截图
+ * @param {import('puppeteer-core').Page} page - 已完成懒加载滚动的页面
+ * @param {Array<string>} formats - 只处理其中的 pdf / screenshot
+ * @param {Object} options - 见 normalizeCaptureOptions
+ * @returns {Promise<Object>} { pdf?: base64, screenshot?: base64 }
+ */
+async function capturePage(page, formats, options = {}) {
+    const { pageSize, hideOverlays } = normalizeCaptureOptions(options);
+    const captures = {};
+    if (!hasCaptureFormats(formats)) {
+        return captures;
+    }
+
+    if (hideOverlays) {
+        await page.addStyleTag({ content: `${WECHAT_OVERLAY_SELECTORS.join(', ')} { display: none !important; }` });
+    }
+
+    if (formats.includes('screenshot')) {
+        captures.screenshot = Buffer.from(await page.screenshot({ fullPage: true, type: 'png' })).toString('base64');
+    }
+    if (formats.includes('pdf')) {
+        captures.pdf = Buffer.from(await page.pdf({
+            format: pageSize,
+            printBackground: true,
+            margin: { top: '12mm', bottom: '12mm', left: '10mm', right: '10mm' }
+        })).toString('base64');
+    }
+    return captures;
+}
+
+export {
+    CAPTURE_FORMATS,
+    PAGE_SIZES,
+    WECHAT_OVERLAY_SELECTORS,
+    hasCaptureFormats,
+    normalizeCaptureOptions,
+    capturePage
+};
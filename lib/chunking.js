@@ -0,0 +1,308 @@
+/**
+ * 面向 LLM / RAG 的正文分块
+ * - 以 Markdown 标题为边界分节，块不跨越标题
+ * - 每块不超过字符（maxChars）或估算 token（maxTokens）预算，相邻块之间保留 overlap 的重叠
+ * - 围栏代码块与表格不会被拆开，超出预算时单独成块
+ * - 每块带标题路径、序号、在 Markdown 中的字符偏移，以及文章的规范元数据
+ */
+
+const DEFAULT_MAX_CHARS = 2000;
+const DEFAULT_OVERLAP = 200;
+
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})/;
+const HEADING_PATTERN = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const TABLE_PATTERN = /^\s*\|/;
+// 拆分过长段落时优先在句末标点、换行或空白之后断开
+const BREAK_CHARS = /[。！？!?；;，、\s]/;
+const CJK_PATTERN = /[\u3000-\u303f\u3400-\u9fff\uf900-\ufaff\uff00-\uffef]/;
+
+/**
+ * 估算 token 数：中日韩字符按 1 个 token，其余按 4 个字符 1 个 token
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+    let cjk = 0;
+    let other = 0;
+    for (const char of String(text || '')) {
+        if (CJK_PATTERN.test(char)) cjk++;
+        else other++;
+    }
+    return cjk + Math.ceil(other / 4);
+}
+
+/**
+ * 校验并补全分块选项
+ * @param {Object} options
+ * @param {number} options.maxChars - 每块最大字符数，默认 2000（设置 maxTokens 时忽略）
+ * @param {number} options.maxTokens - 每块最大估算 token 数（可选）
+ * @param {number} options.overlap - 相邻块重叠的字符数（或 token 数，与预算单位一致），默认 200
+ * @returns {{maxChars: number|null, maxTokens: number|null, overlap: number}}
+ */
+function normalizeChunkOptions({ maxChars = DEFAULT_MAX_CHARS, maxTokens = null, overlap = DEFAULT_OVERLAP } = {}) {
+    const budget = maxTokens !== null && maxTokens !== undefined ? Number(maxTokens) : Number(maxChars);
+    if (!Number.isFinite(budget) || budget <= 0) {
+        throw new Error(`分块预算必须是正数: ${maxTokens ?? maxChars}`);
+    }
+    const overlapSize = Number(overlap) || 0;
+    if (overlapSize < 0 || overlapSize >= budget) {
+        throw new Error(`overlap (${overlap}) 必须小于分块预算 (${budget})`);
+    }
+    return {
+        maxChars: maxTokens !== null && maxTokens !== undefined ? null : budget,
+        maxTokens: maxTokens !== null && maxTokens !== undefined ? budget : null,
+        overlap: overlapSize
+    };
+}
+
+/**
+ * 把 Markdown 切成块级单元，记录在原文中的偏移
+ * @returns {Array<{type: string, start: number, end: number, level?: number, title?: string}>}
+ */
+function parseUnits(markdown) {
+    const lines = [];
+    let offset = 0;
+    for (const text of markdown.split('\n')) {
+        lines.push({ text, start: offset, end: offset + text.length });
+        offset += text.length + 1;
+    }
+
+    const units = [];
+    let i = 0;
+    while (i < lines.length) {
+        const line = lines[i];
+        if (!line.text.trim()) {
+            i++;
+            continue;
+        }
+
+        const fence = line.text.match(FENCE_PATTERN);
+        if (fence) {
+            const marker = fence[1];
+            let j = i + 1;
+            while (j < lines.length && !new RegExp(`^ {0,3}${marker[0] === '`' ? '`' : '~'}{${marker.length},}\\s*$`).test(lines[j].text)) j++;
+            const last = Math.min(j, lines.length - 1);
+            units.push({ type: 'code', start: line.start, end: lines[last].end });
+            i = last + 1;
+            continue;
+        }
+
+        const heading = line.text.match(HEADING_PATTERN);
+        if (heading) {
+            units.push({ type: 'heading', start: line.start, end: line.end, level: heading[1].length, title: heading[2].trim() });
+            i++;
+            continue;
+        }
+
+        if (TABLE_PATTERN.test(line.text)) {
+            let j = i;
+            while (j + 1 < lines.length && TABLE_PATTERN.test(lines[j + 1].text)) j++;
+            units.push({ type: 'table', start: line.start, end: lines[j].end });
+            i = j + 1;
+            continue;
+        }
+
+        let j = i;
+        while (j + 1 < lines.length) {
+            const next = lines[j + 1].text;
+            if (!next.trim() || FENCE_PATTERN.test(next) || HEADING_PATTERN.test(next) || TABLE_PATTERN.test(next)) break;
+            j++;
+        }
+        units.push({ type: 'paragraph', start: line.start, end: lines[j].end });
+        i = j + 1;
+    }
+    return units;
+}
+
+/**
+ * 在 (start, limit] 内找断点：从 limit 往前找最近的句末标点、逗号或空白之后的位置；
+ * 断点太靠前（不到一半）时直接在 limit 处硬切，避免产生过短的片段
+ */
+function breakPoint(markdown, start, limit) {
+    const minimum = start + Math.floor((limit - start) / 2);
+    for (let pos = limit; pos > minimum; pos--) {
+        if (BREAK_CHARS.test(markdown[pos - 1])) {
+            return pos;
+        }
+    }
+    return limit;
+}
+
+/**
+ * 从 start 起向后，在预算内能放下的最远位置
+ */
+function fitEnd(markdown, start, end, budget, measure) {
+    let low = start + 1;
+    let high = end;
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (measure(markdown.slice(start, mid)) <= budget) low = mid;
+        else high = mid - 1;
+    }
+    return low;
+}
+
+/**
+ * 重叠部分的起点：取上一块末尾的段落文字（代码块与表格不参与重叠），尽量从断句处开始
+ * @returns {number|null} 没有可重叠的内容时返回 null
+ */
+function overlapStart(markdown, previous, overlap, measure) {
+    const last = previous[previous.length - 1];
+    if (!overlap || !last || last.type !== 'paragraph') return null;
+    let start = last.end;
+    while (start > last.start && measure(markdown.slice(start - 1, last.end)) <= overlap) start--;
+    if (start === last.end) return null;
+    if (start > last.start) {
+        let boundary = start;
+        while (boundary < last.end && !BREAK_CHARS.test(markdown[boundary])) boundary++;
+        if (boundary + 1 < last.end) {
+            start = boundary + 1;
+        }
+        while (start < last.end && /\s/.test(markdown[start])) start++;
+    }
+    return start < last.end ? start : null;
+}
+
+/**
+ * 按标题与预算分块
+ * - 段落放不下时从当前块剩余的空间处断开，剩余部分进入下一块
+ * - 代码块与表格放不下时整体移到下一块，本身超出预算时单独成块
+ * - 标题行总是和它后面的内容放在同一块
+ * @param {string} markdown - 转换后的 Markdown
+ * @param {Object} options - 见 normalizeChunkOptions
+ * @returns {Array<Object>} 块：{ ordinal, total, headingPath, start, end, overlap, chars, tokens, text }；start/end 为 markdown 中的字符偏移，overlap 为开头与上一块重复的字符数
+ */
+function chunkMarkdown(markdown, options = {}) {
+    const { maxChars, maxTokens, overlap } = normalizeChunkOptions(options);
+    const source = String(markdown || '');
+    const budget = maxTokens || maxChars;
+    const measure = maxTokens ? estimateTokens : text => text.length;
+    const fits = (start, end) => measure(source.slice(start, end)) <= budget;
+
+    // 按标题分节
+    const sections = [];
+    const headingStack = [];
+    let section = { headingPath: [], units: [] };
+    for (const unit of parseUnits(source)) {
+        if (unit.type === 'heading') {
+            if (section.units.length) sections.push(section);
+            while (headingStack.length && headingStack[headingStack.length - 1].level >= unit.level) headingStack.pop();
+            headingStack.push(unit);
+            section = { headingPath: headingStack.map(heading => heading.title), units: [unit] };
+        } else {
+            section.units.push(unit);
+        }
+    }
+    if (section.units.length) sections.push(section);
+
+    const chunks = [];
+    for (const { headingPath, units } of sections) {
+        let current = [];
+        let start = null;
+
+        const emit = () => {
+            const end = current[current.length - 1].end;
+            const text = source.slice(start, end);
+            chunks.push({
+                ordinal: chunks.length + 1,
+                headingPath,
+                start,
+                end,
+                overlap: current[0].start - start,
+                chars: text.length,
+                tokens: estimateTokens(text),
+                text
+            });
+        };
+
+        // 开始新块：带上上一块末尾的重叠文字（需给下一段内容留出空间）
+        const restart = (next) => {
+            const previous = current;
+            emit();
+            current = [];
+            start = next.start;
+            const shared = overlapStart(source, previous, overlap, measure);
+            if (shared !== null && (next.type === 'paragraph' ? measure(source.slice(shared, next.start)) <= budget / 2 : fits(shared, next.end))) {
+                start = shared;
+            }
+        };
+
+        const queue = [...units];
+        while (queue.length) {
+            const unit = queue.shift();
+            if (start === null) {
+                start = unit.start;
+            }
+            const onlyHeading = current.length === 1 && current[0].type === 'heading';
+            if (!current.length || fits(start, unit.end) || (onlyHeading && unit.type !== 'paragraph')) {
+                if (unit.type !== 'paragraph' || fits(start, unit.end)) {
+                    current.push(unit);
+                    continue;
+                }
+            }
+
+            if (unit.type === 'paragraph') {
+                // 用当前块剩余的空间装下段落的前半部分；剩余空间太小时直接换块
+                const limit = fitEnd(source, start, unit.end, budget, measure);
+                const room = measure(source.slice(unit.start, limit));
+                if (limit > unit.start && (room >= budget / 4 || !current.length || onlyHeading)) {
+                    const end = breakPoint(source, unit.start, limit);
+                    let rest = end;
+                    while (rest < unit.end && /\s/.test(source[rest])) rest++;
+                    current.push({ type: 'paragraph', start: unit.start, end });
+                    if (rest < unit.end) {
+                        const remainder = { type: 'paragraph', start: rest, end: unit.end };
+                        restart(remainder);
+                        queue.unshift(remainder);
+                    }
+                    continue;
+                }
+            }
+
+            restart(unit);
+            current.push(unit);
+        }
+        if (current.length) emit();
+    }
+
+    return chunks.map(chunk => ({ ...chunk, total: chunks.length }));
+}
+
+/**
+ * 文章的规范元数据，附在每个块上便于入库后追溯来源
+ */
+function articleReference(result) {
+    const metadata = result.metadata || {};
+    return {
+        title: metadata.title || '',
+        author: metadata.author || '',
+        account_name: metadata.account_name || '',
+        published_date: metadata.published_date || '',
+        url: metadata.canonical_url || result.url || '',
+        article_id: metadata.article_id || ''
+    };
+}
+
+/**
+ * 对抓取结果的 Markdown 分块
+ * @param {Object} result - 抓取结果（需包含 data.markdown）
+ * @param {Object} options - 见 normalizeChunkOptions
+ * @returns {Array<Object>} 带 article 字段的块
+ */
+function chunkArticle(result, options = {}) {
+    const markdown = result && result.data && result.data.markdown;
+    if (typeof markdown !== 'string') {
+        throw new Error('分块需要 markdown 格式的内容');
+    }
+    const article = articleReference(result);
+    return chunkMarkdown(markdown, options).map(chunk => ({ ...chunk, article }));
+}
+
+export {
+    DEFAULT_MAX_CHARS,
+    DEFAULT_OVERLAP,
+    estimateTokens,
+    normalizeChunkOptions,
+    chunkMarkdown,
+    chunkArticle
+};
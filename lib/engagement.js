@@ -0,0 +1,192 @@
+/**
+ * 文章互动数据：阅读数、点赞、“在看”与精选留言
+ * - 页面在加载与滚动时通过 getappmsgext、appmsg_comment 两个接口异步获取这些数据
+ * - 只能从浏览器页面的网络响应中截获，会话没有权限（未登录、已关闭留言等）时接口不返回或返回错误码
+ * - 数据不可用时返回 { available: false, reason }，不影响正文抓取
+ */
+
+const ENGAGEMENT_ENDPOINTS = {
+    stats: /\/mp\/getappmsgext\b/,
+    comments: /\/mp\/appmsg_comment\b/
+};
+
+// 等待响应体读取完成的最长时间
+const DEFAULT_BODY_TIMEOUT = 5000;
+// 滚动到底部后等待互动数据接口响应的最长时间
+const DEFAULT_RESPONSE_TIMEOUT = 5000;
+
+function toCount(value) {
+    const number = Number(value);
+    return Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+function toIsoTime(seconds) {
+    const number = Number(seconds);
+    return Number.isFinite(number) && number > 0 ? new Date(number * 1000).toISOString() : '';
+}
+
+function parsePayload(text) {
+    try {
+        return JSON.parse(text);
+    } catch (_) {
+        return null;
+    }
+}
+
+/**
+ * 接口返回的错误码（base_resp.ret 非 0 表示没有权限或参数失效）
+ */
+function errorCodeOf(payload) {
+    const ret = payload && payload.base_resp ? Number(payload.base_resp.ret) : 0;
+    return ret ? ret : 0;
+}
+
+/**
+ * 解析 getappmsgext：appmsgstat 中 read_num 为阅读数，old_like_num 为点赞，like_num 为“在看”
+ * @returns {Object|null}
+ */
+function parseStats(payload) {
+    const stat = payload && payload.appmsgstat;
+    if (!stat) return null;
+    return {
+        read_count: toCount(stat.read_num),
+        like_count: toCount(stat.old_like_num),
+        wow_count: toCount(stat.like_num),
+        share_count: toCount(stat.share_num ?? payload.share_num)
+    };
+}
+
+function parseReply(reply) {
+    return {
+        nickname: reply.nick_name || '',
+        content: reply.content || '',
+        likes: toCount(reply.reply_like_num ?? reply.like_num) || 0,
+        created_at: toIsoTime(reply.create_time),
+        // 旧版 reply 只包含作者回复，没有昵称
+        from_author: reply.is_from === 2 || !reply.nick_name
+    };
+}
+
+/**
+ * 解析 appmsg_comment：elected_comment 为精选留言，回复在 reply_new（新版）或 reply（旧版）中
+ * @returns {Object|null}
+ */
+function parseComments(payload) {
+    if (!payload || !Array.isArray(payload.elected_comment)) return null;
+    const comments = payload.elected_comment.map((comment) => {
+        const replyList = (comment.reply_new && comment.reply_new.reply_list) || (comment.reply && comment.reply.reply_list) || [];
+        return {
+            nickname: comment.nick_name || '',
+            content: comment.content || '',
+            likes: toCount(comment.like_num) || 0,
+            created_at: toIsoTime(comment.create_time),
+            ...(comment.ip_wording && comment.ip_wording.province_name ? { ip_location: comment.ip_wording.province_name } : {}),
+            replies: replyList.map(parseReply)
+        };
+    });
+    return {
+        comment_count: toCount(payload.elected_comment_total_cnt) ?? comments.length,
+        comments
+    };
+}
+
+/**
+ * 由截获的接口响应整理互动数据
+ * @param {Array<{type: 'stats'|'comments', url: string, text: string}>} payloads
+ * @returns {Object} engagement
+ */
+function buildEngagement(payloads) {
+    const engagement = { available: false, sources: [] };
+    const errors = [];
+    for (const { type, text } of payloads) {
+        const payload = parsePayload(text);
+        if (!payload) {
+            errors.push(`${type}: 响应不是 JSON`);
+            continue;
+        }
+        const code = errorCodeOf(payload);
+        if (code) {
+            errors.push(`${type}: ret=${code}`);
+            continue;
+        }
+        const parsed = type === 'stats' ? parseStats(payload) : parseComments(payload);
+        if (!parsed) {
+            errors.push(`${type}: 缺少数据字段`);
+            continue;
+        }
+        Object.assign(engagement, parsed);
+        engagement.available = true;
+        if (!engagement.sources.includes(type)) {
+            engagement.sources.push(type);
+        }
+    }
+    if (!engagement.available) {
+        engagement.reason = errors.length
+            ? `互动数据接口不可用 (${errors.join('; ')})`
+            : '页面未请求互动数据接口（可能需要登录态，或文章已关闭留言与统计）';
+    } else if (errors.length) {
+        engagement.warnings = errors;
+    }
+    return engagement;
+}
+
+/**
+ * 在页面上监听互动数据接口的响应；需在导航前调用
+ * @param {import('puppeteer-core').Page} page
+ * @param {Object} options
+ * @param {number} options.bodyTimeout - 读取响应体的超时（毫秒）
+ * @param {number} options.responseTimeout - waitForData 等待接口响应的超时（毫秒）
+ * @returns {{waitForData: Function, finish: Function}} waitForData() 等待尚未出现的接口响应；finish() 停止监听并返回 engagement
+ */
+function createEngagementRecorder(page, { bodyTimeout = DEFAULT_BODY_TIMEOUT, responseTimeout = DEFAULT_RESPONSE_TIMEOUT } = {}) {
+    const pending = [];
+    const seen = new Set();
+    const onResponse = (response) => {
+        const url = response.url();
+        const type = Object.keys(ENGAGEMENT_ENDPOINTS).find(key => ENGAGEMENT_ENDPOINTS[key].test(url));
+        if (!type) return;
+        seen.add(type);
+        // 预检请求与重定向没有响应体，读取失败时忽略
+        pending.push(response.text().then(text => ({ type, url, text }), () => null));
+    };
+    page.on('response', onResponse);
+
+    return {
+        /**
+         * 等待还没出现过的互动数据接口中任意一个响应（都已出现时立即返回）
+         * @returns {Promise<boolean>} 超时（会话没有权限时接口往往不会请求）返回 false
+         */
+        async waitForData() {
+            const missing = Object.keys(ENGAGEMENT_ENDPOINTS).filter(type => !seen.has(type));
+            if (!missing.length) return true;
+            try {
+                await page.waitForResponse(
+                    response => missing.some(type => ENGAGEMENT_ENDPOINTS[type].test(response.url())),
+                    { timeout: responseTimeout }
+                );
+                return true;
+            } catch (_) {
+                return false;
+            }
+        },
+
+        async finish() {
+            page.off('response', onResponse);
+            // 超时未读完的响应体按读取失败处理，已读到的照常解析
+            let timer;
+            const deadline = new Promise(resolve => {
+                timer = setTimeout(() => resolve(null), bodyTimeout);
+            });
+            const payloads = await Promise.all(pending.map(read => Promise.race([read, deadline])));
+            clearTimeout(timer);
+            return buildEngagement(payloads.filter(Boolean));
+        }
+    };
+}
+
+export {
+    ENGAGEMENT_ENDPOINTS,
+    DEFAULT_RESPONSE_TIMEOUT,
+    buildEngagement,
+    createEngagementRecorder
+};
@@ -0,0 +1,328 @@
+/**
+ * EPUB3 导出
+ * - 单篇或多篇文章打包为一本书：章节按发布时间排序，目录（nav.xhtml + toc.ncx）与之对应
+ * - 正文图片全部内嵌（远程图片会下载，download 模式的 assets 与 data URI 直接使用），失败的图片以替代文字代替
+ * - 书籍元数据取自 extractMetadata，封面取第一篇文章的封面图
+ */
+
+import * as cheerio from 'cheerio';
+import { createHash } from 'crypto';
+import { createZip } from './zip.js';
+import { downloadImage, imageExtension, imageMimeType, hashBuffer } from './images.js';
+
+const CONTAINER_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`;
+
+const STYLESHEET = `body { font-family: serif; line-height: 1.7; margin: 0 1em; }
+h1 { font-size: 1.5em; line-height: 1.3; margin: 1em 0 0.5em; }
+p.meta, p.source { color: #666; font-size: 0.85em; }
+img { max-width: 100%; height: auto; }
+section, p { margin: 0.6em 0; }
+pre, code { font-family: monospace; white-space: pre-wrap; word-break: break-all; }
+blockquote { border-left: 3px solid #ccc; margin: 1em 0; padding-left: 1em; color: #555; }
+table { border-collapse: collapse; } td, th { border: 1px solid #ccc; padding: 0.3em; }
+.cover { text-align: center; margin: 0; } .cover img { max-height: 100%; }
+`;
+
+// 阅读器无法处理或无意义的元素
+const REMOVED_ELEMENTS = 'script, style, noscript, iframe, object, embed, form, input, button, select, textarea, svg, canvas, video, audio';
+
+const escapeXml = value => String(value === undefined || value === null ? '' : value)
+    .replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&apos;' })[char]);
+
+/**
+ * cheerio 的 XML 输出会把非 ASCII 字符转成数字实体，还原为 UTF-8 字符（XML 特殊字符除外）
+ */
+function decodeNumericEntities(xml) {
+    return xml.replace(/&#x([0-9a-f]+);/gi, (entity, hex) => {
+        const code = parseInt(hex, 16);
+        if ([0x22, 0x26, 0x27, 0x3c, 0x3e].includes(code) || code < 0x20) return entity;
+        return String.fromCodePoint(code);
+    });
+}
+
+/**
+ * 章节顺序：按发布时间升序，没有发布时间的排在最后（保持输入顺序）
+ * @param {Array<Object>} results - 抓取结果
+ * @returns {Array<Object>}
+ */
+function orderArticles(results) {
+    const time = result => {
+        const value = Date.parse((result.metadata && result.metadata.published_date) || '');
+        return Number.isNaN(value) ? Infinity : value;
+    };
+    return results
+        .map((result, index) => ({ result, index }))
+        .sort((a, b) => (time(a.result) - time(b.result)) || (a.index - b.index))
+        .map(({ result }) => result);
+}
+
+/**
+ * 图片来源归一化：协议相对地址补全为 https
+ */
+function normalizeImageSrc(src) {
+    const value = String(src || '').trim();
+    return value.startsWith('//') ? `https:${value}` : value;
+}
+
+/**
+ * 读取单张图片：data URI、download 模式的本地资源或远程地址
+ * @returns {Promise<{buffer: Buffer, extension: string}>}
+ */
+async function loadImage(src, assets, { fetchImpl }) {
+    const dataUri = /^data:image\/([\w+.-]+);base64,(.*)$/i.exec(src);
+    if (dataUri) {
+        const buffer = Buffer.from(dataUri[2], 'base64');
+        return { buffer, extension: imageExtension('data:', `image/${dataUri[1]}`) };
+    }
+    const asset = assets.get(src);
+    if (asset) {
+        return { buffer: Buffer.from(asset.data, 'base64'), extension: asset.file.split('.').pop() };
+    }
+    if (!/^https?:\/\//i.test(src)) {
+        throw new Error('不支持的图片地址');
+    }
+    const { buffer, contentType } = await downloadImage(src, { fetchImpl });
+    return { buffer, extension: imageExtension(src, contentType) };
+}
+
+/**
+ * 把正文 HTML 整理为 XHTML 片段，图片改为包内路径
+ * @param {string} html - 正文 HTML
+ * @param {Map<string, Object|null>} images - 图片地址 -> 包内资源（null 表示获取失败）
+ * @returns {string}
+ */
+function toXhtml(html, images = new Map()) {
+    const $ = cheerio.load(html || '', null, false);
+    $(REMOVED_ELEMENTS).remove();
+    $('img').each((_i, img) => {
+        const $img = $(img);
+        const image = images.get(normalizeImageSrc($img.attr('src')));
+        if (!image) {
+            const alt = ($img.attr('alt') || '').trim();
+            $img.replaceWith(alt ? `<span class="missing-image">[图片：${escapeXml(alt)}]</span>` : '');
+            return;
+        }
+        $img.attr('src', `../${image.href}`);
+        if (!$img.attr('alt')) $img.attr('alt', '');
+    });
+    // 自定义元素（如 mp-style-type）不是合法的 XHTML，保留其内容
+    $('*').each((_i, el) => {
+        if (el.tagName && el.tagName.includes('-')) {
+            $(el).replaceWith($(el).contents());
+        }
+    });
+    $('*').each((_i, el) => {
+        for (const name of Object.keys(el.attribs || {})) {
+            if (name.startsWith('data-') || name.startsWith('on') || !/^[a-zA-Z_][\w.-]*$/.test(name)) {
+                $(el).removeAttr(name);
+            }
+        }
+    });
+    return decodeNumericEntities($.xml());
+}
+
+function xhtmlDocument(title, body, language) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${escapeXml(language)}" lang="${escapeXml(language)}">
+<head>
+  <meta charset="UTF-8"/>
+  <title>${escapeXml(title)}</title>
+  <link rel="stylesheet" type="text/css" href="../style.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * 发布日期（YYYY-MM-DD，按北京时间）
+ */
+function displayDate(value) {
+    const date = new Date(value || '');
+    return Number.isNaN(date.getTime()) ? '' : date.toLocaleDateString('sv-SE', { timeZone: 'Asia/Shanghai' });
+}
+
+/**
+ * 书籍标识：由文章身份生成，同一组文章重复导出得到相同的标识
+ */
+function bookIdentifier(articles) {
+    const hex = createHash('sha1')
+        .update(articles.map(result => (result.metadata && result.metadata.article_id) || result.url).join('\n'))
+        .digest('hex');
+    return `urn:uuid:${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-a${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+/**
+ * 生成 EPUB3
+ * @param {Array<Object>} results - 抓取结果（需包含 html 格式）
+ * @param {Object} options
+ * @param {string} options.title - 书名，默认单篇为文章标题，多篇为“<公众号> 文章合集”
+ * @param {string} options.author - 作者，默认为各篇的公众号名称
+ * @param {string} options.language - 语言，默认 zh-CN
+ * @param {Function} options.fetchImpl - 下载图片用的 fetch 实现（测试用）
+ * @param {number} options.concurrency - 图片下载并发数，默认 4
+ * @returns {Promise<{buffer: Buffer, title: string, chapters: Array<{title: string, href: string}>, images: Object}>}
+ */
+async function buildEpub(results, options = {}) {
+    const { language = 'zh-CN', fetchImpl, concurrency = 4 } = options;
+    const articles = orderArticles((results || []).filter(result => result && result.data && typeof result.data.html === 'string'));
+    if (!articles.length) {
+        throw new Error('生成 EPUB 需要至少一篇包含 html 格式正文的文章');
+    }
+
+    const metadataOf = result => result.metadata || {};
+    const accounts = [...new Set(articles.map(result => metadataOf(result).account_name || metadataOf(result).author).filter(Boolean))];
+    const title = options.title
+        || (articles.length === 1 ? metadataOf(articles[0]).title : `${accounts[0] || '微信公众号'} 文章合集`)
+        || '未命名';
+    const author = options.author || accounts.join('、');
+
+    // 收集全部图片（含封面），按地址去重后下载
+    const assets = new Map();
+    const sources = [];
+    const addSource = src => {
+        const value = normalizeImageSrc(src);
+        if (value && !sources.includes(value)) sources.push(value);
+    };
+    const coverSrc = normalizeImageSrc(metadataOf(articles[0]).image_url);
+    if (coverSrc) addSource(coverSrc);
+    for (const result of articles) {
+        for (const asset of result.assets || []) assets.set(asset.file, asset);
+        const $ = cheerio.load(result.data.html, null, false);
+        $('img').each((_i, img) => addSource($(img).attr('src')));
+    }
+
+    const images = new Map();        // 地址 -> 包内资源
+    const byHash = new Map();        // 内容哈希 -> 包内资源
+    const failed = [];
+    let cursor = 0;
+    const worker = async () => {
+        while (cursor < sources.length) {
+            const src = sources[cursor++];
+            try {
+                const { buffer, extension } = await loadImage(src, assets, { fetchImpl });
+                const hash = hashBuffer(buffer);
+                if (!byHash.has(hash)) {
+                    byHash.set(hash, {
+                        id: `img-${byHash.size + 1}`,
+                        href: `images/${hash}.${extension}`,
+                        mediaType: imageMimeType(extension),
+                        buffer
+                    });
+                }
+                images.set(src, byHash.get(hash));
+            } catch (error) {
+                images.set(src, null);
+                failed.push({ url: src, error: error.message });
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, sources.length)) }, worker));
+
+    const cover = coverSrc ? images.get(coverSrc) : null;
+    const chapters = articles.map((result, index) => {
+        const metadata = metadataOf(result);
+        const chapterTitle = metadata.title || `第 ${index + 1} 篇`;
+        const href = `text/chapter-${String(index + 1).padStart(3, '0')}.xhtml`;
+        const meta = [metadata.account_name || metadata.author, metadata.article_author, displayDate(metadata.published_date)]
+            .filter((value, i, list) => value && list.indexOf(value) === i)
+            .join(' · ');
+        const source = metadata.canonical_url || result.url;
+        const body = [
+            `<section epub:type="chapter" id="chapter-${index + 1}">`,
+            `<h1>${escapeXml(chapterTitle)}</h1>`,
+            meta ? `<p class="meta">${escapeXml(meta)}</p>` : '',
+            toXhtml(result.data.html, images),
+            source ? `<p class="source"><a href="${escapeXml(source)}">原文链接</a></p>` : '',
+            '</section>'
+        ].filter(Boolean).join('\n');
+        return { id: `chapter-${index + 1}`, title: chapterTitle, href, content: xhtmlDocument(chapterTitle, body, language) };
+    });
+
+    const identifier = bookIdentifier(articles);
+    const modified = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+    const firstDate = metadataOf(articles[0]).published_date;
+    const manifest = [
+        '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+        '<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>',
+        '<item id="css" href="style.css" media-type="text/css"/>',
+        ...(cover ? ['<item id="cover-page" href="text/cover.xhtml" media-type="application/xhtml+xml"/>'] : []),
+        ...chapters.map(chapter => `<item id="${chapter.id}" href="${chapter.href}" media-type="application/xhtml+xml"/>`),
+        ...[...byHash.values()].map(image => `<item id="${image.id}" href="${image.href}" media-type="${image.mediaType}"${image === cover ? ' properties="cover-image"' : ''}/>`)
+    ];
+    const spine = [
+        ...(cover ? ['<itemref idref="cover-page" linear="no"/>'] : []),
+        ...chapters.map(chapter => `<itemref idref="${chapter.id}"/>`)
+    ];
+    const contentOpf = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${escapeXml(language)}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">${identifier}</dc:identifier>
+    <dc:title>${escapeXml(title)}</dc:title>
+    <dc:language>${escapeXml(language)}</dc:language>
+${author ? `    <dc:creator>${escapeXml(author)}</dc:creator>\n` : ''}${firstDate ? `    <dc:date>${escapeXml(firstDate)}</dc:date>\n` : ''}${articles.length === 1 && metadataOf(articles[0]).summary ? `    <dc:description>${escapeXml(metadataOf(articles[0]).summary)}</dc:description>\n` : ''}${articles.length === 1 ? `    <dc:source>${escapeXml(metadataOf(articles[0]).canonical_url || articles[0].url)}</dc:source>\n` : ''}    <meta property="dcterms:modified">${modified}</meta>
+${cover ? `    <meta name="cover" content="${cover.id}"/>\n` : ''}  </metadata>
+  <manifest>
+    ${manifest.join('\n    ')}
+  </manifest>
+  <spine toc="ncx">
+    ${spine.join('\n    ')}
+  </spine>
+</package>
+`;
+    const nav = xhtmlDocument(title, `<nav epub:type="toc" id="toc">
+<h1>目录</h1>
+<ol>
+${chapters.map(chapter => `<li><a href="${chapter.href}">${escapeXml(chapter.title)}</a></li>`).join('\n')}
+</ol>
+</nav>`, language).replace('href="../style.css"', 'href="style.css"');
+    const ncx = `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+  <head>
+    <meta name="dtb:uid" content="${identifier}"/>
+  </head>
+  <docTitle><text>${escapeXml(title)}</text></docTitle>
+  <navMap>
+${chapters.map((chapter, index) => `    <navPoint id="nav-${index + 1}" playOrder="${index + 1}">
+      <navLabel><text>${escapeXml(chapter.title)}</text></navLabel>
+      <content src="${chapter.href}"/>
+    </navPoint>`).join('\n')}
+  </navMap>
+</ncx>
+`;
+
+    const entries = [
+        { name: 'mimetype', data: 'application/epub+zip', store: true },
+        { name: 'META-INF/container.xml', data: CONTAINER_XML },
+        { name: 'OEBPS/content.opf', data: contentOpf },
+        { name: 'OEBPS/nav.xhtml', data: nav },
+        { name: 'OEBPS/toc.ncx', data: ncx },
+        { name: 'OEBPS/style.css', data: STYLESHEET },
+        ...(cover ? [{ name: 'OEBPS/text/cover.xhtml', data: xhtmlDocument(title, `<div class="cover"><img src="../${cover.href}" alt="${escapeXml(title)}"/></div>`, language) }] : []),
+        ...chapters.map(chapter => ({ name: `OEBPS/${chapter.href}`, data: chapter.content })),
+        // 图片已是压缩格式，不再压缩
+        ...[...byHash.values()].map(image => ({ name: `OEBPS/${image.href}`, data: image.buffer, store: true }))
+    ];
+
+    return {
+        buffer: createZip(entries),
+        title,
+        chapters: chapters.map(({ title: chapterTitle, href }) => ({ title: chapterTitle, href })),
+        images: { total: sources.length, embedded: byHash.size, failed }
+    };
+}
+
+export {
+    orderArticles,
+    toXhtml,
+    buildEpub
+};
@@ -0,0 +1,144 @@
+/**
+ * 抓取错误分类
+ * - ScrapeError 携带稳定的错误码，供 MCP 工具返回给调用方
+ * - detectBlockedPage 识别删除、违规、验证码等无正文的微信提示页
+ * - toScrapeError 将浏览器/网络异常归类为 TIMEOUT、PROXY_FAILED 等
+ */
+
+const ERROR_CODES = {
+    ARTICLE_DELETED: 'ARTICLE_DELETED',
+    ARTICLE_BANNED: 'ARTICLE_BANNED',
+    CAPTCHA_REQUIRED: 'CAPTCHA_REQUIRED',
+    WECHAT_CLIENT_ONLY: 'WECHAT_CLIENT_ONLY',
+    NOT_FOUND: 'NOT_FOUND',
+    TIMEOUT: 'TIMEOUT',
+    PROXY_FAILED: 'PROXY_FAILED',
+    CANCELLED: 'CANCELLED'
+};
+
+// 换代理重试也无法恢复的错误
+const PERMANENT_CODES = [
+    ERROR_CODES.ARTICLE_DELETED,
+    ERROR_CODES.ARTICLE_BANNED,
+    ERROR_CODES.WECHAT_CLIENT_ONLY,
+    ERROR_CODES.NOT_FOUND
+];
+
+class ScrapeError extends Error {
+    /**
+     * @param {string} code - 错误码（见 ERROR_CODES）
+     * @param {string} message - 错误描述
+     * @param {Object} options
+     * @param {Error} options.cause - 原始异常
+     * @param {string} options.pageMessage - 微信提示页上的原文
+     */
+    constructor(code, message, { cause, pageMessage } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = 'ScrapeError';
+        this.code = code;
+        this.retryable = !PERMANENT_CODES.includes(code);
+        if (pageMessage) {
+            this.pageMessage = pageMessage;
+        }
+    }
+
+    toJSON() {
+        return {
+            code: this.code,
+            message: this.message,
+            retryable: this.retryable,
+            ...(this.pageMessage ? { page_message: this.pageMessage } : {}),
+            // fetchArticle 失败时附带的尝试顺序与每次尝试的结果
+            ...(this.attempts ? { attempts: this.attempts } : {})
+        };
+    }
+}
+
+// 微信提示页文案 → 错误码（按顺序匹配，违规优先于删除：违规页也常带“无法查看”）
+const BLOCKED_PAGE_PATTERNS = [
+    {
+        code: ERROR_CODES.CAPTCHA_REQUIRED,
+        message: '微信要求完成环境验证',
+        patterns: [/环境异常/, /完成验证后即可继续访问/, /wappoc_appmsgcaptcha/, /id="js_verify"/]
+    },
+    {
+        code: ERROR_CODES.ARTICLE_BANNED,
+        message: '文章因违规或投诉已无法查看',
+        patterns: [/违规无法查看/, /违反.{0,20}规定/, /涉嫌.{0,10}(侵权|违规|违法)/, /被多人投诉/, /已被屏蔽/, /已停止访问该网页/]
+    },
+    {
+        code: ERROR_CODES.ARTICLE_DELETED,
+        message: '文章已被发布者删除',
+        patterns: [/已被发布者删除/, /该内容已被删除/, /此内容已被删除/, /content has been deleted/i]
+    },
+    {
+        code: ERROR_CODES.WECHAT_CLIENT_ONLY,
+        message: '文章只能在微信客户端中打开',
+        patterns: [/请在微信客户端打开/, /open (this link|in) wechat/i]
+    },
+    {
+        code: ERROR_CODES.NOT_FOUND,
+        message: '文章不存在或链接已失效',
+        patterns: [/参数错误/, /该内容不存在/, /链接已过期/, /页面不存在/, /content (does not|doesn't) exist/i]
+    }
+];
+
+// 提示页上承载提示文案的元素
+const MESSAGE_SELECTORS = ['.weui-msg__title', '.weui-msg__desc', '.global_error_msg', '.tips', '.msg_title', 'title'];
+
+/**
+ * 识别微信提示页（仅在找不到正文时调用，避免正文中的同类文字造成误判）
+ * @param {import('cheerio').CheerioAPI} $ - 页面
+ * @returns {ScrapeError|null} 识别出的错误，无法识别时返回 null
+ */
+function detectBlockedPage($) {
+    const pageMessage = MESSAGE_SELECTORS
+        .map(selector => $(selector).first().text().replace(/\s+/g, ' ').trim())
+        .filter(Boolean)
+        .join(' ');
+    const bodyText = $('body').text().replace(/\s+/g, ' ').trim().slice(0, 2000);
+    const html = $.html();
+
+    for (const { code, message, patterns } of BLOCKED_PAGE_PATTERNS) {
+        const matched = patterns.some(pattern => pattern.test(pageMessage) || pattern.test(bodyText)
+            || (code === ERROR_CODES.CAPTCHA_REQUIRED && pattern.test(html)));
+        if (matched) {
+            return new ScrapeError(code, message, { pageMessage: pageMessage || bodyText.slice(0, 200) });
+        }
+    }
+    return null;
+}
+
+/**
+ * 把浏览器/网络异常归类为 ScrapeError；无法归类的异常原样返回
+ * @param {Error} error
+ * @param {Object} context - { proxy } 当前使用的代理，用于错误描述
+ * @returns {Error}
+ */
+function toScrapeError(error, { proxy } = {}) {
+    if (!error || error instanceof ScrapeError) return error;
+    const text = `${error.name || ''} ${error.message || ''}`;
+    const via = proxy ? `（代理: ${proxy}）` : '';
+    if (/TimeoutError|timed? ?out|Navigation timeout/i.test(text)) {
+        return new ScrapeError(ERROR_CODES.TIMEOUT, `页面加载超时${via}: ${error.message}`, { cause: error });
+    }
+    if (/ERR_PROXY|ERR_TUNNEL_CONNECTION_FAILED|ERR_SOCKS|proxy|ECONNREFUSED|ECONNRESET|ERR_CONNECTION_(RESET|CLOSED|REFUSED)|ERR_EMPTY_RESPONSE|WebSocket/i.test(text)) {
+        return new ScrapeError(ERROR_CODES.PROXY_FAILED, `代理或浏览器连接失败${via}: ${error.message}`, { cause: error });
+    }
+    return error;
+}
+
+/**
+ * 是否为换代理也无法恢复的错误
+ */
+function isPermanentError(error) {
+    return Boolean(error && error.code && PERMANENT_CODES.includes(error.code));
+}
+
+export {
+    ERROR_CODES,
+    ScrapeError,
+    detectBlockedPage,
+    toScrapeError,
+    isPermanentError
+};
@@ -0,0 +1,111 @@
+/**
+ * 文章图片下载与本地化
+ * - remote: 保留原始图片链接（默认）
+ * - download: 下载到资源目录，正文改写为相对路径，由 saveResult 落盘
+ * - inline-base64: 下载后内联为 data URI
+ */
+
+import { createHash } from 'crypto';
+
+const IMAGE_MODES = ['remote', 'download', 'inline-base64'];
+
+// 微信图片防盗链：需要带公众号域名的 Referer 才能正常返回
+const IMAGE_HEADERS = {
+    'Referer': 'https://mp.weixin.qq.com/',
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    'Accept': 'image/avif,image/webp,image/apng,image/*,*/*;q=0.8'
+};
+
+const FORMAT_EXTENSIONS = {
+    jpeg: 'jpg',
+    jpg: 'jpg',
+    png: 'png',
+    gif: 'gif',
+    webp: 'webp',
+    bmp: 'bmp',
+    svg: 'svg',
+    'svg+xml': 'svg'
+};
+
+const EXTENSION_MIME_TYPES = {
+    jpg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    bmp: 'image/bmp',
+    svg: 'image/svg+xml'
+};
+
+/**
+ * 推断图片扩展名：优先取微信的 wx_fmt 参数，其次 Content-Type，最后 URL 路径
+ * @param {string} url - 图片 URL
+ * @param {string} contentType - 响应的 Content-Type（可选）
+ * @returns {string} 扩展名（不含点）
+ */
+function imageExtension(url, contentType = '') {
+    try {
+        const parsed = new URL(url);
+        const wxFmt = (parsed.searchParams.get('wx_fmt') || '').toLowerCase();
+        if (FORMAT_EXTENSIONS[wxFmt]) return FORMAT_EXTENSIONS[wxFmt];
+
+        const typeMatch = String(contentType).toLowerCase().match(/^image\/([\w+.-]+)/);
+        if (typeMatch && FORMAT_EXTENSIONS[typeMatch[1]]) return FORMAT_EXTENSIONS[typeMatch[1]];
+
+        const pathMatch = parsed.pathname.toLowerCase().match(/\.(\w+)$/);
+        if (pathMatch && FORMAT_EXTENSIONS[pathMatch[1]]) return FORMAT_EXTENSIONS[pathMatch[1]];
+    } catch (_) {
+        // ignore
+    }
+    return 'jpg';
+}
+
+/**
+ * 根据扩展名返回 MIME 类型
+ */
+function imageMimeType(extension) {
+    return EXTENSION_MIME_TYPES[extension] || 'application/octet-stream';
+}
+
+/**
+ * 计算图片内容哈希，用于去重与命名
+ * @param {Buffer} buffer - 图片内容
+ * @returns {string} sha1 十六进制字符串
+ */
+function hashBuffer(buffer) {
+    return createHash('sha1').update(buffer).digest('hex');
+}
+
+/**
+ * 下载单张图片
+ * @param {string} url - 图片 URL
+ * @param {Object} options - { fetchImpl, timeout }
+ * @returns {Promise<{buffer: Buffer, contentType: string}>}
+ */
+async function downloadImage(url, options = {}) {
+    const { fetchImpl = fetch, timeout = 30000 } = options;
+    const response = await fetchImpl(url, {
+        headers: IMAGE_HEADERS,
+        redirect: 'follow',
+        signal: AbortSignal.timeout(timeout)
+    });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    const buffer = Buffer.from(await response.arrayBuffer());
+    if (buffer.length === 0) {
+        throw new Error('图片内容为空');
+    }
+    return {
+        buffer,
+        contentType: response.headers.get('content-type') || ''
+    };
+}
+
+export {
+    IMAGE_MODES,
+    IMAGE_HEADERS,
+    imageExtension,
+    imageMimeType,
+    hashBuffer,
+    downloadImage
+};
@@ -0,0 +1,149 @@
+/**
+ * 请求拦截：屏蔽抓取用不到的资源，加快页面加载（networkidle0 不再等待字体、视频与统计上报）
+ * - 按资源类型（Puppeteer resourceType）与 URL 规则屏蔽
+ * - images: 'metadata' 时不下载图片，正文中的 src / data-src 与宽高属性照常保留
+ * - 主文档导航请求永远放行
+ * - 统计被屏蔽的请求数与估算节省的流量（被屏蔽的请求没有响应，按各类型的典型大小估算）
+ */
+
+const RESOURCE_TYPES = [
+    'document', 'stylesheet', 'image', 'media', 'font', 'script', 'texttrack', 'xhr', 'fetch',
+    'prefetch', 'eventsource', 'websocket', 'manifest', 'signedexchange', 'ping', 'cspviolationreport',
+    'preflight', 'other'
+];
+
+const DEFAULT_BLOCK_TYPES = ['font', 'media'];
+
+// 微信文章页用不到的上报、广告与视频播放器；不包含互动数据接口（getappmsgext / appmsg_comment）
+const DEFAULT_BLOCK_PATTERNS = [
+    /\/mp\/(?:jsmonitor|webcommreport|appmsgreport)\b/,
+    /\/mp\/(?:getappmsgad|advertisement_report)\b/,
+    /\/\/badjs\.weixinbridge\.com\//,
+    /\/\/(?:[\w-]+\.)*gdt\.qq\.com\//,
+    /\/\/pingjs\.qq\.com\//,
+    /\/\/v\.qq\.com\/(?:txp\/)?iframe\//,
+    /\/\/mpvideo\.qpic\.cn\//,
+    /\/\/(?:www\.)?google-analytics\.com\//,
+    /\/\/hm\.baidu\.com\//
+];
+
+const IMAGE_LOADING_MODES = ['load', 'metadata'];
+
+// 估算节省流量用的典型响应大小（字节）
+const ESTIMATED_SIZES = {
+    image: 80 * 1024,
+    media: 1024 * 1024,
+    font: 40 * 1024,
+    stylesheet: 20 * 1024,
+    script: 30 * 1024,
+    document: 30 * 1024,
+    other: 2 * 1024
+};
+
+// 生成 PDF / 截图时需要按原样渲染页面
+const RENDERING_TYPES = ['image', 'font', 'stylesheet'];
+
+/**
+ * 校验并补全拦截选项
+ * @param {Object|boolean} options - 传 false 关闭拦截
+ * @param {boolean} options.enabled - 是否启用，默认 true
+ * @param {Array<string>} options.blockTypes - 屏蔽的资源类型，默认 ['font', 'media']
+ * @param {Array<string|RegExp>} options.blockPatterns - 额外屏蔽的 URL（字符串按子串匹配），与内置规则合并
+ * @param {boolean} options.defaultPatterns - 是否使用内置的上报 / 广告 / 视频规则，默认 true
+ * @param {string} options.images - 'load'（默认）或 'metadata'（不下载图片）
+ * @param {Object} context
+ * @param {boolean} context.keepRendering - 需要生成 PDF / 截图：不屏蔽图片、字体与样式表
+ * @returns {{enabled: boolean, blockTypes: Array<string>, blockPatterns: Array<string|RegExp>, images: string}}
+ */
+function normalizeInterceptionOptions(options = {}, { keepRendering = false } = {}) {
+    if (options === false || (options && options.enabled === false)) {
+        return { enabled: false, blockTypes: [], blockPatterns: [], images: 'load' };
+    }
+    const { blockTypes = DEFAULT_BLOCK_TYPES, blockPatterns = [], defaultPatterns = true, images = 'load' } = options || {};
+
+    const unknownType = blockTypes.find(type => !RESOURCE_TYPES.includes(type));
+    if (unknownType) {
+        throw new Error(`不支持的资源类型: ${unknownType}（可选: ${RESOURCE_TYPES.join(', ')}）`);
+    }
+    if (!IMAGE_LOADING_MODES.includes(images)) {
+        throw new Error(`不支持的图片加载方式: ${images}（可选: ${IMAGE_LOADING_MODES.join(', ')}）`);
+    }
+    const invalidPattern = blockPatterns.find(pattern => !(pattern instanceof RegExp) && (typeof pattern !== 'string' || !pattern));
+    if (invalidPattern !== undefined) {
+        throw new Error(`URL 屏蔽规则必须是非空字符串或正则表达式: ${invalidPattern}`);
+    }
+
+    let types = [...new Set([...blockTypes, ...(images === 'metadata' ? ['image'] : [])])];
+    if (keepRendering) {
+        types = types.filter(type => !RENDERING_TYPES.includes(type));
+    }
+    return {
+        enabled: true,
+        blockTypes: types,
+        blockPatterns: [...(defaultPatterns ? DEFAULT_BLOCK_PATTERNS : []), ...blockPatterns],
+        images: keepRendering ? 'load' : images
+    };
+}
+
+/**
+ * 判断请求是否应被屏蔽
+ * @param {{url: string, resourceType: string, isMainDocument: boolean}} request
+ * @param {Object} options - normalizeInterceptionOptions 的返回值
+ * @returns {string|null} 屏蔽原因（'type' 或 'pattern'），放行时返回 null
+ */
+function blockReason({ url, resourceType, isMainDocument }, options) {
+    if (!options.enabled || isMainDocument || url.startsWith('data:')) return null;
+    if (options.blockTypes.includes(resourceType)) return 'type';
+    const matched = options.blockPatterns.some(pattern => (typeof pattern === 'string' ? url.includes(pattern) : pattern.test(url)));
+    return matched ? 'pattern' : null;
+}
+
+/**
+ * 在页面上启用请求拦截；需在导航前调用
+ * @param {import('puppeteer-core').Page} page
+ * @param {Object} options - normalizeInterceptionOptions 的返回值
+ * @returns {Promise<{summary: Function}|null>} summary() 返回拦截统计；未启用时返回 null
+ */
+async function installRequestInterception(page, options) {
+    if (!options || !options.enabled) return null;
+
+    const counters = { total: 0, blocked: 0, blocked_by_type: {}, estimated_bytes_saved: 0 };
+    await page.setRequestInterception(true);
+    page.on('request', (request) => {
+        // 其他处理器（如代理认证）已处理的请求不再干预
+        if (typeof request.isInterceptResolutionHandled === 'function' && request.isInterceptResolutionHandled()) return;
+
+        const resourceType = request.resourceType();
+        const reason = blockReason({
+            url: request.url(),
+            resourceType,
+            isMainDocument: request.isNavigationRequest() && request.frame() === page.mainFrame()
+        }, options);
+        counters.total++;
+        if (!reason) {
+            // 页面关闭后请求可能已失效，忽略放行 / 中止失败
+            request.continue().catch(() => {});
+            return;
+        }
+        counters.blocked++;
+        counters.blocked_by_type[resourceType] = (counters.blocked_by_type[resourceType] || 0) + 1;
+        counters.estimated_bytes_saved += ESTIMATED_SIZES[resourceType] || ESTIMATED_SIZES.other;
+        request.abort('blockedbyclient').catch(() => {});
+    });
+
+    return {
+        summary() {
+            return { ...counters, blocked_by_type: { ...counters.blocked_by_type }, images: options.images };
+        }
+    };
+}
+
+export {
+    RESOURCE_TYPES,
+    DEFAULT_BLOCK_TYPES,
+    DEFAULT_BLOCK_PATTERNS,
+    IMAGE_LOADING_MODES,
+    normalizeInterceptionOptions,
+    blockReason,
+    installRequestInterception
+};
@@ -0,0 +1,144 @@
+/**
+ * 异步抓取任务存储
+ * - 进程级单例，HTTP 无状态模式下跨请求保留任务状态
+ * - 已结束的任务保留 retention 秒后清理
+ */
+
+import { randomUUID } from 'crypto';
+
+const JOB_STATES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+const FINISHED_STATES = ['succeeded', 'failed', 'cancelled'];
+
+class JobStore {
+    /**
+     * @param {Object} options
+     * @param {number} options.retention - 已结束任务的保留时间（秒）
+     * @param {number} options.maxJobs - 最多保留的任务数（超出时优先清理已结束的最早任务）
+     */
+    constructor({ retention = 3600, maxJobs = 200 } = {}) {
+        this.retention = retention;
+        this.maxJobs = maxJobs;
+        this.jobs = new Map();
+        this.cancelHandlers = new Map();
+    }
+
+    /**
+     * 创建任务
+     * @param {string} type - 任务类型，如 scrape_article
+     * @param {Object} params - 任务参数（会原样返回给查询方）
+     * @returns {Object} 任务
+     */
+    create(type, params = {}) {
+        this.prune();
+        const running = [...this.jobs.values()].filter(job => !FINISHED_STATES.includes(job.state)).length;
+        if (running >= this.maxJobs) {
+            throw new Error(`进行中的任务过多（上限 ${this.maxJobs}）`);
+        }
+        const job = {
+            id: randomUUID(),
+            type,
+            state: 'queued',
+            step: null,
+            attempts: [],
+            params,
+            result: null,
+            error: null,
+            error_code: null,
+            created_at: new Date().toISOString(),
+            started_at: null,
+            finished_at: null
+        };
+        this.jobs.set(job.id, job);
+        return job;
+    }
+
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    /**
+     * 注册取消回调（如关闭浏览器），cancel() 时调用
+     */
+    onCancel(id, handler) {
+        this.cancelHandlers.set(id, handler);
+    }
+
+    markRunning(id) {
+        const job = this.get(id);
+        if (job && job.state === 'queued') {
+            job.state = 'running';
+            job.started_at = new Date().toISOString();
+        }
+    }
+
+    /**
+     * 记录抓取进度事件
+     * @param {string} id - 任务 ID
+     * @param {Object} event - { type: 'step', step } 或 { type: 'attempt', attempt, proxy }
+     */
+    recordProgress(id, event) {
+        const job = this.get(id);
+        if (!job || FINISHED_STATES.includes(job.state)) return;
+        if (event.type === 'step') {
+            job.step = event.step;
+        } else if (event.type === 'attempt') {
+            job.attempts.push({
+                attempt: event.attempt,
+                proxy: event.proxy,
+                started_at: new Date().toISOString()
+            });
+        }
+    }
+
+    complete(id, result) {
+        this.finish(id, 'succeeded', { result });
+    }
+
+    fail(id, error) {
+        this.finish(id, 'failed', {
+            error: error instanceof Error ? error.message : String(error),
+            error_code: (error && error.code) || null
+        });
+    }
+
+    /**
+     * 取消任务：已结束的任务不受影响
+     * @returns {boolean} 是否成功取消
+     */
+    async cancel(id) {
+        const job = this.get(id);
+        if (!job || FINISHED_STATES.includes(job.state)) return false;
+        const handler = this.cancelHandlers.get(id);
+        this.finish(id, 'cancelled', { error: '任务已取消' });
+        if (handler) {
+            await handler();
+        }
+        return true;
+    }
+
+    finish(id, state, fields = {}) {
+        const job = this.get(id);
+        // 取消后的迟到结果直接丢弃
+        if (!job || FINISHED_STATES.includes(job.state)) return;
+        Object.assign(job, fields, { state, finished_at: new Date().toISOString() });
+        this.cancelHandlers.delete(id);
+    }
+
+    /**
+     * 清理过期的已结束任务
+     */
+    prune(now = Date.now()) {
+        const finished = [...this.jobs.values()].filter(job => FINISHED_STATES.includes(job.state));
+        for (const job of finished) {
+            if (now - Date.parse(job.finished_at) > this.retention * 1000) {
+                this.jobs.delete(job.id);
+            }
+        }
+        const remaining = finished.filter(job => this.jobs.has(job.id));
+        while (this.jobs.size > this.maxJobs && remaining.length) {
+            this.jobs.delete(remaining.shift().id);
+        }
+    }
+}
+
+export { JobStore, JOB_STATES, FINISHED_STATES };
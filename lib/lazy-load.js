@@ -0,0 +1,141 @@
+/**
+ * 自适应懒加载：按视口高度逐屏滚动，直到页面高度不再增长、正文中的懒加载图片都有了真实 src
+ * - 到达底部后仍未加载的图片逐个滚动到视口中央，超过 imageTimeout 仍未加载的按超时处理
+ * - 整个过程不超过 budget 毫秒；结束后滚回顶部，返回未加载图片数等统计
+ */
+
+const DEFAULT_LOAD_BUDGET = 20000;
+const DEFAULT_IMAGE_TIMEOUT = 3000;
+// 每次滚动后的等待，给懒加载脚本与新内容渲染留出时间
+const SCROLL_INTERVAL = 300;
+// 页面高度连续几次不变才算稳定
+const SETTLE_ROUNDS = 2;
+
+/**
+ * 在页面中执行：滚动一步并返回页面高度与正文懒加载图片的状态
+ * - 已有 src 且不是 data: 占位图的视为已加载（浏览器是否真正下载了图片不影响结果，拦截图片时同样适用）
+ * @param {Object} options
+ * @param {Array<string>} options.selectors - 正文容器选择器，依次尝试，都未命中时使用 body
+ * @param {Array<string>} options.lazyAttributes - 懒加载图片的属性名
+ * @param {number} options.reveal - 大于等于 0 时把第 reveal 张（取模）未加载的图片滚到视口中央，否则向下滚动一屏
+ * @returns {{height: number, bottom: boolean, images: number, pending: number}}
+ */
+function scrollStep({ selectors, lazyAttributes, reveal }) {
+    let root = null;
+    for (const selector of selectors) {
+        try {
+            root = document.querySelector(selector);
+        } catch (_) {
+            root = null;
+        }
+        if (root) break;
+    }
+    root = root || document.body;
+
+    const lazyImages = Array.from(root.querySelectorAll('img')).filter(img => lazyAttributes.some(name => img.hasAttribute(name)));
+    const pending = lazyImages.filter((img) => {
+        const src = (img.getAttribute('src') || '').trim();
+        return !src || src.startsWith('data:') || src === 'about:blank';
+    });
+
+    if (reveal >= 0 && pending.length) {
+        pending[reveal % pending.length].scrollIntoView({ block: 'center' });
+    } else {
+        window.scrollBy(0, window.innerHeight);
+    }
+
+    const height = Math.max(document.body.scrollHeight, document.documentElement.scrollHeight);
+    return {
+        height,
+        bottom: window.scrollY + window.innerHeight >= height - 2,
+        images: lazyImages.length,
+        pending: pending.length
+    };
+}
+
+/**
+ * 校验整体时间预算
+ * @param {number} budget - 毫秒
+ * @returns {number}
+ */
+function normalizeLoadBudget(budget = DEFAULT_LOAD_BUDGET) {
+    const value = Number(budget);
+    if (!Number.isFinite(value) || value <= 0) {
+        throw new Error(`loadBudget 必须是正数（毫秒）: ${budget}`);
+    }
+    return value;
+}
+
+/**
+ * 滚动页面直到内容加载完成或预算用尽
+ * @param {import('puppeteer-core').Page} page
+ * @param {Object} options
+ * @param {Array<string>} options.selectors - 正文容器选择器（站点配置的 content）
+ * @param {Array<string>} options.lazyAttributes - 懒加载图片的属性名（站点配置的 lazyImageAttributes）
+ * @param {number} options.budget - 整体时间预算（毫秒），默认 20000
+ * @param {number} options.imageTimeout - 到达底部后等待剩余图片的时间（毫秒），默认 3000
+ * @param {number} options.interval - 每次滚动后的等待（毫秒）
+ * @returns {Promise<{images: number, unresolved: number, scrolls: number, scroll_height: number, budget_exhausted: boolean, duration_ms: number}>}
+ */
+async function scrollUntilLoaded(page, options = {}) {
+    const {
+        selectors = [],
+        lazyAttributes = ['data-src'],
+        imageTimeout = DEFAULT_IMAGE_TIMEOUT,
+        interval = SCROLL_INTERVAL
+    } = options;
+    const budget = normalizeLoadBudget(options.budget);
+    const startedAt = Date.now();
+    const deadline = startedAt + budget;
+
+    let state = { height: 0, bottom: false, images: 0, pending: 0 };
+    let lastHeight = -1;
+    let stableRounds = 0;
+    let settledAt = null;
+    let scrolls = 0;
+    let exhausted = false;
+
+    while (true) {
+        state = await page.evaluate(scrollStep, { selectors, lazyAttributes, reveal: settledAt !== null ? scrolls : -1 });
+        scrolls++;
+
+        if (state.height === lastHeight) {
+            stableRounds++;
+        } else {
+            // 页面还在变长：重新等待稳定
+            stableRounds = 0;
+            settledAt = null;
+        }
+        lastHeight = state.height;
+
+        if (settledAt === null && state.bottom && stableRounds >= SETTLE_ROUNDS) {
+            settledAt = Date.now();
+        }
+        if (settledAt !== null && (state.pending === 0 || Date.now() - settledAt >= imageTimeout)) {
+            break;
+        }
+        if (Date.now() >= deadline) {
+            exhausted = true;
+            break;
+        }
+        await new Promise(resolve => setTimeout(resolve, Math.min(interval, Math.max(0, deadline - Date.now()))));
+    }
+
+    await page.evaluate(() => window.scrollTo(0, 0));
+
+    return {
+        images: state.images,
+        unresolved: state.pending,
+        scrolls,
+        scroll_height: state.height,
+        budget_exhausted: exhausted,
+        duration_ms: Date.now() - startedAt
+    };
+}
+
+export {
+    DEFAULT_LOAD_BUDGET,
+    DEFAULT_IMAGE_TIMEOUT,
+    normalizeLoadBudget,
+    scrollUntilLoaded
+};
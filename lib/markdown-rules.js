@@ -0,0 +1,322 @@
+/**
+ * 微信文章专用的 Turndown 转换规则
+ * - code-snippet 代码块：保留语言与逐行结构
+ * - 样式化的 <section>/<p> 小标题：转换为真正的 Markdown 标题
+ * - 表格：转换为 GFM 表格
+ * - 左边框样式的 <section>：转换为引用块
+ * - 音频、小程序卡片、腾讯视频与视频号：转换为链接占位
+ */
+
+import TurndownService from 'turndown';
+
+const BLOCK_SELECTOR = 'p, section, div, ul, ol, table, pre, blockquote, img, h1, h2, h3, h4, h5, h6';
+
+/**
+ * 生成链接占位：有 URL 时输出 [label](url)，否则只输出文字
+ */
+function mediaLink(label, url) {
+    return url ? `\n\n[${label}](${url})\n\n` : `\n\n${label}\n\n`;
+}
+
+/**
+ * 读取 style 中的 font-size（px；em/rem 按 16px 换算）
+ * @returns {number} 字号，未设置时返回 0
+ */
+function fontSizeOf(style) {
+    const match = (style || '').match(/font-size\s*:\s*([\d.]+)\s*(px|em|rem)?/i);
+    if (!match) return 0;
+    const value = parseFloat(match[1]);
+    return match[2] && match[2].toLowerCase() !== 'px' ? value * 16 : value;
+}
+
+function isBoldElement({ tag, style }) {
+    if (tag === 'STRONG' || tag === 'B') return true;
+    return /font-weight\s*:\s*(bold|bolder|[6-9]00)/i.test(style || '');
+}
+
+/**
+ * 按元素描述判断小标题级别，与具体的 DOM 实现无关（Turndown 的 DOM 与 cheerio 共用）
+ * @param {Object} heading
+ * @param {string} heading.tag - 大写标签名
+ * @param {string} heading.text - 元素文字
+ * @param {boolean} heading.hasBlocks - 是否含有块级子元素（BLOCK_SELECTOR）
+ * @param {Array<{tag: string, style: string, text: string}>} heading.elements - 元素自身及全部后代元素
+ * @returns {number} 标题级别（2-4），不是标题时返回 0
+ */
+function headingLevelOf({ tag, text: rawText, hasBlocks, elements }) {
+    if (tag !== 'SECTION' && tag !== 'P') return 0;
+    const text = rawText.replace(/\s+/g, ' ').trim();
+    if (!text || text.length > 40 || /[。！？.!?;；，,：:]$/.test(text)) return 0;
+    if (hasBlocks) return 0;
+
+    let size = 0;
+    let sizeText = '';
+    for (const el of elements) {
+        const elSize = fontSizeOf(el.style);
+        if (elSize > size) {
+            size = elSize;
+            sizeText = el.text.replace(/\s+/g, ' ').trim();
+        }
+    }
+    if (!size || sizeText !== text) return 0;
+
+    const bold = elements.some(el => isBoldElement(el) && el.text.replace(/\s+/g, ' ').trim() === text);
+    if (size >= 24) return 2;
+    if (size >= 20) return 3;
+    if (size >= 17 && bold) return 4;
+    return 0;
+}
+
+/**
+ * 判断样式化的段落是否为小标题，返回标题级别（2-4），不是标题时返回 0
+ * - 文字较短、不含块级子元素、不以句末标点结尾
+ * - 全部文字使用同一个大字号（≥24px → h2，≥20px → h3）或加粗的中等字号（≥17px → h4）
+ */
+function pseudoHeadingLevel(node) {
+    if (node.nodeName !== 'SECTION' && node.nodeName !== 'P') return 0;
+    return headingLevelOf({
+        tag: node.nodeName,
+        text: node.textContent,
+        hasBlocks: Boolean(node.querySelector(BLOCK_SELECTOR)),
+        elements: [node, ...node.querySelectorAll('*')].map(el => ({
+            tag: el.nodeName,
+            style: el.getAttribute('style') || '',
+            text: el.textContent
+        }))
+    });
+}
+
+/**
+ * 代码块语言：pre 的 data-lang，其次 pre 或外层 section 上的 code-snippet__<lang> 类名
+ * @param {string} dataLang - pre 的 data-lang
+ * @param {string} classes - pre 与外层元素的 class
+ */
+function codeLanguageOf(dataLang, classes) {
+    if (dataLang) return dataLang.trim().toLowerCase();
+    const match = (classes || '').match(/code-snippet__(?!fix\b|line-index\b)([\w+#-]+)|\blang(?:uage)?-([\w+#-]+)/);
+    return match ? (match[1] || match[2]).toLowerCase() : '';
+}
+
+function codeLanguage(pre) {
+    const classes = [pre.getAttribute('class') || '', (pre.parentNode && pre.parentNode.getAttribute && pre.parentNode.getAttribute('class')) || ''].join(' ');
+    return codeLanguageOf(pre.getAttribute('data-lang'), classes);
+}
+
+/**
+ * 代码块内容：微信把每一行放在单独的 <code> 中
+ */
+function codeText(pre) {
+    const lines = Array.from(pre.childNodes).filter(child => child.nodeName === 'CODE');
+    const text = lines.length > 1
+        ? lines.map(line => line.textContent).join('\n')
+        : pre.textContent;
+    return text.replace(/\u00a0/g, ' ').replace(/\n+$/, '');
+}
+
+/**
+ * 围栏长度需超过代码中最长的连续反引号
+ */
+function fenceFor(code) {
+    const longest = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+    return '`'.repeat(Math.max(3, longest + 1));
+}
+
+/**
+ * 腾讯视频 iframe 的 vid 参数
+ */
+function tencentVideoId(src) {
+    try {
+        return new URL(src, 'https://v.qq.com').searchParams.get('vid') || '';
+    } catch (_) {
+        return '';
+    }
+}
+
+function isFirstTableRow(tr) {
+    let table = tr.parentNode;
+    while (table && table.nodeName !== 'TABLE') table = table.parentNode;
+    return Boolean(table) && table.getElementsByTagName('TR')[0] === tr;
+}
+
+// 媒体类元素：按属性给出链接占位的文字与 URL（attr 为读取属性的函数，Turndown DOM 与 cheerio 共用）
+const mediaDescriptors = {
+    wechatAudio: {
+        filter: ['mpvoice', 'mp-common-mpaudio'],
+        describe(attr) {
+            const name = attr('name') || attr('data-name') || '音频';
+            const fileId = attr('voice_encode_fileid') || attr('data-voice_encode_fileid');
+            return { label: `音频：${name}`, url: fileId ? `https://res.wx.qq.com/voice/getvoice?mediaid=${encodeURIComponent(fileId)}` : '' };
+        }
+    },
+    wechatMiniProgram: {
+        filter: ['mp-miniprogram'],
+        describe(attr) {
+            const title = attr('data-miniprogram-title') || attr('data-miniprogram-nickname') || '小程序';
+            const appId = attr('data-miniprogram-appid') || '';
+            const path = attr('data-miniprogram-path') || '';
+            const url = appId ? `weixin://dl/business/?appid=${encodeURIComponent(appId)}${path ? `&path=${encodeURIComponent(path)}` : ''}` : '';
+            return { label: `小程序：${title}`, url };
+        }
+    },
+    wechatChannelsVideo: {
+        filter: ['mp-common-videosnap', 'mpvideosnap'],
+        describe(attr) {
+            const nickname = attr('data-nickname') || '';
+            const desc = attr('data-desc') || '';
+            const label = ['视频号', [nickname, desc].filter(Boolean).join(' - ')].filter(Boolean).join('：');
+            return { label, url: attr('data-url') || '' };
+        }
+    },
+    wechatVideoIframe: {
+        filter: ['iframe'],
+        describe(attr) {
+            const src = attr('data-src') || attr('src') || '';
+            if (/v\.qq\.com/i.test(src)) {
+                const vid = tencentVideoId(src);
+                return { label: '视频', url: vid ? `https://v.qq.com/x/page/${vid}.html` : src };
+            }
+            if (attr('data-mpvid') || /video_player_tmpl|mpvideo/i.test(src)) {
+                return { label: '视频', url: src };
+            }
+            return src ? { label: '内嵌内容', url: src } : null;
+        }
+    }
+};
+
+/**
+ * 媒体元素的链接占位
+ * @param {string} tagName - 标签名（大小写均可）
+ * @param {Function} attr - 读取属性的函数：name => value
+ * @returns {{label: string, url: string}|null} 不是媒体元素或没有内容时返回 null
+ */
+function describeMedia(tagName, attr) {
+    const descriptor = Object.values(mediaDescriptors).find(item => item.filter.includes(String(tagName).toLowerCase()));
+    return descriptor ? descriptor.describe(name => attr(name) || '') : null;
+}
+
+// 媒体类规则：这些元素通常没有文字内容，会被 Turndown 当作空节点，需在 blankReplacement 中同样处理
+const mediaRules = Object.fromEntries(Object.entries(mediaDescriptors).map(([name, descriptor]) => [name, {
+    filter: descriptor.filter,
+    replacement(_content, node) {
+        const media = descriptor.describe(attr => node.getAttribute(attr));
+        return media ? mediaLink(media.label, media.url) : '';
+    }
+}]));
+
+const mediaFilters = Object.values(mediaRules).map(rule => [].concat(rule.filter).map(name => name.toUpperCase()));
+
+/**
+ * 空节点的替换函数：空的媒体元素交给对应的媒体规则，其余交给 fallback
+ * Turndown 在匹配规则之前就把空节点交给 blankReplacement，addRule 处理不到，只能作为构造参数传入
+ * @param {Function} fallback - 默认同 Turndown：块级元素换成空行，其余去掉
+ * @returns {Function}
+ */
+function mediaBlankReplacement(fallback = (_content, node) => (node.isBlock ? '\n\n' : '')) {
+    const mediaRuleList = Object.values(mediaRules);
+    return (content, node, options) => {
+        const index = mediaFilters.findIndex(names => names.includes(node.nodeName));
+        if (index !== -1) {
+            return mediaRuleList[index].replacement(content, node, options);
+        }
+        return fallback(content, node, options);
+    };
+}
+
+/**
+ * 为 TurndownService 添加微信专用规则
+ * 空的媒体元素需要构造时传入 blankReplacement: mediaBlankReplacement()（createMarkdownConverter 已处理）
+ * @param {TurndownService} turndownService
+ * @returns {TurndownService} 同一个实例
+ */
+function applyWechatRules(turndownService) {
+    // 代码块行号列表
+    turndownService.addRule('wechatCodeLineIndex', {
+        filter: node => node.nodeName === 'UL' && /code-snippet__line-index/.test(node.getAttribute('class') || ''),
+        replacement: () => ''
+    });
+
+    turndownService.addRule('wechatCodeSnippet', {
+        filter: node => node.nodeName === 'PRE' && (
+            /code-snippet/.test(node.getAttribute('class') || '')
+            || /code-snippet/.test((node.parentNode && node.parentNode.getAttribute && node.parentNode.getAttribute('class')) || '')
+            || Array.from(node.childNodes).filter(child => child.nodeName === 'CODE').length > 1
+        ),
+        replacement(_content, node) {
+            const code = codeText(node);
+            const fence = fenceFor(code);
+            return `\n\n${fence}${codeLanguage(node)}\n${code}\n${fence}\n\n`;
+        }
+    });
+
+    turndownService.addRule('wechatPseudoHeading', {
+        filter: node => pseudoHeadingLevel(node) > 0,
+        replacement(content, node) {
+            // 标题中不会出现列表，去掉 Turndown 为行首序号添加的转义
+            const text = content.replace(/\*\*|__/g, '').replace(/\s+/g, ' ').trim().replace(/^(\d+)\\\./, '$1.');
+            return `\n\n${'#'.repeat(pseudoHeadingLevel(node))} ${text}\n\n`;
+        }
+    });
+
+    turndownService.addRule('wechatQuoteSection', {
+        filter: node => node.nodeName === 'SECTION'
+            && /border-left\s*:[^;]*[1-9]\d*(?:\.\d+)?px/i.test(node.getAttribute('style') || '')
+            && node.textContent.trim().length > 0,
+        replacement(content) {
+            const quoted = content.trim().replace(/\n{3,}/g, '\n\n').replace(/^/gm, '> ');
+            return `\n\n${quoted}\n\n`;
+        }
+    });
+
+    // GFM 表格：首行作为表头
+    turndownService.addRule('tableCell', {
+        filter: ['th', 'td'],
+        replacement(content, node) {
+            const text = content.trim().replace(/\s*\n+\s*/g, '<br>').replace(/\|/g, '\\|');
+            const first = !node.previousElementSibling;
+            return `${first ? '| ' : ' '}${text} |`;
+        }
+    });
+
+    turndownService.addRule('tableRow', {
+        filter: 'tr',
+        replacement(content, node) {
+            let row = `\n${content}`;
+            if (isFirstTableRow(node)) {
+                const cells = Array.from(node.childNodes).filter(child => child.nodeName === 'TH' || child.nodeName === 'TD').length;
+                row += `\n|${' --- |'.repeat(Math.max(1, cells))}`;
+            }
+            return row;
+        }
+    });
+
+    turndownService.addRule('tableSection', {
+        filter: ['thead', 'tbody', 'tfoot'],
+        replacement: content => content
+    });
+
+    turndownService.addRule('table', {
+        filter: 'table',
+        replacement: content => `\n\n${content.trim()}\n\n`
+    });
+
+    for (const [name, rule] of Object.entries(mediaRules)) {
+        turndownService.addRule(name, rule);
+    }
+
+    return turndownService;
+}
+
+/**
+ * 创建带微信规则的 TurndownService
+ */
+function createMarkdownConverter(options = {}) {
+    const { blankReplacement, ...rest } = options;
+    return applyWechatRules(new TurndownService({
+        headingStyle: 'atx',
+        codeBlockStyle: 'fenced',
+        ...rest,
+        blankReplacement: mediaBlankReplacement(blankReplacement)
+    }));
+}
+
+export { BLOCK_SELECTOR, mediaBlankReplacement, applyWechatRules, createMarkdownConverter, pseudoHeadingLevel, headingLevelOf, codeLanguageOf, describeMedia };
@@ -0,0 +1,215 @@
+/**
+ * 抓取尝试策略与健康统计
+ * - 策略：官方代理（按国家）、自定义代理 URL、直连（不支持按国家切换代理的后端）
+ * - ProxyHealth 跨请求记录每个策略的成功率、平均延迟与连续失败次数，按健康程度排列尝试顺序
+ * - 熔断：连续失败达到阈值后，冷却时间内跳过该策略；冷却结束后放行一次试探，成功即恢复
+ */
+
+const DEFAULT_FAILURE_THRESHOLD = 3;
+const DEFAULT_COOLDOWN = 5 * 60 * 1000;
+
+/**
+ * 自定义代理的标识：只取主机与端口，不含账号密码
+ */
+function proxyURLId(proxyURL) {
+    try {
+        return `proxy-url:${new URL(proxyURL).host}`;
+    } catch (_) {
+        return 'proxy-url';
+    }
+}
+
+/**
+ * 按浏览器后端能力生成尝试策略
+ * - 支持按国家切换代理时，每个国家一个策略；否则只有直连
+ * - 自定义代理（后端支持时）作为兜底，总在其他策略之后
+ * @param {Object} provider - 浏览器后端（见 lib/browser-providers.js）
+ * @param {Object} options
+ * @param {Array<string>} options.proxyRetries - 官方代理国家列表
+ * @param {string|null} options.proxyURL - 自定义代理 URL
+ * @returns {Array<{id: string, kind: string, label: string, proxy: string, connect: Object, page: Object, fallback: boolean}>}
+ */
+function buildAttemptStrategies(provider, { proxyRetries = [], proxyURL = null } = {}) {
+    const strategies = provider.supportsProxyCountry
+        ? proxyRetries.map(country => ({
+            id: `proxy:${country}`,
+            kind: 'proxy-country',
+            label: `代理 ${country}`,
+            proxy: country,
+            connect: { proxyCountry: country },
+            page: {},
+            fallback: false
+        }))
+        : [{ id: 'direct', kind: 'direct', label: '直连', proxy: 'direct', connect: { proxyCountry: null }, page: {}, fallback: false }];
+    if (proxyURL && provider.supportsProxyURL) {
+        strategies.push({
+            id: proxyURLId(proxyURL),
+            kind: 'proxy-url',
+            label: '自定义代理',
+            proxy: 'custom',
+            connect: { proxyURL },
+            page: { proxyURL },
+            fallback: true
+        });
+    }
+    return strategies;
+}
+
+class ProxyHealth {
+    /**
+     * @param {Object} options
+     * @param {number} options.failureThreshold - 连续失败多少次后熔断，默认 3
+     * @param {number} options.cooldown - 熔断持续时间（毫秒），默认 5 分钟
+     * @param {Function} options.now - 当前时间（毫秒），便于测试
+     */
+    constructor({ failureThreshold = DEFAULT_FAILURE_THRESHOLD, cooldown = DEFAULT_COOLDOWN, now = Date.now } = {}) {
+        this.failureThreshold = failureThreshold;
+        this.cooldown = cooldown;
+        this.now = now;
+        this.entries = new Map();
+    }
+
+    entry(id) {
+        if (!this.entries.has(id)) {
+            this.entries.set(id, {
+                attempts: 0,
+                successes: 0,
+                failures: 0,
+                consecutiveFailures: 0,
+                totalLatency: 0,
+                lastSuccessAt: null,
+                lastFailureAt: null,
+                openUntil: null
+            });
+        }
+        return this.entries.get(id);
+    }
+
+    /**
+     * 策略可用（已打开页面、但文章本身不可用的永久性错误，如文章已删除，也按可用记录）
+     * @param {string} id - 策略标识
+     * @param {number} latency - 本次尝试用时（毫秒）
+     */
+    recordSuccess(id, latency) {
+        const entry = this.entry(id);
+        entry.attempts++;
+        entry.successes++;
+        entry.totalLatency += latency;
+        entry.consecutiveFailures = 0;
+        entry.lastSuccessAt = this.now();
+        entry.openUntil = null;
+    }
+
+    /**
+     * 策略失败；连续失败达到阈值时熔断（冷却后的试探失败会立即再次熔断）
+     * @param {string} id - 策略标识
+     */
+    recordFailure(id) {
+        const entry = this.entry(id);
+        entry.attempts++;
+        entry.failures++;
+        entry.consecutiveFailures++;
+        entry.lastFailureAt = this.now();
+        if (entry.consecutiveFailures >= this.failureThreshold) {
+            entry.openUntil = entry.lastFailureAt + this.cooldown;
+        }
+    }
+
+    /**
+     * 是否处于熔断中
+     */
+    isOpen(id) {
+        const entry = this.entries.get(id);
+        return Boolean(entry && entry.openUntil && entry.openUntil > this.now());
+    }
+
+    /**
+     * 平滑后的成功率：没有记录的策略为 0.5，不会因为一两次结果大起大落
+     */
+    successRate(id) {
+        const entry = this.entries.get(id);
+        return entry ? (entry.successes + 1) / (entry.attempts + 2) : 0.5;
+    }
+
+    averageLatency(id) {
+        const entry = this.entries.get(id);
+        return entry && entry.successes ? entry.totalLatency / entry.successes : null;
+    }
+
+    /**
+     * 生成本次请求的尝试顺序
+     * - 非兜底策略按成功率从高到低、平均延迟从低到高排列，其余情况保持配置顺序
+     * - 兜底策略（自定义代理）排在最后
+     * - 跳过熔断中的策略；全部熔断时忽略熔断，按顺序全部尝试
+     * @param {Array<Object>} strategies - buildAttemptStrategies 的返回值
+     * @returns {{order: Array<Object>, skipped: Array<{strategy: string, retry_at: string}>}}
+     */
+    plan(strategies) {
+        const rank = (a, b) => {
+            const rate = this.successRate(b.id) - this.successRate(a.id);
+            if (rate !== 0) return rate;
+            const latencyA = this.averageLatency(a.id);
+            const latencyB = this.averageLatency(b.id);
+            return latencyA !== null && latencyB !== null ? latencyA - latencyB : 0;
+        };
+        const ordered = [
+            ...strategies.filter(strategy => !strategy.fallback).sort(rank),
+            ...strategies.filter(strategy => strategy.fallback)
+        ];
+        const available = ordered.filter(strategy => !this.isOpen(strategy.id));
+        if (!available.length) {
+            return { order: ordered, skipped: [] };
+        }
+        return {
+            order: available,
+            skipped: ordered
+                .filter(strategy => this.isOpen(strategy.id))
+                .map(strategy => ({ strategy: strategy.id, retry_at: new Date(this.entries.get(strategy.id).openUntil).toISOString() }))
+        };
+    }
+
+    /**
+     * 各策略的健康统计
+     * @returns {Object} 策略标识 -> { attempts, successes, failures, success_rate, avg_latency_ms, consecutive_failures, circuit, open_until }
+     */
+    snapshot() {
+        const stats = {};
+        for (const [id, entry] of this.entries) {
+            const latency = this.averageLatency(id);
+            const open = this.isOpen(id);
+            stats[id] = {
+                attempts: entry.attempts,
+                successes: entry.successes,
+                failures: entry.failures,
+                success_rate: entry.attempts ? entry.successes / entry.attempts : null,
+                avg_latency_ms: latency === null ? null : Math.round(latency),
+                consecutive_failures: entry.consecutiveFailures,
+                circuit: open ? 'open' : 'closed',
+                open_until: open ? new Date(entry.openUntil).toISOString() : null
+            };
+        }
+        return stats;
+    }
+}
+
+/**
+ * 按环境变量创建健康统计：PROXY_FAILURE_THRESHOLD（次）、PROXY_COOLDOWN（秒）
+ * @param {Object} env
+ * @returns {ProxyHealth}
+ */
+function createProxyHealthFromEnv(env = process.env) {
+    const threshold = parseInt(env.PROXY_FAILURE_THRESHOLD, 10);
+    const cooldown = parseInt(env.PROXY_COOLDOWN, 10);
+    return new ProxyHealth({
+        failureThreshold: threshold > 0 ? threshold : DEFAULT_FAILURE_THRESHOLD,
+        cooldown: cooldown > 0 ? cooldown * 1000 : DEFAULT_COOLDOWN
+    });
+}
+
+export {
+    DEFAULT_FAILURE_THRESHOLD,
+    DEFAULT_COOLDOWN,
+    buildAttemptStrategies,
+    ProxyHealth,
+    createProxyHealthFromEnv
+};
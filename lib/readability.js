@@ -0,0 +1,140 @@
+/**
+ * 正文定位的打分兜底（参考 Readability 的做法）
+ * - 先移除导航、页脚、评论、侧栏等页面框架
+ * - 以段落为单位打分：文字越长、逗号越多分越高，分数累加到父元素与祖父元素
+ * - 按 class/id 的正负面词调整，再乘以 (1 - 链接密度)
+ * - 返回得分最高的容器及置信度，供调用方判断抽取是否可靠
+ */
+
+// 页面框架元素：整块移除
+const CHROME_SELECTOR = [
+    'nav', 'footer', 'aside', 'form', 'script', 'style', 'noscript', 'template', 'dialog',
+    '[role="navigation"]', '[role="complementary"]', '[role="contentinfo"]', '[role="banner"]',
+    '[aria-hidden="true"]', '[hidden]'
+].join(', ');
+
+// class/id 命中且不带正文特征时视为框架
+const UNLIKELY_CANDIDATES = /banner|breadcrumb|combx|comment|community|disqus|footer|header|menu|related|remark|rss|share|shoutbox|sidebar|skyscraper|sponsor|ad-break|agegate|pagination|pager|popup|navbar|navigation|social|subscribe|newsletter|cookie|recommend|toolbar/i;
+const MAYBE_CANDIDATE = /article|body|column|content|main|post|entry|story/i;
+
+// 打分时的正负面词
+const POSITIVE = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story|rich_media/i;
+const NEGATIVE = /hidden|banner|combx|comment|com-|contact|foot|footer|footnote|masthead|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget|nav|menu|social|recommend/i;
+
+const CANDIDATE_TAGS = ['div', 'section', 'article', 'main', 'td', 'blockquote', 'pre'];
+const PARAGRAPH_SELECTOR = 'p, pre, td, blockquote, li, h2, h3';
+const MIN_PARAGRAPH_LENGTH = 25;
+
+const normalizeText = text => String(text || '').replace(/\s+/g, ' ').trim();
+
+function classAndId(el) {
+    return `${(el.attribs && el.attribs.class) || ''} ${(el.attribs && el.attribs.id) || ''}`;
+}
+
+/**
+ * 链接密度：链接文字占全部文字的比例
+ * @param {import('cheerio').CheerioAPI} $
+ * @param {Object} node - DOM 节点或 Cheerio 对象
+ * @returns {number} 0~1
+ */
+function linkDensity($, node) {
+    const $node = $(node);
+    const textLength = normalizeText($node.text()).length;
+    if (!textLength) return 0;
+    const linkLength = $node.find('a').toArray()
+        .reduce((sum, a) => sum + normalizeText($(a).text()).length, 0);
+    return Math.min(1, linkLength / textLength);
+}
+
+/**
+ * 移除页面框架（导航、页脚、评论、侧栏等）
+ * @param {import('cheerio').CheerioAPI} $
+ * @param {Object} root - 需要清理的根节点
+ */
+function stripChrome($, root) {
+    const $root = $(root);
+    $root.find(CHROME_SELECTOR).remove();
+    $root.find('*')
+        .filter((_i, el) => !['body', 'article', 'main', 'a', 'img'].includes(el.tagName)
+            && UNLIKELY_CANDIDATES.test(classAndId(el))
+            && !MAYBE_CANDIDATE.test(classAndId(el)))
+        .remove();
+}
+
+function classWeight(el) {
+    const names = classAndId(el);
+    let weight = 0;
+    if (NEGATIVE.test(names)) weight -= 25;
+    if (POSITIVE.test(names)) weight += 25;
+    return weight;
+}
+
+/**
+ * 为正文容器打分，返回得分最高的候选
+ * @param {import('cheerio').CheerioAPI} $
+ * @param {Object} root - 搜索范围，默认 body
+ * @returns {{node: import('cheerio').Cheerio, score: number, confidence: number, textLength: number, linkDensity: number}|null}
+ */
+function scoreContent($, root = $('body')) {
+    const scores = new Map();
+    const addScore = (el, value) => {
+        if (!el || el.type !== 'tag' || !CANDIDATE_TAGS.includes(el.tagName)) return;
+        if (!scores.has(el)) {
+            scores.set(el, classWeight(el) + (el.tagName === 'article' || el.tagName === 'main' ? 10 : 0));
+        }
+        scores.set(el, scores.get(el) + value);
+    };
+
+    $(root).find(PARAGRAPH_SELECTOR).each((_i, el) => {
+        const text = normalizeText($(el).text());
+        if (text.length < MIN_PARAGRAPH_LENGTH) return;
+        // 1 分基础分 + 逗号数 + 每 100 字 1 分（最多 3 分）
+        const commas = (text.match(/[,，、;；]/g) || []).length;
+        const score = 1 + commas + Math.min(Math.floor(text.length / 100), 3);
+        addScore(el.parent, score);
+        addScore(el.parent && el.parent.parent, score / 2);
+    });
+
+    const candidates = [...scores.entries()]
+        .map(([el, score]) => ({ el, score: score * (1 - linkDensity($, el)) }))
+        .filter(candidate => candidate.score > 0)
+        .sort((a, b) => b.score - a.score);
+    if (!candidates.length) return null;
+
+    // 父元素得分接近时上移一层，把同一篇文章的相邻段落块合并进来
+    let top = candidates[0];
+    for (let parent = top.el.parent; parent && scores.has(parent); parent = parent.parent) {
+        const parentScore = candidates.find(candidate => candidate.el === parent);
+        if (!parentScore || parentScore.score < top.score * 0.75) break;
+        top = parentScore;
+    }
+
+    const node = $(top.el);
+    const textLength = normalizeText(node.text()).length;
+    const density = linkDensity($, top.el);
+    // 与最佳候选不重叠的次优候选：得分越接近，越难说清哪块才是正文
+    const contains = (outer, inner) => {
+        for (let el = inner; el; el = el.parent) {
+            if (el === outer) return true;
+        }
+        return false;
+    };
+    const rival = candidates.find(candidate => !contains(top.el, candidate.el) && !contains(candidate.el, top.el));
+    const separation = rival ? 1 - Math.min(1, rival.score / top.score) : 1;
+    const confidence = 0.5 * Math.min(1, textLength / 1000) + 0.3 * (1 - density) + 0.2 * separation;
+
+    return {
+        node,
+        score: Math.round(top.score * 10) / 10,
+        confidence: Math.round(confidence * 100) / 100,
+        textLength,
+        linkDensity: Math.round(density * 100) / 100
+    };
+}
+
+export {
+    CHROME_SELECTOR,
+    linkDensity,
+    stripChrome,
+    scoreContent
+};
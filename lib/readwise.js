@@ -0,0 +1,159 @@
+/**
+ * 保存到 Readwise Reader
+ * - 把抓取结果（html、标题、作者、发布日期、封面、标签）提交到 Reader 的 save 接口
+ * - 按规范 URL 去重：同一篇文章已保存过则跳过，不重复提交
+ * - token 与接口地址可配置，便于对接本地桩服务测试
+ */
+
+import { MemoryCacheStore, FileCacheStore } from './cache.js';
+import { articleIdentity } from './urls.js';
+
+const DEFAULT_BASE_URL = 'https://readwise.io';
+const SAVE_PATH = '/api/v3/save/';
+
+/**
+ * 由抓取结果生成 Reader save 接口的请求体
+ * @param {Object} result - scrapeArticle / processHtml 的返回值（需包含 html 格式）
+ * @param {Object} options
+ * @param {Array<string>} options.tags - 标签（可选）
+ * @returns {Object}
+ */
+function buildReaderDocument(result, { tags = [] } = {}) {
+    const metadata = result.metadata || {};
+    const html = result.data && result.data.html;
+    if (!html) {
+        throw new Error('保存到 Readwise 需要 html 格式的正文');
+    }
+    const document = {
+        url: metadata.canonical_url || result.url,
+        html,
+        should_clean_html: false,
+        category: 'article',
+        saved_using: metadata.saved_using || 'wechat-scraper-mcp',
+    };
+    // 只提交有值的字段，空字符串会覆盖 Reader 自己解析出的值
+    for (const [field, value] of [
+        ['title', metadata.title],
+        ['author', metadata.author],
+        ['published_date', metadata.published_date],
+        ['image_url', metadata.image_url],
+        ['summary', metadata.summary],
+    ]) {
+        if (value) document[field] = value;
+    }
+    const cleanTags = [...new Set(tags.map(tag => String(tag).trim()).filter(Boolean))];
+    if (cleanTags.length) {
+        document.tags = cleanTags;
+    }
+    return document;
+}
+
+class ReadwiseClient {
+    /**
+     * @param {Object} options
+     * @param {string} options.token - Readwise access token
+     * @param {string} options.baseUrl - 接口地址，默认 https://readwise.io
+     * @param {Object} options.store - 已保存记录的存储（需实现 get/set，默认进程内）
+     * @param {Function} options.fetchImpl - fetch 实现（测试用）
+     * @param {number} options.timeout - 单次请求超时（毫秒）
+     */
+    constructor({ token, baseUrl = DEFAULT_BASE_URL, store = new MemoryCacheStore(), fetchImpl = fetch, timeout = 30000 } = {}) {
+        if (!token) {
+            throw new Error('缺少 Readwise access token（READWISE_TOKEN）');
+        }
+        this.token = token;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.store = store;
+        this.fetchImpl = fetchImpl;
+        this.timeout = timeout;
+    }
+
+    /**
+     * 去重键：规范 URL 对应的文章身份
+     */
+    keyFor(url) {
+        return `readwise|${articleIdentity(url)}`;
+    }
+
+    /**
+     * 查询是否已保存过
+     * @param {string} url - 文章 URL（规范 URL 或原始 URL）
+     * @returns {Promise<Object|null>} 已保存时返回 { document_id, url, saved_at }
+     */
+    async findSaved(url) {
+        return this.store.get(this.keyFor(url));
+    }
+
+    /**
+     * 保存文章到 Reader
+     * @param {Object} result - 抓取结果
+     * @param {Object} options
+     * @param {Array<string>} options.tags - 标签
+     * @returns {Promise<{status: 'saved'|'exists'|'skipped', document_id: string, url: string}>}
+     *   saved: 新建文档；exists: Reader 中已存在同 URL 文档；skipped: 本地记录显示已保存，未再请求
+     * @throws {Error} 接口返回非 2xx（error.status 为 HTTP 状态码）
+     */
+    async save(result, { tags = [] } = {}) {
+        const document = buildReaderDocument(result, { tags });
+        const saved = await this.findSaved(document.url);
+        if (saved) {
+            return { status: 'skipped', document_id: saved.document_id, url: saved.url };
+        }
+
+        const response = await this.fetchImpl(`${this.baseUrl}${SAVE_PATH}`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Token ${this.token}`,
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(document),
+            signal: AbortSignal.timeout(this.timeout),
+        });
+        const text = await response.text();
+        if (!response.ok) {
+            const error = new Error(`Readwise 保存失败: HTTP ${response.status} ${text.slice(0, 200)}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        let body = {};
+        try {
+            body = text ? JSON.parse(text) : {};
+        } catch (_) {
+            // 响应体不是 JSON 时只记录状态
+        }
+        const record = {
+            document_id: body.id ? String(body.id) : null,
+            url: body.url || null,
+            saved_at: new Date().toISOString(),
+        };
+        await this.store.set(this.keyFor(document.url), record);
+        // Reader 对已存在的 URL 返回 200，新建返回 201
+        return { status: response.status === 201 ? 'saved' : 'exists', document_id: record.document_id, url: record.url };
+    }
+}
+
+/**
+ * 从环境变量创建 Readwise 客户端
+ * - READWISE_TOKEN: access token，未设置时返回 null
+ * - READWISE_BASE_URL: 接口地址，默认 https://readwise.io
+ * - READWISE_STATE_DIR: 已保存记录的目录（可选，默认只在进程内记录）
+ * @returns {ReadwiseClient|null}
+ */
+function createReadwiseClientFromEnv(env = process.env) {
+    const token = (env.READWISE_TOKEN || '').trim();
+    if (!token) {
+        return null;
+    }
+    return new ReadwiseClient({
+        token,
+        baseUrl: env.READWISE_BASE_URL || DEFAULT_BASE_URL,
+        store: env.READWISE_STATE_DIR ? new FileCacheStore({ dir: env.READWISE_STATE_DIR }) : new MemoryCacheStore(),
+    });
+}
+
+export {
+    buildReaderDocument,
+    ReadwiseClient,
+    createReadwiseClientFromEnv
+};
@@ -0,0 +1,128 @@
+/**
+ * 重试策略
+ * - 两层重试：同一抓取策略内的页面导航重试，以及换下一个抓取策略（代理）重试
+ * - 两层等待都按指数退避计算，并加入随机抖动，避免并发抓取同时重试
+ * - retryOn 决定哪些错误码值得重试；文章删除、违规、404 等永久性错误永远不重试
+ */
+
+import { ERROR_CODES, isPermanentError } from './errors.js';
+
+// 无法归类（没有错误码）的异常在 retryOn 中的名称
+const UNCLASSIFIED = 'UNCLASSIFIED';
+
+const RETRYABLE_CODES = [ERROR_CODES.TIMEOUT, ERROR_CODES.PROXY_FAILED, ERROR_CODES.CAPTCHA_REQUIRED, UNCLASSIFIED];
+
+const DEFAULT_RETRY_POLICY = {
+    maxAttempts: null,  // 最多尝试几个抓取策略，null 为全部；配置了自定义代理时它占最后一次
+    navigationAttempts: 3,  // 同一策略内最多导航几次
+    navigationTimeout: 60000,  // 单次导航超时（毫秒）
+    initialDelay: 3000,  // 第一次重试前的等待（毫秒）
+    backoffFactor: 2,
+    maxDelay: 30000,
+    jitter: 0.2,  // 等待时间随机浮动的比例
+    retryOn: RETRYABLE_CODES
+};
+
+/**
+ * 校验并补全重试策略
+ * @param {Object} policy - 与 DEFAULT_RETRY_POLICY 同名的字段，未指定的取默认值
+ * @returns {Object}
+ */
+function normalizeRetryPolicy(policy = {}) {
+    const merged = { ...DEFAULT_RETRY_POLICY, ...(policy || {}) };
+    const unknown = Object.keys(policy || {}).find(key => !(key in DEFAULT_RETRY_POLICY));
+    if (unknown) {
+        throw new Error(`重试策略中的未知字段: ${unknown}`);
+    }
+    const problems = [];
+    if (merged.maxAttempts !== null && !(Number.isInteger(merged.maxAttempts) && merged.maxAttempts >= 1)) {
+        problems.push('maxAttempts 必须是正整数或 null');
+    }
+    if (!(Number.isInteger(merged.navigationAttempts) && merged.navigationAttempts >= 1)) {
+        problems.push('navigationAttempts 必须是正整数');
+    }
+    for (const key of ['navigationTimeout', 'initialDelay', 'maxDelay']) {
+        if (!(Number.isFinite(merged[key]) && merged[key] >= 0)) {
+            problems.push(`${key} 必须是非负数（毫秒）`);
+        }
+    }
+    if (!(Number.isFinite(merged.backoffFactor) && merged.backoffFactor >= 1)) {
+        problems.push('backoffFactor 必须不小于 1');
+    }
+    if (!(Number.isFinite(merged.jitter) && merged.jitter >= 0 && merged.jitter <= 1)) {
+        problems.push('jitter 必须在 0 到 1 之间');
+    }
+    const knownCodes = [...Object.values(ERROR_CODES), UNCLASSIFIED];
+    if (!Array.isArray(merged.retryOn) || merged.retryOn.some(code => !knownCodes.includes(code))) {
+        problems.push(`retryOn 必须是错误码数组（可选: ${knownCodes.join(', ')}）`);
+    }
+    if (problems.length) {
+        throw new Error(`重试策略无效: ${problems.join('; ')}`);
+    }
+    return merged;
+}
+
+/**
+ * 校验总时限
+ * @param {number|null} deadline - 毫秒，null 为不限
+ * @returns {number|null}
+ */
+function normalizeDeadline(deadline = null) {
+    if (deadline !== null && !(Number.isFinite(deadline) && deadline > 0)) {
+        throw new Error(`deadline 必须是正数（毫秒）: ${deadline}`);
+    }
+    return deadline;
+}
+
+/**
+ * 按 maxAttempts 截取抓取策略
+ * - 截取时自定义代理（fallback）仍占最后一个名额，不会被官方代理挤掉；maxAttempts 为 1 时只试排在最前的策略
+ * @param {Array<Object>} order - ProxyHealth.plan 排好的策略，fallback 在最后
+ * @param {number|null} maxAttempts
+ * @returns {{order: Array<Object>, dropped: Array<Object>}} 保留的策略与被截掉的策略
+ */
+function limitAttempts(order, maxAttempts) {
+    if (!maxAttempts || order.length <= maxAttempts) {
+        return { order, dropped: [] };
+    }
+    const kept = order.slice(0, maxAttempts);
+    const fallback = order.find(strategy => strategy.fallback);
+    if (maxAttempts >= 2 && fallback && !kept.includes(fallback)) {
+        kept[maxAttempts - 1] = fallback;
+    }
+    return { order: kept, dropped: order.filter(strategy => !kept.includes(strategy)) };
+}
+
+/**
+ * 第 retry 次重试（从 1 开始）前的等待时间
+ * @param {Object} policy - normalizeRetryPolicy 的返回值
+ * @param {number} retry
+ * @param {Function} random - 返回 [0, 1) 的随机数，便于测试
+ * @returns {number} 毫秒
+ */
+function backoffDelay(policy, retry, random = Math.random) {
+    const base = Math.min(policy.maxDelay, policy.initialDelay * policy.backoffFactor ** (retry - 1));
+    const spread = base * policy.jitter;
+    return Math.max(0, Math.round(base - spread + random() * spread * 2));
+}
+
+/**
+ * 错误是否值得重试
+ * @param {Object} policy - normalizeRetryPolicy 的返回值
+ * @param {Error} error - 已经过 toScrapeError 归类的错误
+ * @returns {boolean}
+ */
+function shouldRetry(policy, error) {
+    if (!error || isPermanentError(error) || error.code === ERROR_CODES.CANCELLED) return false;
+    return policy.retryOn.includes(error.code || UNCLASSIFIED);
+}
+
+export {
+    UNCLASSIFIED,
+    DEFAULT_RETRY_POLICY,
+    normalizeRetryPolicy,
+    normalizeDeadline,
+    limitAttempts,
+    backoffDelay,
+    shouldRetry
+};
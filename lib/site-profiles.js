@@ -0,0 +1,275 @@
+/**
+ * 站点配置（site profile）注册表
+ * - 每个配置对应一组主机名模式，声明正文/标题/作者/日期选择器、需要移除的元素、懒加载图片属性与等待条件
+ * - 内置 wechat、mowen 与 generic（兜底）配置；可从 JSON / YAML 目录加载外部配置，同名时覆盖内置配置
+ * - 加载时校验，配置有误直接报错，避免运行中才发现选择器写错
+ */
+
+import * as cheerio from 'cheerio';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { parse as parseYaml } from 'yaml';
+
+const SELECTOR_FIELDS = ['content', 'title', 'author', 'date', 'strip'];
+const PROFILE_FIELDS = ['name', 'description', 'hosts', ...SELECTOR_FIELDS, 'lazyImageAttributes', 'wait'];
+const WAIT_FIELDS = ['selector', 'visible', 'timeout', 'delay'];
+const PROFILE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// 没有 URL 的离线页面（多为保存下来的公众号文章）先按该配置解析
+const OFFLINE_PROFILE = 'wechat';
+
+const BUILTIN_PROFILES = [
+    {
+        name: 'wechat',
+        description: '微信公众号文章',
+        hosts: ['mp.weixin.qq.com'],
+        content: ['#js_content', '.rich_media_content'],
+        title: ['#activity-name', '.rich_media_title'],
+        author: ['#js_name', '.rich_media_meta_nickname'],
+        date: ['#publish_time', '.rich_media_meta_text'],
+        lazyImageAttributes: ['data-src', 'data-original', 'data-lazy-src'],
+        // 正文在脚本处理完成后才从 visibility: hidden 变为可见
+        wait: { selector: '#js_content', visible: true, timeout: 10000 }
+    },
+    {
+        name: 'mowen',
+        description: '墨问',
+        hosts: ['*.mowen.cn'],
+        content: ['div.doc', '.doc']
+    },
+    {
+        // 兜底配置：选择器命中后还会与正文打分结果比对（见 lib/readability.js）
+        name: 'generic',
+        description: '通用博客/文档站点',
+        hosts: ['*'],
+        content: ['article', 'main article', '.article-content', '.post-content',
+            '.entry-content', '.markdown-body', '.content article', 'main .content', '#content article', '#content'],
+        title: ['meta[property="og:title"]@content', 'title'],
+        author: ['meta[name="author"]@content', 'meta[property="og:article:author"]@content'],
+        date: ['meta[property="article:published_time"]@content'],
+        strip: ['script', 'style', 'noscript'],
+        lazyImageAttributes: ['data-src', 'data-original', 'data-lazy-src'],
+        wait: { selector: 'article, main', timeout: 5000 }
+    }
+];
+
+/**
+ * 主机名模式匹配
+ * - "example.com"：只匹配该主机
+ * - "*.example.com"：匹配 example.com 及其子域名
+ * - "*"：匹配任意主机
+ */
+function hostMatches(pattern, hostname) {
+    const host = String(hostname || '').toLowerCase();
+    const value = pattern.toLowerCase();
+    if (value === '*') return true;
+    if (value.startsWith('*.')) {
+        const base = value.slice(2);
+        return host === base || host.endsWith(`.${base}`);
+    }
+    return host === value;
+}
+
+/**
+ * 读取“选择器@属性”形式的字段：有 @ 时取属性值，否则取文本
+ * @param {import('cheerio').CheerioAPI} $
+ * @param {Array<string>} specs - 选择器列表，按顺序取第一个非空值
+ * @returns {string}
+ */
+function readField($, specs = []) {
+    for (const spec of specs) {
+        const at = spec.lastIndexOf('@');
+        const selector = at > 0 ? spec.slice(0, at) : spec;
+        const node = $(selector).first();
+        const value = at > 0 ? node.attr(spec.slice(at + 1)) : node.text();
+        if (value && value.trim()) {
+            return value.trim();
+        }
+    }
+    return '';
+}
+
+/**
+ * 校验单个配置
+ * @param {Object} profile - 配置对象
+ * @param {string} source - 来源（文件路径或 builtin），用于错误信息
+ * @returns {Object} 规范化后的配置（附带 source）
+ * @throws {Error} 列出全部问题
+ */
+function validateProfile(profile, source = 'builtin') {
+    const problems = [];
+    const $ = cheerio.load('');
+    const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim());
+
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+        throw new Error(`站点配置无效 (${source}): 必须是对象`);
+    }
+    for (const key of Object.keys(profile)) {
+        if (!PROFILE_FIELDS.includes(key)) problems.push(`未知字段 ${key}`);
+    }
+    if (typeof profile.name !== 'string' || !/^[\w.-]+$/.test(profile.name)) {
+        problems.push('name 必须是由字母、数字、. _ - 组成的字符串');
+    }
+    if (!isStringList(profile.hosts) || !profile.hosts.length) {
+        problems.push('hosts 必须是非空字符串数组');
+    }
+    if (!isStringList(profile.content) || !profile.content.length) {
+        problems.push('content 必须是非空选择器数组');
+    }
+    for (const field of SELECTOR_FIELDS) {
+        if (profile[field] === undefined) continue;
+        if (!isStringList(profile[field])) {
+            problems.push(`${field} 必须是选择器字符串数组`);
+            continue;
+        }
+        for (const spec of profile[field]) {
+            const at = spec.lastIndexOf('@');
+            const selector = field !== 'content' && field !== 'strip' && at > 0 ? spec.slice(0, at) : spec;
+            try {
+                $(selector);
+            } catch (error) {
+                problems.push(`${field} 中的选择器无效: ${spec} (${error.message})`);
+            }
+        }
+    }
+    if (profile.lazyImageAttributes !== undefined && !isStringList(profile.lazyImageAttributes)) {
+        problems.push('lazyImageAttributes 必须是属性名字符串数组');
+    }
+    if (profile.wait !== undefined) {
+        const wait = profile.wait;
+        if (!wait || typeof wait !== 'object' || Array.isArray(wait)) {
+            problems.push('wait 必须是对象');
+        } else {
+            for (const key of Object.keys(wait)) {
+                if (!WAIT_FIELDS.includes(key)) problems.push(`wait 中的未知字段 ${key}`);
+            }
+            if (wait.selector !== undefined && (typeof wait.selector !== 'string' || !wait.selector.trim())) {
+                problems.push('wait.selector 必须是非空字符串');
+            }
+            if (wait.visible !== undefined && typeof wait.visible !== 'boolean') {
+                problems.push('wait.visible 必须是布尔值');
+            }
+            for (const key of ['timeout', 'delay']) {
+                if (wait[key] !== undefined && !(Number.isInteger(wait[key]) && wait[key] >= 0)) {
+                    problems.push(`wait.${key} 必须是非负整数（毫秒）`);
+                }
+            }
+        }
+    }
+
+    if (problems.length) {
+        throw new Error(`站点配置无效 (${source}${typeof profile.name === 'string' ? `: ${profile.name}` : ''}): ${problems.join('; ')}`);
+    }
+    return { ...profile, source };
+}
+
+class SiteProfileRegistry {
+    /**
+     * @param {Array<Object>} profiles - 已校验的配置；同名配置后者覆盖前者
+     */
+    constructor(profiles = []) {
+        this.profiles = new Map();
+        for (const profile of profiles) {
+            this.profiles.delete(profile.name);
+            this.profiles.set(profile.name, profile);
+        }
+    }
+
+    /**
+     * 仅包含内置配置的注册表
+     */
+    static builtin() {
+        return new SiteProfileRegistry(BUILTIN_PROFILES.map(profile => validateProfile(profile, 'builtin')));
+    }
+
+    /**
+     * 兜底配置：hosts 含 "*" 的配置
+     */
+    get fallback() {
+        return [...this.profiles.values()].find(profile => profile.hosts.includes('*')) || null;
+    }
+
+    /**
+     * URL 对应的配置链：匹配主机名的配置（外部配置优先），最后是兜底配置
+     * 没有 URL 时使用微信配置 + 兜底配置
+     * @param {string} url
+     * @returns {Array<Object>}
+     */
+    profilesFor(url) {
+        let hostname = '';
+        try {
+            hostname = new URL(url).hostname;
+        } catch (_) {
+            // 无 URL 的离线页面
+        }
+        const fallback = this.fallback;
+        const matched = hostname
+            ? [...this.profiles.values()].reverse().filter(profile => profile !== fallback
+                && profile.hosts.some(pattern => hostMatches(pattern, hostname)))
+            : [this.profiles.get(OFFLINE_PROFILE)].filter(Boolean);
+        return fallback ? [...matched.slice(0, 1), fallback] : matched.slice(0, 1);
+    }
+
+    /**
+     * 配置列表（供 list_site_profiles 工具使用）
+     */
+    list() {
+        return [...this.profiles.values()].map(profile => ({ ...profile }));
+    }
+}
+
+/**
+ * 解析配置文件（JSON 或 YAML），文件内容可以是单个配置或配置数组
+ */
+async function parseProfileFile(filePath) {
+    const text = await fs.readFile(filePath, 'utf-8');
+    if (path.extname(filePath).toLowerCase() === '.json') {
+        return JSON.parse(text);
+    }
+    return parseYaml(text);
+}
+
+/**
+ * 加载站点配置注册表：内置配置 + 目录中的 JSON / YAML 文件（按文件名排序）
+ * @param {Object} options
+ * @param {string} options.dir - 外部配置目录（可选）
+ * @returns {Promise<SiteProfileRegistry>}
+ * @throws {Error} 目录不可读、文件解析失败或配置校验失败
+ */
+async function loadSiteProfileRegistry({ dir } = {}) {
+    const profiles = BUILTIN_PROFILES.map(profile => validateProfile(profile, 'builtin'));
+    if (dir) {
+        const directory = path.resolve(dir);
+        const files = (await fs.readdir(directory))
+            .filter(name => PROFILE_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+            .sort();
+        const seen = new Map();
+        for (const name of files) {
+            const filePath = path.join(directory, name);
+            let parsed;
+            try {
+                parsed = await parseProfileFile(filePath);
+            } catch (error) {
+                throw new Error(`站点配置解析失败 (${filePath}): ${error.message}`);
+            }
+            for (const profile of Array.isArray(parsed) ? parsed : [parsed]) {
+                const validated = validateProfile(profile, filePath);
+                if (seen.has(validated.name)) {
+                    throw new Error(`站点配置重名: ${validated.name} (${seen.get(validated.name)}, ${filePath})`);
+                }
+                seen.set(validated.name, filePath);
+                profiles.push(validated);
+            }
+        }
+    }
+    return new SiteProfileRegistry(profiles);
+}
+
+export {
+    BUILTIN_PROFILES,
+    SiteProfileRegistry,
+    hostMatches,
+    readField,
+    validateProfile,
+    loadSiteProfileRegistry
+};
@@ -0,0 +1,228 @@
+/**
+ * URL 规范化与文章身份
+ * - 校验输入：微信文章、微信合集或其他 http(s) 页面
+ * - 去掉分享/统计参数与 hash，解开跳转包装链接
+ * - 根据页面中的 __biz/mid/idx/sn 得到规范长链接与稳定的 article_id
+ */
+
+import { isAlbumUrl } from './album.js';
+
+const WECHAT_HOST = /(^|\.)mp\.weixin\.qq\.com$/i;
+
+// 微信的分享/统计类参数，不影响文章身份（其他站点的 lang、version、from 等可能决定页面内容，不去掉）
+const TRACKING_PARAMS = ['chksm', 'scene', 'srcid', 'sharer_sharetime', 'sharer_shareid', 'sharer_shareinfo',
+    'sharer_shareinfo_first', 'exportkey', 'pass_ticket', 'clicktime', 'enterid', 'ascene', 'devicetype',
+    'version', 'nettype', 'lang', 'wx_header', 'key', 'uin', 'from', 'isappinstalled', 'subscene', 'sessionid',
+    'mpshare', 'shareto', 'poc_token', 'fasttmpl_type', 'fasttmpl_fullversion', 'realreporttime'];
+
+// 跳转包装链接：目标地址放在查询参数中
+const REDIRECT_WRAPPERS = [
+    { host: /(^|\.)weixin110\.qq\.com$/i, params: ['url'] },
+    { host: WECHAT_HOST, path: /^\/mp\/(wappoc_appmsgcaptcha|readtemplate)/, params: ['target_url', 'url'] },
+    { host: /(^|\.)open\.weixin\.qq\.com$/i, params: ['redirect_uri'] },
+    { host: /(^|\.)link\.zhihu\.com$/i, params: ['target'] },
+    { host: /(^|\.)link\.juejin\.cn$/i, params: ['target'] }
+];
+
+// 长链接中决定文章身份的参数（旧版 /mp/appmsg/show 使用 appmsgid/itemidx/sign）
+const ARTICLE_PARAM_ALIASES = {
+    __biz: ['__biz'],
+    mid: ['mid', 'appmsgid'],
+    idx: ['idx', 'itemidx'],
+    sn: ['sn', 'sign']
+};
+
+function firstParam(searchParams, names) {
+    for (const name of names) {
+        const value = searchParams.get(name);
+        if (value) return value;
+    }
+    return '';
+}
+
+/**
+ * 解开跳转包装链接（最多 3 层）
+ * @param {string} url
+ * @returns {string} 目标 URL；不是包装链接时原样返回
+ */
+function unwrapRedirect(url) {
+    let current = String(url || '').trim();
+    for (let depth = 0; depth < 3; depth++) {
+        let parsed;
+        try {
+            parsed = new URL(current);
+        } catch (_) {
+            return current;
+        }
+        const wrapper = REDIRECT_WRAPPERS.find(item => item.host.test(parsed.hostname)
+            && (!item.path || item.path.test(parsed.pathname)));
+        const target = wrapper && wrapper.params
+            .map(name => parsed.searchParams.get(name))
+            .find(value => /^https?:\/\//i.test(value || ''));
+        if (!target) return current;
+        current = target;
+    }
+    return current;
+}
+
+/**
+ * 由文章身份参数拼出规范长链接
+ * @param {Object} params - { biz, mid, idx, sn }
+ * @returns {string} https://mp.weixin.qq.com/s?__biz=...&mid=...&idx=...&sn=...，缺少 biz/mid 时返回空字符串
+ */
+function canonicalArticleUrl({ biz, mid, idx, sn } = {}) {
+    if (!biz || !mid) return '';
+    // __biz 是 base64，保留末尾的 "=" 与微信分享出的链接一致
+    const encode = value => encodeURIComponent(value).replace(/%3D/g, '=');
+    const query = `__biz=${encode(biz)}&mid=${encode(mid)}&idx=${encode(idx || '1')}`;
+    return `https://mp.weixin.qq.com/s?${query}${sn ? `&sn=${encode(sn)}` : ''}`;
+}
+
+/**
+ * 去掉 hash、utm_* 与给定的统计参数，其余参数排序
+ * @param {URL} parsed - 会被修改
+ * @param {string[]} names - 额外去掉的参数（微信链接传 TRACKING_PARAMS）
+ * @returns {string}
+ */
+function stripTrackingParams(parsed, names = []) {
+    parsed.hash = '';
+    for (const name of names) {
+        parsed.searchParams.delete(name);
+    }
+    for (const name of [...parsed.searchParams.keys()]) {
+        if (name.startsWith('utm_')) parsed.searchParams.delete(name);
+    }
+    parsed.searchParams.sort();
+    return parsed.toString();
+}
+
+/**
+ * 校验并规范化输入 URL
+ * - wechat_article: /s/<code> 短链，或只保留 __biz/mid/idx/sn 的 /s? 长链；
+ *   没有 __biz/mid 的临时链接去掉统计参数后原样保留
+ * - wechat_album: 只保留 __biz/action/album_id 的合集链接
+ * - web: 其他 http(s) 页面，只去掉 hash 与 utm_*，参数排序
+ * @param {string} input - 用户提供的 URL
+ * @returns {{type: string, url: string, id: string}} 类型、规范化后的 URL 与文章身份
+ * @throws {Error} 不是 http(s) URL，或是不支持的微信页面
+ */
+function parseArticleUrl(input) {
+    const raw = unwrapRedirect(String(input || '').trim().replace(/&amp;/g, '&'));
+    let parsed;
+    try {
+        parsed = new URL(raw);
+    } catch (_) {
+        throw new Error(`无效的 URL: ${input}`);
+    }
+    if (!/^https?:$/.test(parsed.protocol)) {
+        throw new Error(`仅支持 http(s) URL: ${input}`);
+    }
+
+    if (WECHAT_HOST.test(parsed.hostname)) {
+        parsed.protocol = 'https:';
+        parsed.hostname = 'mp.weixin.qq.com';
+
+        const shortMatch = parsed.pathname.match(/^\/s\/([\w-]+)\/?$/);
+        if (shortMatch) {
+            return {
+                type: 'wechat_article',
+                url: `https://mp.weixin.qq.com/s/${shortMatch[1]}`,
+                id: `wechat:s:${shortMatch[1]}`
+            };
+        }
+
+        if (/^\/(s|mp\/appmsg\/show)\/?$/.test(parsed.pathname)) {
+            const [biz, mid, idx, sn] = Object.values(ARTICLE_PARAM_ALIASES)
+                .map(names => firstParam(parsed.searchParams, names));
+            if (!biz || !mid) {
+                // 临时链接（/s?src=11&timestamp=...&signature=...）：没有 __biz/mid，按去掉统计参数后的完整 URL 作为身份，
+                // 加载页面后由 resolveCanonicalIdentity 得到规范长链接
+                const url = stripTrackingParams(parsed, TRACKING_PARAMS);
+                if (!url.includes('?')) {
+                    throw new Error(`微信文章链接缺少 __biz/mid 等参数: ${input}`);
+                }
+                return { type: 'wechat_article', url, id: url };
+            }
+            return {
+                type: 'wechat_article',
+                url: canonicalArticleUrl({ biz, mid, idx, sn }),
+                id: `wechat:${biz}:${mid}:${idx || '1'}`
+            };
+        }
+
+        if (isAlbumUrl(parsed.toString())) {
+            const albumId = parsed.searchParams.get('album_id');
+            if (!albumId) {
+                throw new Error(`合集链接缺少 album_id 参数: ${input}`);
+            }
+            const params = new URLSearchParams({ action: 'getalbum', album_id: albumId });
+            const biz = parsed.searchParams.get('__biz');
+            if (biz) params.set('__biz', biz);
+            params.sort();
+            return {
+                type: 'wechat_album',
+                url: `https://mp.weixin.qq.com/mp/appmsgalbum?${params.toString()}`,
+                id: `wechat:album:${albumId}`
+            };
+        }
+
+        throw new Error(`不支持的微信页面: ${parsed.pathname}`);
+    }
+
+    const url = stripTrackingParams(parsed);
+    return { type: 'web', url, id: url };
+}
+
+/**
+ * 计算文章身份（去重与缓存键的主体），无法解析时返回去掉首尾空白的原始输入
+ * - 短链 /s/<code> → wechat:s:<code>
+ * - 长链 /s?__biz=&mid=&idx= → wechat:<biz>:<mid>:<idx>
+ * - 临时链接 /s?src=&timestamp=&signature= → 规范化后的 URL
+ * - 其他站点：规范化后的 URL
+ * @param {string} url - 文章 URL
+ * @returns {string} 文章身份
+ */
+function articleIdentity(url) {
+    try {
+        return parseArticleUrl(url).id;
+    } catch (_) {
+        return String(url || '').trim();
+    }
+}
+
+/**
+ * 加载页面后解析规范身份
+ * - 页面中有 __biz/mid 时使用规范长链接（短链与长链得到同一个 article_id）
+ * - 否则依次使用页面声明的 canonical URL 与请求 URL
+ * @param {Object} params - 页面中的 { biz, mid, idx, sn }
+ * @param {...string} fallbackUrls - 候选 URL
+ * @returns {{canonical_url: string, article_id: string}}
+ */
+function resolveCanonicalIdentity(params, ...fallbackUrls) {
+    const canonicalUrl = canonicalArticleUrl(params || {});
+    if (canonicalUrl) {
+        return {
+            canonical_url: canonicalUrl,
+            article_id: `wechat:${params.biz}:${params.mid}:${params.idx || '1'}`
+        };
+    }
+    for (const candidate of fallbackUrls) {
+        if (!candidate) continue;
+        try {
+            const { url, id } = parseArticleUrl(candidate);
+            return { canonical_url: url, article_id: id };
+        } catch (_) {
+            // 尝试下一个候选
+        }
+    }
+    return { canonical_url: '', article_id: '' };
+}
+
+export {
+    TRACKING_PARAMS,
+    unwrapRedirect,
+    canonicalArticleUrl,
+    parseArticleUrl,
+    articleIdentity,
+    resolveCanonicalIdentity
+};
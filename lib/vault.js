@@ -0,0 +1,259 @@
+/**
+ * Obsidian / Markdown 笔记库导出
+ * - 每篇文章写成 <公众号>/<日期>-<标题 slug>.md，带 YAML front matter
+ * - download 模式的图片写到 <公众号>/attachments/，正文改写为对应的相对路径
+ * - 按 front matter 中的 article_id 查找已有笔记：重新抓取时原地更新（笔记被移动或改名后也能找到）
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const ATTACHMENTS_DIR = 'attachments';
+const NOTE_TIME_ZONE = 'Asia/Shanghai';
+const MAX_SLUG_LENGTH = 60;
+// 只读取文件开头判断 article_id，front matter 不会超过这个长度
+const FRONT_MATTER_PROBE_BYTES = 8192;
+
+// 由导出器维护的 front matter 字段；其他字段（用户手动添加的）更新时保留
+const MANAGED_FIELDS = ['title', 'author', 'account', 'source', 'published', 'tags', 'scraped_at', 'article_id'];
+
+/**
+ * 文件名 slug：保留中文等字符，去掉文件系统与 Obsidian 链接中的保留字符，空白转为 -
+ * @param {string} text
+ * @returns {string}
+ */
+function slugify(text) {
+    const slug = String(text || '')
+        .normalize('NFKC')
+        .toLowerCase()
+        .replace(/[\\/:*?"<>|#^[\]{}%`'!@$&=+,;，。：；！？、“”‘’《》【】（）()]/g, ' ')
+        .replace(/[\s 　_-]+/g, '-')
+        .replace(/^[-.]+|[-.]+$/g, '');
+    return [...slug].slice(0, MAX_SLUG_LENGTH).join('').replace(/-+$/, '');
+}
+
+/**
+ * 目录名：去掉路径分隔符等保留字符，保留原有大小写与空格
+ */
+function safeDirName(name) {
+    return String(name || '')
+        .replace(/[\\/:*?"<>|#^[\]]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(/^\.+/, '');
+}
+
+/**
+ * 笔记日期（YYYY-MM-DD，按北京时间）：优先发布日期，其次抓取时间
+ */
+function noteDate(result) {
+    const value = (result.metadata && result.metadata.published_date) || result.timestamp;
+    const date = value ? new Date(value) : new Date();
+    const valid = Number.isNaN(date.getTime()) ? new Date() : date;
+    return valid.toLocaleDateString('sv-SE', { timeZone: NOTE_TIME_ZONE });
+}
+
+/**
+ * 笔记相对路径：<公众号>/<日期>-<标题 slug>.md
+ * @param {Object} result - 抓取结果
+ * @returns {string} POSIX 风格的相对路径
+ */
+function notePath(result) {
+    const metadata = result.metadata || {};
+    let account = safeDirName(metadata.account_name || metadata.author);
+    if (!account) {
+        try {
+            account = new URL(result.url).hostname;
+        } catch (_) {
+            account = '未分类';
+        }
+    }
+    const slug = slugify(metadata.title) || slugify(metadata.article_id) || 'untitled';
+    return path.posix.join(account, `${noteDate(result)}-${slug}.md`);
+}
+
+/**
+ * YAML 标量：统一使用双引号字符串（JSON 字符串即合法的 YAML 双引号字符串）
+ */
+function yamlValue(value) {
+    if (typeof value === 'boolean' || typeof value === 'number') return String(value);
+    return JSON.stringify(String(value));
+}
+
+/**
+ * 生成 front matter 文本（不含 --- 分隔行）
+ * @param {Object} fields - 字段；数组输出为列表，空值跳过
+ * @returns {string}
+ */
+function buildFrontMatter(fields) {
+    const lines = [];
+    for (const [key, value] of Object.entries(fields)) {
+        if (value === undefined || value === null || value === '') continue;
+        if (Array.isArray(value)) {
+            lines.push(value.length ? `${key}:` : `${key}: []`);
+            for (const item of value) lines.push(`  - ${yamlValue(item)}`);
+        } else {
+            lines.push(`${key}: ${yamlValue(value)}`);
+        }
+    }
+    return lines.join('\n');
+}
+
+/**
+ * 拆分笔记：front matter 按顶层字段分块，便于保留用户添加的字段
+ * @param {string} text - 笔记全文
+ * @returns {{fields: Map<string, string>, body: string}} fields 的值为该字段的原始文本块
+ */
+function splitNote(text) {
+    const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/.exec(text);
+    if (!match) {
+        return { fields: new Map(), body: text };
+    }
+    const fields = new Map();
+    let current = null;
+    for (const line of match[1].split(/\r?\n/)) {
+        const key = /^([^\s#][^:]*):(?:\s|$)/.exec(line);
+        if (key) {
+            current = key[1].trim();
+            fields.set(current, line);
+        } else if (current) {
+            fields.set(current, `${fields.get(current)}\n${line}`);
+        }
+    }
+    return { fields, body: text.slice(match[0].length).replace(/^\r?\n/, '') };
+}
+
+/**
+ * 读取列表字段（如 tags）中的值，兼容 [a, b] 与 - a 两种写法
+ */
+function readListField(block) {
+    if (!block) return [];
+    const unquote = value => value.trim().replace(/^(["'])(.*)\1$/, '$2');
+    const inline = /^[^:]+:\s*\[(.*)\]\s*$/.exec(block);
+    if (inline) {
+        return inline[1].split(',').map(unquote).filter(Boolean);
+    }
+    return block.split('\n').slice(1)
+        .map(line => /^\s*-\s+(.*)$/.exec(line))
+        .filter(Boolean)
+        .map(match => unquote(match[1]))
+        .filter(Boolean);
+}
+
+/**
+ * 在笔记库中查找 article_id 相同的笔记（跳过 .obsidian 等隐藏目录）
+ * @param {string} vaultDir
+ * @param {string} articleId
+ * @returns {Promise<string|null>} 绝对路径
+ */
+async function findNote(vaultDir, articleId) {
+    if (!articleId) return null;
+    const needle = `article_id: ${yamlValue(articleId)}`;
+    const walk = async (dir) => {
+        let entries;
+        try {
+            entries = await fs.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+        for (const entry of entries) {
+            if (entry.name.startsWith('.')) continue;
+            const full = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                const found = await walk(full);
+                if (found) return found;
+            } else if (entry.isFile() && entry.name.endsWith('.md')) {
+                const handle = await fs.open(full, 'r');
+                try {
+                    const { buffer, bytesRead } = await handle.read(Buffer.alloc(FRONT_MATTER_PROBE_BYTES), 0, FRONT_MATTER_PROBE_BYTES, 0);
+                    const head = buffer.subarray(0, bytesRead).toString('utf-8');
+                    if (head.startsWith('---') && head.split(/\r?\n/).includes(needle)) return full;
+                } finally {
+                    await handle.close();
+                }
+            }
+        }
+        return null;
+    };
+    return walk(path.resolve(vaultDir));
+}
+
+/**
+ * 导出到笔记库
+ * @param {Object} result - 抓取结果（需包含 markdown 格式）
+ * @param {Object} options
+ * @param {string} options.vaultDir - 笔记库根目录
+ * @param {Array<string>} options.tags - 标签（与已有笔记的标签合并）
+ * @returns {Promise<{path: string, status: 'created'|'updated', attachments: number}>} path 为相对笔记库的路径
+ */
+async function exportToVault(result, { vaultDir, tags = [] } = {}) {
+    if (!vaultDir) {
+        throw new Error('缺少笔记库目录（VAULT_DIR）');
+    }
+    const markdown = result.data && result.data.markdown;
+    if (typeof markdown !== 'string') {
+        throw new Error('导出到笔记库需要 markdown 格式的正文');
+    }
+    const root = path.resolve(vaultDir);
+    const metadata = result.metadata || {};
+
+    const existing = await findNote(root, metadata.article_id);
+    let target = existing;
+    if (!target) {
+        // 同一天同名的另一篇文章：加序号，避免覆盖
+        const base = path.join(root, notePath(result)).replace(/\.md$/, '');
+        target = `${base}.md`;
+        for (let n = 2; await fs.access(target).then(() => true, () => false); n++) {
+            target = `${base}-${n}.md`;
+        }
+    }
+    const noteDir = path.dirname(target);
+    const previous = existing ? splitNote(await fs.readFile(existing, 'utf-8')) : { fields: new Map() };
+
+    // 图片写到笔记旁的 attachments/，正文中的相对路径随之改写
+    let body = markdown;
+    const assets = result.assets || [];
+    for (const asset of assets) {
+        const file = path.posix.join(ATTACHMENTS_DIR, path.posix.basename(asset.file));
+        await fs.mkdir(path.join(noteDir, ATTACHMENTS_DIR), { recursive: true });
+        await fs.writeFile(path.join(noteDir, file), Buffer.from(asset.data, 'base64'));
+        body = body.split(`](${asset.file})`).join(`](${file})`);
+    }
+
+    const mergedTags = [...new Set([...readListField(previous.fields.get('tags')), ...tags]
+        .map(tag => String(tag).trim().replace(/^#/, ''))
+        .filter(Boolean))];
+    const frontMatter = buildFrontMatter({
+        title: metadata.title,
+        author: metadata.article_author || metadata.author,
+        account: metadata.account_name,
+        source: metadata.canonical_url || result.url,
+        published: metadata.published_date,
+        tags: mergedTags,
+        scraped_at: result.timestamp || new Date().toISOString(),
+        article_id: metadata.article_id,
+    });
+    const kept = [...previous.fields.entries()]
+        .filter(([key]) => !MANAGED_FIELDS.includes(key))
+        .map(([, block]) => block);
+
+    await fs.mkdir(noteDir, { recursive: true });
+    await fs.writeFile(target, `---\n${[frontMatter, ...kept].join('\n')}\n---\n\n${body.trim()}\n`, 'utf-8');
+
+    return {
+        path: path.relative(root, target).split(path.sep).join('/'),
+        status: existing ? 'updated' : 'created',
+        attachments: assets.length,
+    };
+}
+
+export {
+    ATTACHMENTS_DIR,
+    slugify,
+    notePath,
+    buildFrontMatter,
+    splitNote,
+    findNote,
+    exportToVault
+};
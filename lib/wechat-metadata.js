@@ -0,0 +1,91 @@
+/**
+ * 微信文章页面内联脚本变量解析与阅读统计
+ */
+
+const HTML_ENTITIES = {
+    '&amp;': '&',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&#39;': "'",
+    '&#x27;': "'",
+    '&nbsp;': ' '
+};
+
+// 中日韩统一表意文字、兼容表意文字、假名、谚文
+const CJK_CHARS = /[\u3400-\u9fff\uf900-\ufaff\u3040-\u30ff\uac00-\ud7af]/g;
+
+/**
+ * 还原脚本字符串中的 JS 转义（\x26、\u4e2d 等）与 HTML 实体
+ * @param {string} value - 原始字符串字面量内容
+ * @returns {string}
+ */
+function decodeScriptString(value) {
+    return String(value)
+        .replace(/\\x([0-9a-f]{2})/gi, (_m, hex) => String.fromCharCode(parseInt(hex, 16)))
+        .replace(/\\u([0-9a-f]{4})/gi, (_m, hex) => String.fromCharCode(parseInt(hex, 16)))
+        .replace(/\\(["'\\/])/g, '$1')
+        .replace(/&(?:amp|lt|gt|quot|nbsp|#39|#x27);/g, entity => HTML_ENTITIES[entity])
+        .trim();
+}
+
+/**
+ * 读取页面脚本中的字符串变量
+ * 支持 var name = "..."、window.name = '...'、name: "..." 以及 htmlDecode("...") 包裹
+ * @param {string} scriptText - 页面脚本文本
+ * @param {string} name - 变量名
+ * @returns {string} 变量值，未找到时返回空字符串
+ */
+function extractScriptVariable(scriptText, name) {
+    const pattern = new RegExp(
+        `(?:\\bvar\\s+|\\bwindow\\.|[{,\\s])${name}\\s*[=:]\\s*(?:htmlDecode\\()?\\s*(["'])((?:\\\\.|(?!\\1)[^\\\\])*)\\1`
+    );
+    const match = String(scriptText || '').match(pattern);
+    return match ? decodeScriptString(match[2]) : '';
+}
+
+/**
+ * 从 URL 查询参数中读取 __biz/mid/idx/sn
+ * @param {string} url - 文章长链接
+ * @returns {Object} { biz, mid, idx, sn }，缺失字段为空字符串
+ */
+function articleParamsFromUrl(url) {
+    try {
+        const params = new URL(String(url).replace(/&amp;/g, '&')).searchParams;
+        return {
+            biz: params.get('__biz') || '',
+            mid: params.get('mid') || params.get('appmsgid') || '',
+            idx: params.get('idx') || params.get('itemidx') || '',
+            sn: params.get('sn') || params.get('sign') || ''
+        };
+    } catch (_) {
+        return { biz: '', mid: '', idx: '', sn: '' };
+    }
+}
+
+/**
+ * 统计字数与预计阅读时间
+ * - 中日韩字符逐字计数，其他语言按单词计数
+ * - 阅读速度：中文 400 字/分钟，英文 200 词/分钟
+ * @param {string} text - 正文纯文本
+ * @returns {{word_count: number, reading_time_minutes: number}}
+ */
+function readingStats(text) {
+    const content = String(text || '');
+    const cjk = (content.match(CJK_CHARS) || []).length;
+    const words = (content
+        .replace(CJK_CHARS, ' ')
+        .match(/[A-Za-z0-9][\w'’-]*/g) || []).length;
+    const minutes = cjk / 400 + words / 200;
+    return {
+        word_count: cjk + words,
+        reading_time_minutes: cjk + words > 0 ? Math.max(1, Math.ceil(minutes)) : 0
+    };
+}
+
+export {
+    decodeScriptString,
+    extractScriptVariable,
+    articleParamsFromUrl,
+    readingStats
+};
@@ -2,29 +2,73 @@
  * 使用 Scrapeless SDK 抓取微信公众号文章
  */
 
-import { Puppeteer } from '@scrapeless-ai/sdk';
 import * as cheerio from 'cheerio';
-import TurndownService from 'turndown';
 import { promises as fs } from 'fs';
+import path from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+import { createBrowserProvider, createBrowserProviderFromEnv } from './lib/browser-providers.js';
+import { IMAGE_MODES, imageExtension, imageMimeType, hashBuffer, downloadImage } from './lib/images.js';
+import { parseArticleUrl, resolveCanonicalIdentity } from './lib/urls.js';
+import { ALBUM_ITEM_SELECTOR, ALBUM_SCROLL_INTERVAL, isAlbumUrl, parseAlbumHtml, findAlbumLink } from './lib/album.js';
+import { extractScriptVariable, articleParamsFromUrl, readingStats } from './lib/wechat-metadata.js';
+import { createMarkdownConverter } from './lib/markdown-rules.js';
+import { ERROR_CODES, ScrapeError, detectBlockedPage, toScrapeError, isPermanentError } from './lib/errors.js';
+import { SiteProfileRegistry, readField } from './lib/site-profiles.js';
+import { stripChrome, scoreContent } from './lib/readability.js';
+import { exportToVault } from './lib/vault.js';
+import { buildEpub } from './lib/epub.js';
+import { buildBlocks, blocksToText } from './lib/blocks.js';
+import { createEngagementRecorder } from './lib/engagement.js';
+import { normalizeInterceptionOptions, installRequestInterception } from './lib/interception.js';
+import { DEFAULT_LOAD_BUDGET, normalizeLoadBudget, scrollUntilLoaded } from './lib/lazy-load.js';
+import { ProxyHealth, buildAttemptStrategies } from './lib/proxy-health.js';
+import { normalizeRetryPolicy, normalizeDeadline, limitAttempts, backoffDelay, shouldRetry } from './lib/retry-policy.js';
+import { Logger, createLoggerFromEnv } from './lib/logger.js';
+import { CAPTURE_FORMATS, hasCaptureFormats, normalizeCaptureOptions, capturePage } from './lib/capture.js';
+
+// 结果中以 base64 保存的二进制格式，落盘时写成单独的文件
+const BINARY_FORMATS = [
+    { key: 'epub', extension: 'epub', mimeType: 'application/epub+zip', label: 'EPUB' },
+    { key: 'pdf', extension: 'pdf', mimeType: 'application/pdf', label: 'PDF' },
+    { key: 'screenshot', extension: 'png', mimeType: 'image/png', label: '整页截图' }
+];
 
 class WeChatArticleScraper {
-    constructor(apiKey) {
-        if (!apiKey) {
-            throw new Error('API Key 是必需的');
-        }
-        this.apiKey = apiKey;
-        this.turndownService = new TurndownService({
-            headingStyle: 'atx',
-            codeBlockStyle: 'fenced'
-        });
-        this.stepTimers = {};
-    }
-
     /**
-     * 格式化时间戳
+     * @param {string|null} apiKey - Scrapeless API Key（使用其他浏览器后端时可为空）
+     * @param {Object} options - 配置选项
+     * @param {Object} options.browserProvider - 浏览器后端实例或配置（见 lib/browser-providers.js）
+     * @param {boolean} options.offline - 离线模式：只处理已有 HTML，不连接浏览器
+     * @param {Object} options.cache - 结果缓存（见 lib/cache.js 的 ResultCache），不传则不缓存
+     * @param {Function} options.onProgress - 进度回调，接收 { type: 'step', step } 或 { type: 'attempt', attempt, proxy }
+     * @param {ProxyHealth} options.proxyHealth - 抓取策略健康统计（见 lib/proxy-health.js），跨实例共享时传入同一个对象
+     * @param {Logger} options.logger - 日志器（见 lib/logger.js，或任何带 info/warn/error 方法的对象），默认 info 写 stdout、warn/error 写 stderr
      */
-    getTimestamp() {
-        return new Date().toISOString();
+    constructor(apiKey, options = {}) {
+        const { browserProvider = null, offline = false, cache = null, onProgress = null, siteProfiles = null, proxyHealth = null, logger = null } = options;
+        if (!apiKey && !browserProvider && !offline) {
+            throw new Error('API Key 是必需的（或提供 browserProvider）');
+        }
+        this.apiKey = apiKey || null;
+        this.browserProvider = offline && !apiKey && !browserProvider
+            ? null
+            : createBrowserProvider(browserProvider || { type: 'scrapeless', apiKey });
+        this.turndownService = createMarkdownConverter();
+        this.siteProfiles = siteProfiles || SiteProfileRegistry.builtin();
+        this.proxyHealth = proxyHealth || new ProxyHealth();
+        this.logger = logger || new Logger();
+        this.cache = cache;
+        this.onProgress = onProgress;
+        this.activeBrowser = null;
+        this.cancelled = false;
+        // 取消原因（ScrapeError），取消后 throwIfCancelled 抛出；cancelController 用于打断重试前的等待
+        this.cancelReason = null;
+        this.cancelController = new AbortController();
+        // 本次抓取的总时限（时间戳），导航超时不会超过剩余时间
+        this.deadlineAt = null;
+        this.stepTimers = {};
+        // 本次抓取尝试中各步骤的用时，写入 result.timings
+        this.stepDurations = {};
     }
 
     /**
@@ -32,6 +76,124 @@ class WeChatArticleScraper {
      */
     startStep(stepName) {
         this.stepTimers[stepName] = Date.now();
+        this.emitProgress({ type: 'step', step: stepName });
+    }
+
+    /**
+     * 通知进度回调（回调异常不影响抓取）
+     */
+    emitProgress(event) {
+        if (!this.onProgress) return;
+        try {
+            this.onProgress(event);
+        } catch (_) {
+            // ignore
+        }
+    }
+
+    /**
+     * 取消正在进行的抓取：立即关闭当前浏览器，后续重试不再进行
+     * @param {ScrapeError} reason - 取消原因，默认为 CANCELLED
+     */
+    async cancel(reason = null) {
+        if (!this.cancelled) {
+            this.cancelled = true;
+            this.cancelReason = reason || new ScrapeError(ERROR_CODES.CANCELLED, '抓取已取消');
+            this.cancelController.abort();
+        }
+        const browser = this.activeBrowser;
+        this.activeBrowser = null;
+        if (browser) {
+            try {
+                await browser.close();
+            } catch (closeError) {
+                this.logWarn(`⚠️  关闭浏览器失败: ${closeError.message}`);
+            }
+        }
+    }
+
+    /**
+     * 已取消时抛出错误，用于在重试之间检查
+     */
+    throwIfCancelled() {
+        if (this.cancelled) {
+            throw this.cancelReason || new ScrapeError(ERROR_CODES.CANCELLED, '抓取已取消');
+        }
+    }
+
+    /**
+     * 导航到页面：按重试策略重试，单次超时不超过总时限的剩余时间
+     * @param {import('puppeteer-core').Page} page
+     * @param {string} url
+     * @param {Object} retryPolicy - normalizeRetryPolicy 的返回值
+     * @returns {Promise<import('puppeteer-core').HTTPResponse|null>}
+     */
+    async navigate(page, url, retryPolicy) {
+        for (let navigation = 1; ; navigation++) {
+            try {
+                const remaining = this.deadlineAt ? Math.max(1, this.deadlineAt - Date.now()) : Infinity;
+                return await page.goto(url, {
+                    waitUntil: 'networkidle0',
+                    timeout: Math.min(retryPolicy.navigationTimeout, remaining)
+                });
+            } catch (error) {
+                const left = retryPolicy.navigationAttempts - navigation;
+                if (left <= 0 || this.cancelled || !shouldRetry(retryPolicy, toScrapeError(error))) {
+                    throw error;
+                }
+                this.logWarn(`⚠️  导航失败，还剩 ${left} 次重试...`);
+                await this.wait(backoffDelay(retryPolicy, navigation));
+            }
+        }
+    }
+
+    /**
+     * 可被取消打断的等待；取消时立即抛出取消原因
+     * @param {number} ms
+     */
+    async wait(ms) {
+        try {
+            await sleep(ms, undefined, { signal: this.cancelController.signal });
+        } catch (error) {
+            if (error.name !== 'AbortError') throw error;
+        }
+        this.throwIfCancelled();
+    }
+
+    /**
+     * 把调用方的 AbortSignal 与总时限绑定到本次抓取：触发时调用 cancel() 立即关闭浏览器
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - 调用方的取消信号
+     * @param {number|null} options.deadline - 总时限（毫秒）
+     * @returns {Function} 抓取结束时调用，解除绑定；由本次绑定触发的取消会被复位，实例可以继续使用
+     */
+    bindCancellation({ signal = null, deadline = null } = {}) {
+        let triggered = false;
+        const abort = (reason) => {
+            if (this.cancelled) return;
+            triggered = true;
+            this.cancel(reason);
+        };
+        const onAbort = () => abort(new ScrapeError(ERROR_CODES.CANCELLED, '抓取已被调用方取消'));
+        if (signal) {
+            if (signal.aborted) onAbort();
+            else signal.addEventListener('abort', onAbort, { once: true });
+        }
+        this.deadlineAt = deadline ? Date.now() + deadline : null;
+        const timer = deadline
+            ? setTimeout(() => abort(new ScrapeError(ERROR_CODES.TIMEOUT, `超过总时限 (${deadline}ms)`)), deadline)
+            : null;
+
+        return () => {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
+            this.deadlineAt = null;
+            if (triggered) {
+                this.cancelled = false;
+                this.cancelReason = null;
+                this.cancelController = new AbortController();
+            }
+        };
     }
 
     /**
@@ -41,355 +203,744 @@ class WeChatArticleScraper {
         if (this.stepTimers[stepName]) {
             const duration = Date.now() - this.stepTimers[stepName];
             delete this.stepTimers[stepName];
+            this.stepDurations[stepName] = duration;
             return duration;
         }
         return null;
     }
 
     /**
-     * 带时间戳的日志输出
+     * 日志输出（经 this.logger，附带步骤用时）
      */
     log(message, duration = null) {
-        const timestamp = this.getTimestamp();
-        if (duration !== null) {
-            console.log(`[${timestamp}] ${message} (用时: ${duration}ms)`);
-        } else {
-            console.log(`[${timestamp}] ${message}`);
-        }
+        this.logger.info(message, duration !== null ? { duration_ms: duration } : {});
     }
 
     /**
-     * 带时间戳的警告日志
+     * 警告日志
      */
     logWarn(message, duration = null) {
-        const timestamp = this.getTimestamp();
-        if (duration !== null) {
-            console.warn(`[${timestamp}] ${message} (用时: ${duration}ms)`);
-        } else {
-            console.warn(`[${timestamp}] ${message}`);
-        }
+        this.logger.warn(message, duration !== null ? { duration_ms: duration } : {});
     }
 
     /**
-     * 带时间戳的错误日志
+     * 错误日志
      */
     logError(message, duration = null) {
-        const timestamp = this.getTimestamp();
-        if (duration !== null) {
-            console.error(`[${timestamp}] ${message} (用时: ${duration}ms)`);
-        } else {
-            console.error(`[${timestamp}] ${message}`);
+        this.logger.error(message, duration !== null ? { duration_ms: duration } : {});
+    }
+
+    /**
+     * 离线模式下没有浏览器后端，不能发起抓取
+     */
+    assertBrowserAvailable() {
+        if (!this.browserProvider) {
+            throw new Error('当前为离线模式，未配置浏览器后端，只能处理已有 HTML');
         }
     }
 
     /**
-     * 使用自定义代理抓取文章
-     * @param {string} url - 文章URL
-     * @param {Object} options - 配置选项
-     * @returns {Object} 抓取结果
+     * 创建新页面并应用反检测措施、请求头与视口
+     * @param {import('puppeteer-core').Browser} browser - 浏览器实例
+     * @param {Object} options - { proxyURL }
+     * @returns {Promise<import('puppeteer-core').Page>}
      */
-    async scrapeWithProxy(url, options = {}) {
-        const {
-            sessionName,
-            sessionTTL,
-            proxyURL,
-            sessionRecording,
-            formats
-        } = options;
+    async setupPage(browser, options = {}) {
+        const page = await browser.newPage();
+        await this.browserProvider.preparePage(page, options);
 
-        const currentSessionName = `${sessionName}_custom_proxy`;
+        // 反检测措施
+        await page.evaluateOnNewDocument(() => {
+            Object.defineProperty(navigator, 'webdriver', { get: () => undefined });
+        });
 
-        let browser = null;
+        await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
 
-        try {
-            // 连接到 Scrapeless Browser（使用自定义代理）
-            this.startStep('connect');
-            this.log(`✅ 正在连接到 Scrapeless Browser (自定义代理: ${proxyURL})...`);
-            browser = await Puppeteer.connect({
-                apiKey: this.apiKey,
-                sessionName: currentSessionName,
-                sessionTTL: sessionTTL,
-                proxyURL: proxyURL,  // 使用自定义代理
-                sessionRecording: sessionRecording,
-                defaultViewport: null
-            });
+        // 设置额外的 HTTP headers
+        await page.setExtraHTTPHeaders({
+            'Accept-Language': 'zh-CN,zh;q=0.9',
+            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
+        });
 
-            this.log('✅ 浏览器连接成功', this.endStep('connect'));
+        // 设置视口大小
+        await page.setViewport({ width: 1280, height: 800 });
 
-            // 创建新页面
-            const page = await browser.newPage();
+        return page;
+    }
 
-            // 反检测措施
-            await page.evaluateOnNewDocument(() => {
-                Object.defineProperty(navigator, 'webdriver', { get: () => undefined });
-            });
+    /**
+     * 抓取微信公众号文章（配置了缓存时优先读取缓存）
+     * - 先校验并规范化 URL（去掉统计参数、解开跳转链接），按规范化后的 URL 抓取与缓存
+     * @param {string} inputUrl - 文章URL
+     * @param {Object} options - 配置选项（见 fetchArticle）
+     * @param {boolean} options.forceRefresh - 忽略缓存，强制重新抓取
+     * @returns {Object} 抓取结果，result.cache 标明是否命中缓存及缓存年龄；命中缓存时不带原抓取的 attempts / timings
+     */
+    async scrapeArticle(inputUrl, options = {}) {
+        const { forceRefresh = false } = options;
+        const target = parseArticleUrl(inputUrl);
+        if (target.type === 'wechat_album') {
+            throw new Error('合集链接请使用 listAlbum / scrapeAlbum');
+        }
+        const url = target.url;
+        if (url !== inputUrl) {
+            this.log(`🔗 规范化 URL: ${url}`);
+        }
+        if (!this.cache) {
+            return this.fetchArticle(url, options);
+        }
 
-            await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+        const cacheKey = this.cache.keyFor(url, options);
+        if (!forceRefresh) {
+            try {
+                const cached = await this.cache.get(cacheKey);
+                if (cached) {
+                    this.log(`💾 命中缓存: ${url} (缓存年龄: ${Math.round(cached.ageMs / 1000)}s)`);
+                    // attempts / timings 描述的是当初那次抓取，本次没有发生任何尝试
+                    const { attempts, timings, ...value } = cached.value;
+                    return {
+                        ...value,
+                        cache: {
+                            hit: true,
+                            stored_at: new Date(cached.storedAt).toISOString(),
+                            age_seconds: Math.round(cached.ageMs / 1000)
+                        }
+                    };
+                }
+            } catch (error) {
+                this.logWarn(`⚠️  读取缓存失败: ${error.message}`);
+            }
+        }
 
-            // 设置额外的 HTTP headers
-            await page.setExtraHTTPHeaders({
-                'Accept-Language': 'zh-CN,zh;q=0.9',
-                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
-            });
+        const result = await this.fetchArticle(url, options);
+        if (result) {
+            try {
+                await this.cache.set(cacheKey, result);
+                // 短链抓取后同时按规范长链接缓存，之后用任一形式访问都能命中
+                const canonicalUrl = result.metadata && result.metadata.canonical_url;
+                if (canonicalUrl && canonicalUrl !== url) {
+                    const canonicalKey = this.cache.keyFor(canonicalUrl, options);
+                    if (canonicalKey !== cacheKey) {
+                        await this.cache.set(canonicalKey, result);
+                    }
+                }
+            } catch (error) {
+                this.logWarn(`⚠️  写入缓存失败: ${error.message}`);
+            }
+            result.cache = { hit: false, stored_at: result.timestamp, age_seconds: 0 };
+        }
+        return result;
+    }
 
-            // 设置视口大小
-            await page.setViewport({ width: 1280, height: 800 });
+    /**
+     * 创建共享浏览器后端、缓存、代理健康统计与日志器的新抓取器实例（各自独立的计时器，供并发抓取使用）
+     */
+    fork() {
+        return new this.constructor(this.apiKey, {
+            browserProvider: this.browserProvider,
+            offline: !this.browserProvider,
+            cache: this.cache,
+            siteProfiles: this.siteProfiles,
+            proxyHealth: this.proxyHealth,
+            logger: this.logger
+        });
+    }
 
-            this.startStep('navigate');
-            this.log('✅ 正在导航到页面...');
+    /**
+     * 批量抓取文章
+     * - 按文章身份去重，重复与无效的 URL 记为 skipped
+     * - 单篇失败不影响其他文章
+     * @param {Array<string>} urls - 文章URL列表
+     * @param {Object} options - 配置选项（其余字段透传给 scrapeArticle）
+     * @param {number} options.concurrency - 最大并发数，默认 3（取整，至少为 1；无法解析时取默认值）
+     * @returns {Promise<{summary: Object, results: Array}>} 汇总与按输入顺序排列的逐条结果
+     */
+    async scrapeMany(urls, options = {}) {
+        const { concurrency: concurrencyInput = 3, sessionName = `wechat_batch_${Date.now()}`, ...scrapeOptions } = options;
+        const concurrency = Number.isFinite(Number(concurrencyInput)) ? Math.max(1, Math.floor(Number(concurrencyInput))) : 3;
+
+        const results = [];
+        const queue = [];
+        const seen = new Map();  // 文章身份 -> 首次出现的 URL
+        for (const rawUrl of urls || []) {
+            const url = String(rawUrl || '').trim();
+            let target;
+            try {
+                target = parseArticleUrl(url);
+            } catch (error) {
+                results.push({ url, status: 'skipped', reason: 'invalid_url', error: error.message });
+                continue;
+            }
+            if (target.type === 'wechat_album') {
+                results.push({ url, status: 'skipped', reason: 'invalid_url', error: '合集链接请使用 scrapeAlbum' });
+                continue;
+            }
+            const identity = target.id;
+            if (seen.has(identity)) {
+                results.push({ url, status: 'skipped', reason: 'duplicate', duplicate_of: seen.get(identity) });
+                continue;
+            }
+            seen.set(identity, url);
+            const entry = { url, status: 'pending' };
+            results.push(entry);
+            queue.push(entry);
+        }
+
+        this.startStep('batch');
+        this.log(`📚 批量抓取: ${queue.length} 篇（输入 ${results.length} 条，并发 ${concurrency}）`);
 
-            // 导航到目标页面（带重试逻辑）
-            let retries = 3;
-            while (retries > 0) {
+        let cursor = 0;
+        const worker = async () => {
+            while (cursor < queue.length) {
+                const index = cursor++;
+                const entry = queue[index];
                 try {
-                    await page.goto(url, {
-                        waitUntil: 'networkidle0',
-                        timeout: 60000
+                    const result = await this.fork().scrapeArticle(entry.url, {
+                        ...scrapeOptions,
+                        sessionName: `${sessionName}_${index}`
                     });
-                    break;
+                    if (result) {
+                        entry.status = 'success';
+                        entry.result = result;
+                    } else {
+                        entry.status = 'failed';
+                        entry.error = '未能提取文章内容';
+                    }
                 } catch (error) {
-                    retries--;
-                    if (retries === 0) {
-                        throw error;
+                    entry.status = 'failed';
+                    entry.error = error.message;
+                    if (error.code) {
+                        entry.error_code = error.code;
                     }
-                    this.logWarn(`⚠️  导航失败，还剩 ${retries} 次重试...`);
-                    await new Promise(resolve => setTimeout(resolve, 5000));
+                    this.logWarn(`⚠️  批量抓取失败: ${entry.url} (${error.message})`);
                 }
             }
+        };
+        await Promise.all(Array.from({ length: Math.min(concurrency, Math.max(1, queue.length)) }, worker));
 
-            this.log('✅ 页面加载完成', this.endStep('navigate'));
+        const summary = {
+            total: results.length,
+            succeeded: results.filter(r => r.status === 'success').length,
+            failed: results.filter(r => r.status === 'failed').length,
+            skipped: results.filter(r => r.status === 'skipped').length
+        };
+        this.log(`✅ 批量抓取完成: 成功 ${summary.succeeded}，失败 ${summary.failed}，跳过 ${summary.skipped}`, this.endStep('batch'));
 
-            // 等待内容加载
-            this.startStep('wait-content');
-            await new Promise(resolve => setTimeout(resolve, 3000));
-            this.endStep('wait-content');
+        return { summary, results };
+    }
 
-            // 滚动页面触发懒加载图片
-            this.startStep('scroll');
-            this.log('📜 滚动页面加载图片...');
-            for (let i = 0; i < 5; i++) {
-                await page.evaluate((scrollY) => {
-                    window.scrollTo(0, scrollY);
-                }, 1000 * (i + 1));
-                await new Promise(resolve => setTimeout(resolve, 1000));
-            }
+    /**
+     * 列出合集（appmsgalbum）中的全部文章
+     * - 支持直接传入合集 URL，或传入文章 URL（从文章的“合集”标签找到所属合集）
+     * - 持续滚动到底部，直到条目数量不再增长或达到 maxItems
+     * @param {string} inputUrl - 合集或文章URL（会先规范化）
+     * @param {Object} options - 配置选项
+     * @param {number} options.maxItems - 最多返回的条目数，默认 500
+     * @param {number} options.maxScrolls - 最多滚动次数，默认 60
+     * @param {number} options.scrollInterval - 每次滚动后等待分页加载的时间（毫秒），默认 ALBUM_SCROLL_INTERVAL
+     * @param {Object} options.retryPolicy - 重试策略（见 lib/retry-policy.js），用于页面导航
+     * @param {number|null} options.deadline - 总时限（毫秒），超过后关闭浏览器并以 TIMEOUT 失败
+     * @param {AbortSignal} options.signal - 触发后立即关闭浏览器并以 CANCELLED 失败
+     * @returns {Promise<{url: string, album: Object, entries: Array}>} 按页面顺序排列的条目（title/url/publish_time/cover）
+     */
+    async listAlbum(inputUrl, options = {}) {
+        const url = parseArticleUrl(inputUrl).url;
+        const {
+            sessionName = `wechat_album_${Date.now()}`,
+            sessionTTL = 300,
+            proxyCountry = 'CN',
+            sessionRecording = true,
+            maxItems = 500,
+            maxScrolls = 60,
+            scrollInterval = ALBUM_SCROLL_INTERVAL,
+            retryPolicy: retryPolicyInput = {},
+            deadline = null,
+            signal = null
+        } = options;
 
-            // 滚动回顶部
-            await page.evaluate(() => window.scrollTo(0, 0));
-            await new Promise(resolve => setTimeout(resolve, 1000));
+        this.assertBrowserAvailable();
+        const retryPolicy = normalizeRetryPolicy(retryPolicyInput);
+        normalizeDeadline(deadline);
+        this.startStep('album');
+        this.log(`📚 正在读取合集: ${url}`);
 
-            this.log('✅ 图片加载完成', this.endStep('scroll'));
+        let browser = null;
+        const release = this.bindCancellation({ signal, deadline });
+        try {
+            this.throwIfCancelled();
+            browser = await this.browserProvider.connect({
+                sessionName: sessionName,
+                sessionTTL: sessionTTL,
+                proxyCountry: this.browserProvider.supportsProxyCountry ? proxyCountry : null,
+                sessionRecording: sessionRecording
+            });
+            this.activeBrowser = browser;
+            this.throwIfCancelled();
+            const page = await this.setupPage(browser, {});
+
+            // 文章 URL：先打开文章，找到所属合集
+            let albumUrl = url;
+            if (!isAlbumUrl(url)) {
+                await this.navigate(page, url, retryPolicy);
+                albumUrl = findAlbumLink(await page.content());
+                if (!albumUrl) {
+                    throw new Error('未在页面中找到合集链接');
+                }
+                this.log(`🔗 找到所属合集: ${albumUrl}`);
+            }
 
-            // 获取页面HTML
-            this.startStep('get-content');
-            const htmlContent = await page.content();
-            this.log('✅ 获取页面内容成功', this.endStep('get-content'));
+            await this.navigate(page, albumUrl, retryPolicy);
+
+            // 滚动到底部触发分页加载，连续 3 次数量不变视为已加载完
+            let lastCount = -1;
+            let stableRounds = 0;
+            for (let i = 0; i < maxScrolls; i++) {
+                const count = await page.evaluate((selector) => {
+                    window.scrollTo(0, document.body.scrollHeight);
+                    return document.querySelectorAll(selector).length;
+                }, ALBUM_ITEM_SELECTOR);
+                if (count >= maxItems) break;
+                if (count === lastCount) {
+                    stableRounds++;
+                    if (stableRounds >= 3) break;
+                } else {
+                    stableRounds = 0;
+                    lastCount = count;
+                }
+                await this.wait(scrollInterval);
+            }
 
-            // 处理HTML内容
-            this.startStep('process');
-            const result = this.processHtmlContent(htmlContent, url, formats);
-            this.endStep('process');
+            const htmlContent = await page.content();
+            const { album, entries } = parseAlbumHtml(htmlContent, {
+                parseDate: (text) => this.parsePublishDate(text)
+            });
 
-            // 关闭浏览器
-            this.startStep('close');
+            this.activeBrowser = null;
             await browser.close();
-            this.log('✅ 浏览器已关闭', this.endStep('close'));
-
-            this.log('✅ 抓取完成', this.endStep('total'));
-
-            return result;
 
+            this.log(`✅ 合集「${album.title || '(未知)'}」共 ${entries.length} 篇`, this.endStep('album'));
+            return {
+                url: albumUrl,
+                album,
+                entries: entries.slice(0, maxItems)
+            };
         } catch (error) {
-            this.logError(`❌ 自定义代理抓取失败: ${error.message}`);
-            if (browser) {
+            this.logError(`❌ 读取合集失败: ${error.message}`, this.endStep('album'));
+            if (browser && this.activeBrowser === browser) {
                 try {
+                    this.activeBrowser = null;
                     await browser.close();
                 } catch (closeError) {
                     this.logWarn(`⚠️  关闭浏览器失败: ${closeError.message}`);
                 }
             }
-            throw error;
+            throw this.cancelled ? this.cancelReason : error;
+        } finally {
+            release();
         }
     }
 
     /**
-     * 抓取微信公众号文章
+     * 列出合集并逐篇抓取（并发、去重与失败隔离同 scrapeMany）
+     * @param {string} url - 合集或文章URL
+     * @param {Object} options - listAlbum 与 scrapeMany 的选项
+     * @returns {Promise<Object>} 合集信息、条目以及 scrapeMany 的 summary/results
+     */
+    async scrapeAlbum(url, options = {}) {
+        const { sessionName: _albumSessionName, ...scrapeOptions } = options;
+        const listing = await this.listAlbum(url, options);
+        const batch = await this.scrapeMany(listing.entries.map(entry => entry.url), scrapeOptions);
+        return { ...listing, ...batch };
+    }
+
+    /**
+     * 通过浏览器抓取文章（不经过缓存）
+     * - 依次尝试各抓取策略：官方代理（按国家）或直连，最后用自定义代理兜底
+     * - 尝试顺序按 proxyHealth 的健康统计排列，熔断中的策略本次跳过
+     * - 尝试顺序与每次尝试的结果写入 result.attempts（失败时写入 error.attempts）
      * @param {string} url - 文章URL
      * @param {Object} options - 配置选项
      * @returns {Object} 抓取结果
      */
-    async scrapeArticle(url, options = {}) {
+    async fetchArticle(url, options = {}) {
         const {
             sessionName = `wechat_${Date.now()}`,
             sessionTTL = 180,
             proxyCountry = 'CN',
             sessionRecording = true,
             formats = ['markdown', 'html'],
+            images = 'remote',  // 图片处理: remote | download | inline-base64
+            imageDir = 'assets',  // download 模式下图片的相对目录
+            pageSize = 'A4',  // pdf 格式的纸张大小
+            hideOverlays = true,  // pdf / screenshot 前隐藏微信底部工具栏与二维码浮层
+            includeEngagement = false,  // 截获阅读数、点赞、在看与精选留言
+            interception: interceptionInput = {},  // 请求拦截（见 lib/interception.js），传 false 关闭
+            loadBudget = DEFAULT_LOAD_BUDGET,  // 滚动加载懒加载内容的时间预算（毫秒）
             proxyRetries = ['CN', 'HK', 'SG'],  // 代理重试列表
-            proxyURL = null  // 自定义代理 URL（可选）
+            proxyURL = null,  // 自定义代理 URL（可选）
+            retryPolicy: retryPolicyInput = {},  // 重试策略（见 lib/retry-policy.js）
+            deadline = null,  // 总时限（毫秒），超过后关闭浏览器并以 TIMEOUT 失败
+            signal = null  // AbortSignal：触发后立即关闭浏览器并以 CANCELLED 失败
         } = options;
 
+        this.assertBrowserAvailable();
+        normalizeCaptureOptions({ pageSize, hideOverlays });
+        const interception = normalizeInterceptionOptions(interceptionInput, { keepRendering: hasCaptureFormats(formats) });
+        normalizeLoadBudget(loadBudget);
+        const retryPolicy = normalizeRetryPolicy(retryPolicyInput);
+        normalizeDeadline(deadline);
+
+        const release = this.bindCancellation({ signal, deadline });
+        try {
+            return await this.runAttempts(url, {
+                sessionName,
+                sessionTTL,
+                sessionRecording,
+                formats,
+                images,
+                imageDir,
+                pageSize,
+                hideOverlays,
+                includeEngagement,
+                interception,
+                loadBudget,
+                proxyRetries,
+                proxyURL,
+                retryPolicy
+            });
+        } finally {
+            release();
+        }
+    }
+
+    /**
+     * fetchArticle 的尝试循环：按计划依次执行抓取策略，按重试策略决定是否继续
+     * @param {string} url - 文章URL
+     * @param {Object} options - fetchArticle 校验后的选项
+     * @returns {Object} 抓取结果
+     */
+    async runAttempts(url, options) {
+        const { sessionName, proxyRetries, proxyURL, retryPolicy, formats, ...attemptOptions } = options;
+
         this.startStep('total');
         this.log(`正在抓取文章: ${url}`);
         this.log(`抓取格式: ${formats.join(', ')}`);
 
-        // 调整策略：即使配置了自定义代理，也优先尝试官方代理；
-        // 当官方代理全部失败后，再回退到自定义代理。
+        // 即使配置了自定义代理，也优先尝试官方代理；官方代理全部失败后再回退到自定义代理
+        const plan = this.proxyHealth.plan(buildAttemptStrategies(this.browserProvider, { proxyRetries, proxyURL }));
+        const { order, dropped } = limitAttempts(plan.order, retryPolicy.maxAttempts);
+        const attempts = {
+            order: order.map(strategy => strategy.id),
+            skipped: [...plan.skipped, ...dropped.map(strategy => ({ strategy: strategy.id, reason: 'max_attempts' }))],
+            outcomes: []
+        };
+        if (plan.skipped.length) {
+            this.logWarn(`⚠️  熔断中，本次跳过: ${plan.skipped.map(item => item.strategy).join(', ')}`);
+        }
+        if (dropped.length) {
+            this.logWarn(`⚠️  超出 maxAttempts (${retryPolicy.maxAttempts})，本次跳过: ${dropped.map(strategy => strategy.id).join(', ')}`);
+        }
 
-        // 外层循环：尝试不同的代理国家
         let lastError = null;
-        for (let proxyIndex = 0; proxyIndex < proxyRetries.length; proxyIndex++) {
-            const currentProxy = proxyRetries[proxyIndex];
-            const currentSessionName = `${sessionName}_${currentProxy}_${proxyIndex}`;
+        for (let index = 0; index < order.length; index++) {
+            const strategy = order[index];
 
-            if (proxyIndex > 0) {
-                this.logWarn(`⚠️  使用代理 ${currentProxy} 重试 (${proxyIndex + 1}/${proxyRetries.length})...`);
+            if (this.cancelled) {
+                break;
             }
+            if (index > 0) {
+                this.logWarn(`⚠️  使用${strategy.label}重试 (${index + 1}/${order.length})...`);
+            }
+            this.emitProgress({ type: 'attempt', attempt: index + 1, proxy: strategy.proxy });
 
-            let browser = null;
-
+            const startedAt = Date.now();
             try {
-                // 连接到 Scrapeless Browser
-                this.startStep('connect');
-                this.log(`✅ 正在连接到 Scrapeless Browser (代理: ${currentProxy})...`);
-                browser = await Puppeteer.connect({
-                    apiKey: this.apiKey,
-                    sessionName: currentSessionName,
-                    sessionTTL: sessionTTL,
-                    proxyCountry: currentProxy,
-                    sessionRecording: sessionRecording,
-                    defaultViewport: null
+                const result = await this.runAttempt(url, strategy, {
+                    ...attemptOptions,
+                    formats,
+                    retryPolicy,
+                    sessionName: `${sessionName}_${strategy.proxy}_${index}`
                 });
+                const duration = Date.now() - startedAt;
+                this.proxyHealth.recordSuccess(strategy.id, duration);
+                attempts.outcomes.push({ strategy: strategy.id, ok: true, duration_ms: duration });
+                if (result) {
+                    result.attempts = attempts;
+                }
+                this.log('✅ 抓取完成', this.endStep('total'));
+                return result;
 
-                this.log('✅ 浏览器连接成功', this.endStep('connect'));
+            } catch (error) {
+                const duration = Date.now() - startedAt;
+                lastError = toScrapeError(error, { proxy: strategy.proxy });
+                attempts.outcomes.push({
+                    strategy: strategy.id,
+                    ok: false,
+                    duration_ms: duration,
+                    error: { code: lastError.code || null, message: lastError.message }
+                });
+                // 改进错误显示：输出完整的错误对象
+                const errorDetails = error?.response?.error || error?.error || error;
+                const errorString = typeof errorDetails === 'object'
+                    ? JSON.stringify(errorDetails, null, 2)
+                    : errorDetails;
+                this.logError(`❌ ${strategy.label} 抓取失败: ${error.message}`);
+                this.logError(`详细错误: ${errorString}`);
 
-            // 创建新页面
-            const page = await browser.newPage();
+                // 取消或超过总时限：浏览器已被关闭，本次失败不计入策略健康统计
+                if (this.cancelled) {
+                    break;
+                }
+                // 文章被删除、违规等永久性错误：换代理也无济于事，直接结束（策略本身是可用的）
+                if (isPermanentError(lastError)) {
+                    this.proxyHealth.recordSuccess(strategy.id, duration);
+                } else {
+                    this.proxyHealth.recordFailure(strategy.id);
+                }
+                if (!shouldRetry(retryPolicy, lastError)) {
+                    this.logError(`❌ 不再重试 (${lastError.code || '不在 retryOn 中'})`, this.endStep('total'));
+                    lastError.attempts = attempts;
+                    throw lastError;
+                }
 
-            // 反检测措施
-            await page.evaluateOnNewDocument(() => {
-                Object.defineProperty(navigator, 'webdriver', { get: () => undefined });
-            });
+                // 如果不是最后一次尝试，等待后继续
+                if (index < order.length - 1) {
+                    const delay = backoffDelay(retryPolicy, index + 1);
+                    this.logWarn(`⚠️  等待 ${(delay / 1000).toFixed(1)} 秒后使用下一个策略重试...`);
+                    try {
+                        await this.wait(delay);
+                    } catch (_) {
+                        break;
+                    }
+                }
+            }
+        }
+
+        if (this.cancelled) {
+            const reason = this.cancelReason;
+            this.logError(`❌ ${reason.message}`, this.endStep('total'));
+            reason.attempts = attempts;
+            throw reason;
+        }
+
+        const totalDuration = this.endStep('total');
+        this.logError(`❌ 所有代理尝试均失败`, totalDuration);
+        const error = lastError || new ScrapeError(ERROR_CODES.PROXY_FAILED, '抓取失败：所有代理尝试均失败');
+        error.attempts = attempts;
+        throw error;
+    }
 
-            await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+    /**
+     * 用一个抓取策略完成一次完整抓取：连接浏览器、加载页面、滚动加载、处理内容与存档
+     * @param {string} url - 文章URL
+     * @param {Object} strategy - 抓取策略（见 lib/proxy-health.js buildAttemptStrategies）
+     * @param {Object} options - fetchArticle 校验后的选项
+     * @returns {Object} 抓取结果；失败时抛出原始异常（浏览器已关闭）
+     */
+    async runAttempt(url, strategy, options) {
+        const {
+            sessionName,
+            sessionTTL,
+            sessionRecording,
+            formats,
+            images,
+            imageDir,
+            pageSize,
+            hideOverlays,
+            includeEngagement,
+            interception,
+            loadBudget,
+            retryPolicy
+        } = options;
 
-            // 设置额外的 HTTP headers
-            await page.setExtraHTTPHeaders({
-                'Accept-Language': 'zh-CN,zh;q=0.9',
-                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
+        let browser = null;
+
+        try {
+            this.stepDurations = {};
+            // 连接浏览器
+            this.startStep('connect');
+            this.log(`✅ 正在连接到 ${this.browserProvider.describe()} (${strategy.label})...`);
+            browser = await this.browserProvider.connect({
+                sessionName: sessionName,
+                sessionTTL: sessionTTL,
+                ...strategy.connect,
+                sessionRecording: sessionRecording
             });
+            this.activeBrowser = browser;
+            this.throwIfCancelled();
+
+            this.log('✅ 浏览器连接成功', this.endStep('connect'));
 
-            // 设置视口大小
-            await page.setViewport({ width: 1280, height: 800 });
+            // 创建新页面
+            const page = await this.setupPage(browser, strategy.page);
+            const interceptor = await installRequestInterception(page, interception);
+            const engagementRecorder = includeEngagement ? createEngagementRecorder(page) : null;
 
             this.startStep('navigate');
             this.log('✅ 正在导航到页面...');
 
-            // 导航到目标页面（带重试逻辑）
-            let retries = 3;
-            while (retries > 0) {
-                try {
-                    await page.goto(url, {
-                        waitUntil: 'networkidle0',
-                        timeout: 60000
-                    });
-                    break;
-                } catch (error) {
-                    retries--;
-                    if (retries === 0) {
-                        throw error;
-                    }
-                    this.logWarn(`⚠️  导航失败，还剩 ${retries} 次重试...`);
-                    await new Promise(resolve => setTimeout(resolve, 5000));
-                }
+            const response = await this.navigate(page, url, retryPolicy);
+            if (response && response.status() === 404) {
+                throw new ScrapeError(ERROR_CODES.NOT_FOUND, `页面不存在 (HTTP 404): ${url}`);
             }
 
-                this.log('✅ 页面加载完成', this.endStep('navigate'));
-
-                // 等待内容加载
-                this.startStep('wait-content');
-                await new Promise(resolve => setTimeout(resolve, 3000));
-                this.endStep('wait-content');
+            this.log('✅ 页面加载完成', this.endStep('navigate'));
 
-                // 滚动页面触发懒加载图片
-                this.startStep('scroll');
-                this.log('📜 滚动页面加载图片...');
-                for (let i = 0; i < 5; i++) {
-                    await page.evaluate((scrollY) => {
-                        window.scrollTo(0, scrollY);
-                    }, 1000 * (i + 1));
-                    await new Promise(resolve => setTimeout(resolve, 1000));
-                }
+            // 等待内容加载
+            this.startStep('wait-content');
+            await this.waitForContent(page, url);
+            this.endStep('wait-content');
 
-                // 滚动回顶部
-                await page.evaluate(() => window.scrollTo(0, 0));
-                await new Promise(resolve => setTimeout(resolve, 1000));
+            // 滚动页面触发懒加载图片
+            const loading = await this.loadLazyContent(page, url, loadBudget);
 
-                this.log('✅ 图片加载完成', this.endStep('scroll'));
+            // 获取页面HTML
+            this.startStep('get-content');
+            const htmlContent = await page.content();
+            this.log('✅ 获取页面内容成功', this.endStep('get-content'));
 
-                // 获取页面HTML
-                this.startStep('get-content');
-                const htmlContent = await page.content();
+            // 处理HTML内容
+            this.startStep('process');
+            const result = await this.processHtmlContent(htmlContent, url, formats, { images, imageDir });
+            if (result) {
+                result.loading = loading;
+            }
+            this.endStep('process');
 
-                this.log('✅ 获取页面内容成功', this.endStep('get-content'));
+            await this.captureFormats(page, result, formats, { pageSize, hideOverlays });
+            await this.collectEngagement(page, engagementRecorder, result);
+            this.recordTimings(result, interceptor);
 
-                // 处理HTML内容
-                this.startStep('process');
-                const result = this.processHtmlContent(htmlContent, url, formats);
-                this.endStep('process');
+            // 关闭浏览器
+            this.startStep('close');
+            this.activeBrowser = null;
+            await browser.close();
+            this.log('✅ 浏览器已关闭', this.endStep('close'));
 
-                // 关闭浏览器
-                this.startStep('close');
-                await browser.close();
-                this.log('✅ 浏览器已关闭', this.endStep('close'));
+            return result;
 
-                this.log('✅ 抓取完成', this.endStep('total'));
+        } catch (error) {
+            // 已被 cancel() 关闭的浏览器不再重复关闭
+            if (browser && this.activeBrowser === browser) {
+                try {
+                    this.activeBrowser = null;
+                    await browser.close();
+                } catch (closeError) {
+                    this.logWarn(`⚠️  关闭浏览器失败: ${closeError.message}`);
+                }
+            }
+            throw error;
+        }
+    }
 
-                return result;
+    /**
+     * 离线处理已保存的页面 HTML（无需浏览器）
+     * @param {Object} input - 输入
+     * @param {string} input.html - 页面 HTML 字符串（与 filePath 二选一）
+     * @param {string} input.filePath - 本地 HTML 文件路径
+     * @param {string} input.url - 文章原始 URL（可选，缺省时尝试从页面中推断）
+     * @param {Array} input.formats - 需要的格式
+     * @param {string} input.images - 图片处理方式: remote | download | inline-base64
+     * @param {string} input.imageDir - download 模式下图片的相对目录
+     * @returns {Object|null} 与 scrapeArticle 相同结构的结果；未找到正文时返回 null
+     */
+    async processHtml(input = {}) {
+        const { html, filePath, url, formats = ['markdown', 'html'], images = 'remote', imageDir = 'assets' } = input;
+
+        let htmlContent = html;
+        if (!htmlContent && filePath) {
+            this.startStep('read-file');
+            htmlContent = await fs.readFile(filePath, 'utf-8');
+            this.log(`📂 已读取本地 HTML: ${filePath}`, this.endStep('read-file'));
+        }
+        if (!htmlContent) {
+            throw new Error('需要提供 html 或 filePath');
+        }
 
-            } catch (error) {
-                lastError = error;
-                // 改进错误显示：输出完整的错误对象
-                const errorDetails = error?.response?.error || error?.error || error;
-                const errorString = typeof errorDetails === 'object'
-                    ? JSON.stringify(errorDetails, null, 2)
-                    : errorDetails;
-                this.logError(`❌ 代理 ${currentProxy} 抓取失败: ${error.message}`);
-                this.logError(`详细错误: ${errorString}`);
-                if (browser) {
-                    try {
-                        await browser.close();
-                    } catch (closeError) {
-                        this.logWarn(`⚠️  关闭浏览器失败: ${closeError.message}`);
-                    }
-                }
+        const sourceUrl = url || this.inferSourceUrl(htmlContent);
+        this.log(`离线处理 HTML${sourceUrl ? `: ${sourceUrl}` : ''}`);
+        if (hasCaptureFormats(formats)) {
+            this.logWarn(`⚠️  离线处理没有浏览器页面，已忽略 ${formats.filter(format => CAPTURE_FORMATS.includes(format)).join(', ')} 格式`);
+        }
+        return this.processHtmlContent(htmlContent, sourceUrl, formats, { images, imageDir });
+    }
 
-                // 如果不是最后一次尝试，等待后继续
-                if (proxyIndex < proxyRetries.length - 1) {
-                    this.logWarn(`⚠️  等待 3 秒后使用下一个代理重试...`);
-                    await new Promise(resolve => setTimeout(resolve, 3000));
-                }
-            }
+    /**
+     * includeEngagement：滚动到页面底部触发留言加载，等待互动数据接口响应（有超时），停止监听并把互动数据写入 result.engagement
+     * @param {import('puppeteer-core').Page} page
+     * @param {Object|null} recorder - createEngagementRecorder 的返回值；为 null 时不处理
+     * @param {Object|null} result - processHtmlContent 的结果
+     */
+    async collectEngagement(page, recorder, result) {
+        if (!recorder) return;
+        this.startStep('engagement');
+        try {
+            await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+        } catch (error) {
+            this.logWarn(`⚠️  滚动到页面底部失败: ${error.message}`);
+        }
+        if (!(await recorder.waitForData())) {
+            this.logWarn('⚠️  等待互动数据接口响应超时');
         }
+        const engagement = await recorder.finish();
+        if (result) {
+            result.engagement = engagement;
+        }
+        if (engagement.available) {
+            this.log(`💬 互动数据: 阅读 ${engagement.read_count ?? '-'}，精选留言 ${engagement.comments ? engagement.comments.length : 0} 条`, this.endStep('engagement'));
+        } else {
+            this.logWarn(`⚠️  ${engagement.reason}`, this.endStep('engagement'));
+        }
+    }
 
-        // 所有官方代理都失败了，尝试使用自定义代理（如果提供）
-        if (proxyURL) {
-            this.logWarn('⚠️  官方代理全部失败，尝试使用自定义代理...');
-            const result = await this.scrapeWithProxy(url, {
-                sessionName,
-                sessionTTL,
-                proxyURL,
-                sessionRecording,
-                formats
-            });
-            this.endStep('total');
-            return result;
+    /**
+     * 把本次尝试的步骤用时与请求拦截统计写入 result.timings
+     * @param {Object|null} result - processHtmlContent 的结果
+     * @param {Object|null} interceptor - installRequestInterception 的返回值；未启用拦截时为 null
+     */
+    recordTimings(result, interceptor) {
+        if (!result) return;
+        result.timings = { steps: { ...this.stepDurations } };
+        if (interceptor) {
+            const requests = interceptor.summary();
+            result.timings.requests = requests;
+            this.log(`🚫 已拦截 ${requests.blocked}/${requests.total} 个请求，估算节省 ${Math.round(requests.estimated_bytes_saved / 1024)} KB`);
         }
+    }
 
-        // 没有可用的自定义代理，直接失败
-        const totalDuration = this.endStep('total');
-        this.logError(`❌ 所有代理尝试均失败`, totalDuration);
-        throw lastError || new Error('抓取失败：所有代理尝试均失败');
+    /**
+     * 在已加载完成的页面上生成 PDF / 整页截图，写入 result.data（base64）
+     * @param {import('puppeteer-core').Page} page - 已完成懒加载滚动的页面
+     * @param {Object|null} result - processHtmlContent 的结果；为 null 时不处理
+     * @param {Array} formats - 需要的格式
+     * @param {Object} options - 见 lib/capture.js normalizeCaptureOptions
+     */
+    async captureFormats(page, result, formats, options = {}) {
+        if (!result || !hasCaptureFormats(formats)) return;
+        this.startStep('capture');
+        Object.assign(result.data, await capturePage(page, formats, options));
+        const captured = CAPTURE_FORMATS.filter(format => result.data[format]);
+        this.log(`📸 页面存档已生成: ${captured.join(', ')}`, this.endStep('capture'));
+    }
+
+    /**
+     * 从已保存的页面中推断原始 URL（canonical / og:url / 微信 msg_link）
+     * @param {string} htmlContent - 原始HTML内容
+     * @returns {string} 推断出的 URL，失败时返回空字符串
+     */
+    inferSourceUrl(htmlContent) {
+        const $ = cheerio.load(htmlContent);
+        const fromMeta = $('link[rel="canonical"]').attr('href')
+            || $('meta[property="og:url"]').attr('content')
+            || '';
+        if (/^https?:\/\//i.test(fromMeta)) {
+            return fromMeta;
+        }
+        const msgLink = htmlContent.match(/var\s+msg_link\s*=\s*"([^"]+)"/);
+        if (msgLink) {
+            return msgLink[1].replace(/\\x26amp;|&amp;/g, '&');
+        }
+        return '';
     }
 
     /**
@@ -397,26 +948,57 @@ class WeChatArticleScraper {
      * @param {string} htmlContent - 原始HTML内容
      * @param {string} url - 文章URL
      * @param {Array} formats - 需要的格式
-     * @returns {Object} 处理后的结果
+     * @param {Object} options - 处理选项
+     * @param {string} options.images - 图片处理方式: remote | download | inline-base64
+     * @param {string} options.imageDir - download 模式下图片的相对目录
+     * @returns {Promise<Object>} 处理后的结果
      */
-    processHtmlContent(htmlContent, url, formats) {
+    async processHtmlContent(htmlContent, url, formats, options = {}) {
+        const { images = 'remote', imageDir = 'assets' } = options;
+        if (!IMAGE_MODES.includes(images)) {
+            throw new Error(`不支持的图片处理方式: ${images}（可选: ${IMAGE_MODES.join(', ')}）`);
+        }
+
         const $ = cheerio.load(htmlContent);
 
         // 提取文章元数据
         this.startStep('extract-metadata');
-        const metadata = this.extractMetadata($);
+        const profiles = this.siteProfiles.profilesFor(url);
+        const metadata = this.extractMetadata($, profiles);
+        Object.assign(metadata, resolveCanonicalIdentity(
+            metadata,
+            $('link[rel="canonical"]').attr('href'),
+            $('meta[property="og:url"]').attr('content'),
+            url
+        ));
         this.endStep('extract-metadata');
 
         // 提取文章主体内容（支持多站点，含微信与通用站点）
-        const articleContent = this.findArticleContent($, url);
+        const extraction = this.locateArticleContent($, profiles);
+        const articleContent = extraction.node;
         if (!articleContent || !articleContent.length) {
+            // 删除、违规、验证码等提示页：抛出带错误码的异常
+            const blocked = detectBlockedPage($);
+            if (blocked) {
+                this.logWarn(`⚠️  识别到微信提示页: ${blocked.code} (${blocked.pageMessage || blocked.message})`);
+                throw blocked;
+            }
             this.logWarn('⚠️  未找到文章内容区域');
             return null;
         }
 
+        // 移除站点配置声明的无关元素
+        const stripSelectors = [...new Set(profiles.flatMap(profile => profile.strip || []))];
+        if (stripSelectors.length) {
+            articleContent.find(stripSelectors.join(', ')).remove();
+        }
+
+        // 字数与预计阅读时间
+        Object.assign(metadata, readingStats(articleContent.text()));
+
         // 修复懒加载图片
         this.startStep('fix-images');
-        this.fixLazyImages(articleContent, $);
+        this.fixLazyImages(articleContent, $, [...new Set(profiles.flatMap(profile => profile.lazyImageAttributes || []))]);
         this.endStep('fix-images');
 
         const result = {
@@ -424,9 +1006,27 @@ class WeChatArticleScraper {
             url: url,
             timestamp: new Date().toISOString(),
             metadata: metadata,
+            // 正文定位方式与置信度，便于发现抽取错误
+            extraction: {
+                strategy: extraction.strategy,
+                profile: extraction.profile,
+                selector: extraction.selector,
+                confidence: extraction.confidence
+            },
             data: {}
         };
 
+        // 下载并本地化图片（需在格式转换前改写 src）
+        if (images !== 'remote') {
+            this.startStep('localize-images');
+            const localized = await this.localizeImages(articleContent, $, { mode: images, imageDir });
+            result.images = localized.summary;
+            if (localized.assets.length) {
+                result.assets = localized.assets;
+            }
+            this.log(`🖼️  图片本地化完成: ${localized.summary.localized}/${localized.summary.total}`, this.endStep('localize-images'));
+        }
+
         // 根据需要的格式处理内容
         if (formats.includes('html')) {
             this.startStep('convert-html');
@@ -441,122 +1041,173 @@ class WeChatArticleScraper {
             this.endStep('convert-markdown');
         }
 
+        // 结构化块与纯文本：由同一份块数组生成
+        if (formats.includes('blocks') || formats.includes('text')) {
+            this.startStep('convert-blocks');
+            const blocks = buildBlocks($, articleContent);
+            if (formats.includes('blocks')) {
+                result.data.blocks = blocks;
+            }
+            if (formats.includes('text')) {
+                result.data.text = blocksToText(blocks);
+            }
+            this.endStep('convert-blocks');
+        }
+
+        // EPUB 为二进制，与图片资源一样以 base64 保存在结果中，落盘时写成 .epub 文件
+        if (formats.includes('epub')) {
+            this.startStep('convert-epub');
+            const epub = await buildEpub([{ ...result, data: { html: articleContent.html() } }]);
+            result.data.epub = epub.buffer.toString('base64');
+            this.log(`📚 EPUB 已生成: ${epub.images.embedded}/${epub.images.total} 张图片已内嵌`, this.endStep('convert-epub'));
+        }
+
         return result;
     }
 
     /**
-     * 根据URL智能查找文章主体容器，支持多站点扩展
-     * - 先按域名匹配特定站点选择器（如微信、Mowen）
-     * - 再尝试一组通用选择器
-     * - 命中后记录使用的选择器，便于后续扩展与调试
+     * 按站点配置查找文章主体容器
      * @param {import('cheerio').CheerioAPI} $
-     * @param {string} url
+     * @param {Array<Object>|string} profiles - 站点配置链（见 SiteProfileRegistry#profilesFor），也可直接传 URL
      * @returns {import('cheerio').Cheerio}
      */
-    findArticleContent($, url) {
-        let hostname = '';
-        try {
-            hostname = new URL(url).hostname;
-        } catch (_) {
-            // ignore
-        }
+    findArticleContent($, profiles) {
+        return this.locateArticleContent($, profiles).node;
+    }
 
-        // 站点特定选择器（可持续扩展）
-        const siteConfigs = [
-            {
-                test: /(^|\.)mp\.weixin\.qq\.com$/i,
-                selectors: [
-                    '#js_content',
-                    '.rich_media_content'
-                ]
-            },
-            {
-                // Mowen（示例）：主体通常在 class="doc" 下
-                test: /mowen.cn/i,
-                selectors: [
-                    'div.doc',
-                    '.doc'
-                ]
-            }
-        ];
-
-        // 通用选择器（常见博客/文档系统）
-        const genericSelectors = [
-            'article',
-            'main article',
-            '.article-content',
-            '.post-content',
-            '.entry-content',
-            '.markdown-body',
-            '.content article',
-            'main .content',
-            '#content article',
-            '#content',
-        ];
-
-        // 1) 站点定制匹配
-        if (hostname) {
-            const site = siteConfigs.find(cfg => cfg.test.test(hostname));
-            if (site) {
-                for (const sel of site.selectors) {
-                    const node = $(sel);
-                    if (node && node.length) {
-                        this.log(`🔎 使用站点选择器(${hostname}): ${sel}`);
-                        return node.first();
-                    }
+    /**
+     * 定位文章主体容器，并给出抽取策略与置信度
+     * - site-profile：URL 匹配到的站点配置（如微信、Mowen）中的选择器命中，置信度 1
+     * - generic-selector：兜底配置的通用选择器命中，且包含打分选出的正文块
+     * - readability：通用选择器未命中或命中的是侧栏等区域时，按文字密度、链接密度与段落数打分选出正文块
+     * 走兜底配置时会先移除导航、页脚、评论等页面框架
+     * @param {import('cheerio').CheerioAPI} $
+     * @param {Array<Object>|string} profiles - 站点配置链，也可直接传 URL
+     * @returns {{node: import('cheerio').Cheerio, strategy: string, profile: string|null, selector: string|null, confidence: number}}
+     */
+    locateArticleContent($, profiles) {
+        const chain = Array.isArray(profiles) ? profiles : this.siteProfiles.profilesFor(profiles);
+        const fallback = chain.find(profile => profile.hosts.includes('*')) || null;
+
+        for (const profile of chain) {
+            if (profile === fallback) continue;
+            for (const sel of profile.content) {
+                const node = $(sel);
+                if (node && node.length) {
+                    this.log(`🔎 使用站点配置(${profile.name}): ${sel}`);
+                    return { node: node.first(), strategy: 'site-profile', profile: profile.name, selector: sel, confidence: 1 };
                 }
             }
         }
 
-        // 2) 微信选择器（向后兼容：即使域名没匹配，也尝试一次）
-        for (const sel of ['#js_content', '.rich_media_content']) {
-            const node = $(sel);
-            if (node && node.length) {
-                this.log(`🔎 使用微信选择器: ${sel}`);
-                return node.first();
+        // 站点配置未命中：先排除删除、验证码等提示页，免得打分兜底把提示文字当成正文
+        if (chain.some(profile => profile !== fallback)) {
+            const blocked = detectBlockedPage($);
+            if (blocked) {
+                this.logWarn(`⚠️  识别到微信提示页: ${blocked.code} (${blocked.pageMessage || blocked.message})`);
+                throw blocked;
             }
         }
 
-        // 3) 通用选择器
-        for (const sel of genericSelectors) {
-            const node = $(sel);
-            if (node && node.length) {
-                this.log(`🔎 使用通用选择器: ${sel}`);
-                return node.first();
+        if (!fallback) {
+            return { node: $(), strategy: 'none', profile: null, selector: null, confidence: 0 };
+        }
+
+        stripChrome($, $('body').length ? $('body') : $.root());
+        const best = scoreContent($, $('body').length ? $('body') : $.root());
+        for (const sel of fallback.content) {
+            const node = $(sel).first();
+            if (!node.length) continue;
+            // 通用选择器命中的容器必须包含打分选出的正文块，否则多半是侧栏或整页
+            if (best && node[0] !== best.node[0] && !node.find(best.node).length) {
+                this.logWarn(`⚠️  通用选择器 ${sel} 未包含正文块，改用打分结果`);
+                break;
             }
+            this.log(`🔎 使用通用选择器(${fallback.name}): ${sel}`);
+            return {
+                node,
+                strategy: 'generic-selector',
+                profile: fallback.name,
+                selector: sel,
+                confidence: best ? best.confidence : 0.3
+            };
+        }
+
+        if (best) {
+            this.log(`🔎 使用正文打分: <${best.node[0].tagName}> 得分 ${best.score}，置信度 ${best.confidence}`);
+            return { node: best.node, strategy: 'readability', profile: fallback.name, selector: null, confidence: best.confidence };
         }
 
         // 未匹配到
-        return $();
+        return { node: $(), strategy: 'none', profile: null, selector: null, confidence: 0 };
+    }
+
+    /**
+     * 按站点配置等待正文渲染：先等待 wait.selector（如配置，wait.visible 时要求可见），再等待 wait.delay 毫秒（默认 0，可被取消与总时限中断）
+     * @param {import('puppeteer-core').Page} page
+     * @param {string} url
+     */
+    async waitForContent(page, url) {
+        const wait = this.siteProfiles.profilesFor(url).map(profile => profile.wait).find(Boolean) || {};
+        if (wait.selector) {
+            try {
+                await page.waitForSelector(wait.selector, { timeout: wait.timeout || 10000, visible: wait.visible === true });
+            } catch (error) {
+                this.logWarn(`⚠️  等待 ${wait.selector} 超时，继续处理`);
+            }
+        }
+        if (wait.delay > 0) {
+            await this.wait(wait.delay);
+        }
+    }
+
+    /**
+     * 滚动页面加载懒加载图片与后续内容（正文容器与懒加载属性取自站点配置）
+     * @param {import('puppeteer-core').Page} page
+     * @param {string} url
+     * @param {number} budget - 时间预算（毫秒）
+     * @returns {Promise<Object>} 见 lib/lazy-load.js scrollUntilLoaded
+     */
+    async loadLazyContent(page, url, budget) {
+        this.startStep('scroll');
+        this.log('📜 滚动页面加载图片...');
+        const profiles = this.siteProfiles.profilesFor(url);
+        const loading = await scrollUntilLoaded(page, {
+            selectors: [...new Set(profiles.flatMap(profile => profile.content || []))],
+            lazyAttributes: [...new Set(profiles.flatMap(profile => profile.lazyImageAttributes || []))],
+            budget
+        });
+        const duration = this.endStep('scroll');
+        if (loading.unresolved > 0 || loading.budget_exhausted) {
+            this.logWarn(`⚠️  ${loading.unresolved}/${loading.images} 张懒加载图片未加载${loading.budget_exhausted ? '（已用完时间预算）' : ''}`, duration);
+        } else {
+            this.log(`✅ 图片加载完成 (${loading.images} 张，滚动 ${loading.scrolls} 次)`, duration);
+        }
+        return loading;
     }
 
     /**
      * 提取文章元数据（适配 Readwise Reader API）
      * @param {Object} $ - Cheerio 实例
+     * @param {Array<Object>} profiles - 站点配置链，标题/作者/日期按配置中的选择器依次读取
      * @returns {Object} 元数据对象
      */
-    extractMetadata($) {
+    extractMetadata($, profiles = this.siteProfiles.profilesFor('')) {
         const metadata = {};
+        const selectorsFor = field => profiles.flatMap(profile => profile[field] || []);
 
         // 提取标题
-        metadata.title = $('#activity-name').text().trim()
-            || $('.rich_media_title').text().trim()
-            || $('meta[property="og:title"]').attr('content')
-            || $('title').text().trim()
-            || '';
+        metadata.title = readField($, selectorsFor('title'));
 
         // 提取作者
-        metadata.author = $('#js_name').text().trim()
-            || $('.rich_media_meta_nickname').text().trim()
-            || $('meta[name="author"]').attr('content')
-            || $('meta[property="og:article:author"]').attr('content')
-            || '';
+        metadata.author = readField($, selectorsFor('author'));
+
+        // 页面内联脚本变量（msg_cdn_url、msg_desc、biz 等）
+        const scriptText = $('script').map((_i, el) => $(el).html() || '').get().join('\n');
+        const scriptVar = (name) => extractScriptVariable(scriptText, name);
 
         // 提取发布日期
-        const publishDateText = $('#publish_time').text().trim()
-            || $('.rich_media_meta_text').text().trim()
-            || $('meta[property="article:published_time"]').attr('content')
-            || '';
+        const publishDateText = readField($, selectorsFor('date'));
 
         if (publishDateText) {
             // 尝试解析日期
@@ -566,6 +1217,49 @@ class WeChatArticleScraper {
         }
         this.log(`parsePublishDate: ${publishDateText} -> ${metadata.published_date}`);
 
+        // publish_time 由脚本渲染，保存下来的原始页面里可能为空，用 ct（Unix 秒）兜底
+        const createTime = scriptVar('ct');
+        if (!metadata.published_date && /^\d{10}$/.test(createTime)) {
+            metadata.published_date = new Date(parseInt(createTime, 10) * 1000).toISOString();
+        }
+
+        // 封面与摘要（字段名与 Readwise Reader API 一致）
+        metadata.image_url = scriptVar('msg_cdn_url')
+            || $('meta[property="og:image"]').attr('content')
+            || '';
+        metadata.summary = scriptVar('msg_desc')
+            || $('meta[property="og:description"]').attr('content')
+            || $('meta[name="description"]').attr('content')
+            || '';
+
+        // 公众号信息：author 为公众号名称，article_author 为文章署名作者
+        metadata.account_name = scriptVar('nickname') || $('#js_name').text().trim() || metadata.author;
+        metadata.account_id = scriptVar('user_name');
+        metadata.article_author = $('#js_author_name').text().trim()
+            || $('meta[name="author"]').attr('content')
+            || scriptVar('author')
+            || '';
+
+        // 文章身份参数：优先脚本变量，其次 og:url / msg_link 中的查询参数
+        const linkParams = articleParamsFromUrl(scriptVar('msg_link') || $('meta[property="og:url"]').attr('content') || '');
+        metadata.biz = scriptVar('biz') || linkParams.biz;
+        metadata.mid = scriptVar('mid') || scriptVar('appmsgid') || linkParams.mid;
+        metadata.idx = scriptVar('idx') || linkParams.idx;
+        metadata.sn = scriptVar('sn') || linkParams.sn;
+
+        // 原创标记：copyright_stat 为 1，或页面上有“原创”标签
+        metadata.is_original = scriptVar('copyright_stat') === '1'
+            || $('#copyright_logo').text().trim() === '原创';
+
+        // IP 属地（发表于）
+        metadata.ip_location = $('#js_ip_wording').text().trim()
+            || scriptVar('provinceName')
+            || scriptVar('countryName')
+            || '';
+
+        // 转载文章的原文链接
+        metadata.source_url = scriptVar('source_url') || scriptVar('msg_source_url') || '';
+
         // 来源标记
         metadata.saved_using = 'wechat-scraper-mcp';
 
@@ -573,6 +1267,8 @@ class WeChatArticleScraper {
         this.log(`  标题: ${metadata.title || '(未找到)'}`);
         this.log(`  作者: ${metadata.author || '(未找到)'}`);
         this.log(`  发布日期: ${metadata.published_date || '(未找到)'}`);
+        this.log(`  公众号: ${metadata.account_name || '(未找到)'} ${metadata.account_id ? `(${metadata.account_id})` : ''}`);
+        this.log(`  原创: ${metadata.is_original ? '是' : '否'}  IP属地: ${metadata.ip_location || '(未找到)'}`);
 
         return metadata;
     }
@@ -602,9 +1298,9 @@ class WeChatArticleScraper {
                 if (!isNaN(d.getTime())) return d.toISOString();
             }
 
-            // 2) 中文日期（可选年份）+ 可选 上午/下午/AM/PM + 时间
-            // 示例：2025年10月29日 下午 4:21 / 10月29日 16:21
-            const cnMatch = text.match(/(?:(\d{4})年)?\s*(\d{1,2})月\s*(\d{1,2})日\s*(?:([上下]午|AM|PM)\s*)?(\d{1,2})(?::(\d{1,2})(?::(\d{1,2}))?)?/i);
+            // 2) 中文日期（可选年份）+ 可选 上午/下午/AM/PM + 可选时间
+            // 示例：2025年10月29日 下午 4:21 / 10月29日 16:21 / 2025年10月29日
+            const cnMatch = text.match(/(?:(\d{4})年)?\s*(\d{1,2})月\s*(\d{1,2})日(?:\s*(?:([上下]午|AM|PM)\s*)?(\d{1,2})(?::(\d{1,2})(?::(\d{1,2}))?)?)?/i);
             if (cnMatch) {
                 let [, year, month, day, ampm = '', hour = '0', minute = '0', second = '0'] = cnMatch;
                 const y = year || String(new Date().getFullYear());
@@ -651,8 +1347,9 @@ class WeChatArticleScraper {
      * 修复懒加载图片，替换SVG占位符为真实图片URL
      * @param {Object} articleContent - Cheerio 选择器对象
      * @param {Object} $ - Cheerio 实例
+     * @param {Array<string>} lazyAttributes - 存放真实图片 URL 的属性（来自站点配置）
      */
-    fixLazyImages(articleContent, $) {
+    fixLazyImages(articleContent, $, lazyAttributes = ['data-src', 'data-original', 'data-lazy-src']) {
         const images = articleContent.find('img');
         let fixedCount = 0;
 
@@ -662,10 +1359,8 @@ class WeChatArticleScraper {
 
             // 检查是否是SVG占位符
             if (src.includes('data:image/svg+xml')) {
-                // 尝试从data-src属性获取真实图片URL
-                const realSrc = $img.attr('data-src')
-                    || $img.attr('data-original')
-                    || $img.attr('data-lazy-src');
+                // 按站点配置的懒加载属性获取真实图片URL
+                const realSrc = lazyAttributes.map(attr => $img.attr(attr)).find(Boolean);
 
                 if (realSrc) {
                     $img.attr('src', realSrc);
@@ -693,6 +1388,117 @@ class WeChatArticleScraper {
         }
     }
 
+    /**
+     * 下载正文中的图片并改写为本地路径或 data URI
+     * - 相同 URL 只下载一次，相同内容（sha1）只保存一份
+     * - 下载失败的图片保留原始链接
+     * @param {Object} articleContent - Cheerio 选择器对象
+     * @param {Object} $ - Cheerio 实例
+     * @param {Object} options - { mode, imageDir, concurrency, fetchImpl }
+     * @returns {Promise<{assets: Array, summary: Object}>}
+     */
+    async localizeImages(articleContent, $, options = {}) {
+        const { mode = 'download', imageDir = 'assets', concurrency = 4, fetchImpl } = options;
+
+        const urls = [];
+        articleContent.find('img').each((_i, img) => {
+            let src = $(img).attr('src') || '';
+            if (src.startsWith('//')) src = `https:${src}`;
+            if (/^https?:\/\//i.test(src) && !urls.includes(src)) {
+                urls.push(src);
+            }
+        });
+
+        const replacements = new Map();  // 原始 URL -> 新 src
+        const assetsByHash = new Map();
+        const failed = [];
+
+        let cursor = 0;
+        const worker = async () => {
+            while (cursor < urls.length) {
+                const url = urls[cursor++];
+                try {
+                    const { buffer, contentType } = await downloadImage(url, { fetchImpl });
+                    const extension = imageExtension(url, contentType);
+                    const mimeType = imageMimeType(extension);
+                    if (mode === 'inline-base64') {
+                        replacements.set(url, `data:${mimeType};base64,${buffer.toString('base64')}`);
+                        continue;
+                    }
+                    const hash = hashBuffer(buffer);
+                    if (!assetsByHash.has(hash)) {
+                        assetsByHash.set(hash, {
+                            file: path.posix.join(imageDir, `${hash}.${extension}`),
+                            url,
+                            contentType: mimeType,
+                            size: buffer.length,
+                            hash,
+                            data: buffer.toString('base64')
+                        });
+                    }
+                    replacements.set(url, assetsByHash.get(hash).file);
+                } catch (error) {
+                    failed.push({ url, error: error.message });
+                    this.logWarn(`⚠️  图片下载失败，保留原链接: ${url.substring(0, 80)} (${error.message})`);
+                }
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(concurrency, urls.length) }, worker));
+
+        articleContent.find('img').each((_i, img) => {
+            const $img = $(img);
+            let src = $img.attr('src') || '';
+            if (src.startsWith('//')) src = `https:${src}`;
+            if (replacements.has(src)) {
+                $img.attr('src', replacements.get(src));
+                $img.removeAttr('data-src');
+            }
+        });
+
+        return {
+            assets: Array.from(assetsByHash.values()),
+            summary: {
+                mode,
+                total: urls.length,
+                localized: replacements.size,
+                failed
+            }
+        };
+    }
+
+    /**
+     * 将 download 模式的图片写入输出文件所在目录
+     * @param {Object} result - 抓取结果
+     * @param {string} baseDir - 输出目录
+     * @returns {Promise<number>} 写入的文件数
+     */
+    async saveAssets(result, baseDir) {
+        const assets = result.assets || [];
+        for (const asset of assets) {
+            const target = path.join(baseDir, asset.file);
+            await fs.mkdir(path.dirname(target), { recursive: true });
+            await fs.writeFile(target, Buffer.from(asset.data, 'base64'));
+        }
+        return assets.length;
+    }
+
+    /**
+     * 去掉图片、EPUB、PDF 与截图二进制内容后的结果，用于写 JSON
+     */
+    stripAssetData(result) {
+        const binary = BINARY_FORMATS.filter(({ key }) => result.data && result.data[key]);
+        if (!result.assets && !binary.length) return result;
+        const data = { ...result.data };
+        for (const { key } of binary) {
+            delete data[key];
+        }
+        return {
+            ...result,
+            data,
+            ...(result.assets ? { assets: result.assets.map(({ data: _data, ...asset }) => asset) } : {})
+        };
+    }
+
     /**
      * 保存抓取结果到文件
      * @param {Object} result - 抓取结果
@@ -701,10 +1507,16 @@ class WeChatArticleScraper {
     async saveResult(result, outputFile) {
         try {
             this.startStep('save');
-            // 保存完整结果为JSON
-            await fs.writeFile(outputFile, JSON.stringify(result, null, 2), 'utf-8');
+            // 保存完整结果为JSON（图片二进制单独落盘）
+            await fs.writeFile(outputFile, JSON.stringify(this.stripAssetData(result), null, 2), 'utf-8');
             this.log(`📄 完整结果已保存到: ${outputFile}`);
 
+            // 如果有本地化图片，写入资源目录（与 Markdown/HTML 中的相对路径对应）
+            if (result.assets && result.assets.length) {
+                const count = await this.saveAssets(result, path.dirname(outputFile));
+                this.log(`🖼️  ${count} 张图片已保存到: ${path.join(path.dirname(outputFile), path.dirname(result.assets[0].file))}`);
+            }
+
             const data = result.data || {};
 
             // 如果有markdown内容，单独保存
@@ -721,6 +1533,22 @@ class WeChatArticleScraper {
                 this.log(`🌐 HTML内容已保存到: ${htmlFile}`);
             }
 
+            // 如果有纯文本内容，单独保存（blocks 已包含在 JSON 中）
+            if (data.text) {
+                const textFile = outputFile.replace('.json', '.txt');
+                await fs.writeFile(textFile, data.text, 'utf-8');
+                this.log(`📃 纯文本已保存到: ${textFile}`);
+            }
+
+            // 如果有EPUB / PDF / 截图，单独保存
+            for (const { key, extension, label } of BINARY_FORMATS) {
+                if (data[key]) {
+                    const binaryFile = outputFile.replace('.json', `.${extension}`);
+                    await fs.writeFile(binaryFile, Buffer.from(data[key], 'base64'));
+                    this.log(`💾 ${label}已保存到: ${binaryFile}`);
+                }
+            }
+
             this.log('✅ 所有文件保存完成', this.endStep('save'));
 
         } catch (error) {
@@ -728,28 +1556,126 @@ class WeChatArticleScraper {
             throw error;
         }
     }
+
+    /**
+     * 将多篇文章（如合集）导出为一本 EPUB（见 lib/epub.js）
+     * @param {Array<Object>} results - 抓取结果（需包含 html 格式），章节按发布时间排序
+     * @param {string} outputFile - 输出的 .epub 文件路径
+     * @param {Object} options - { title, author, language }
+     * @returns {Promise<{file: string, size: number, title: string, chapters: Array, images: Object}>}
+     */
+    async exportEpub(results, outputFile, options = {}) {
+        try {
+            this.startStep('save');
+            const epub = await buildEpub(results, options);
+            await fs.mkdir(path.dirname(path.resolve(outputFile)), { recursive: true });
+            await fs.writeFile(outputFile, epub.buffer);
+            this.log(`📚 EPUB已保存到: ${outputFile}（${epub.chapters.length} 篇，${epub.images.embedded} 张图片）`, this.endStep('save'));
+            if (epub.images.failed.length) {
+                this.logWarn(`⚠️  ${epub.images.failed.length} 张图片获取失败，已用替代文字代替`);
+            }
+            return { file: outputFile, size: epub.buffer.length, title: epub.title, chapters: epub.chapters, images: epub.images };
+        } catch (error) {
+            this.logError(`❌ 生成 EPUB 时出错: ${error.message}`, this.endStep('save'));
+            throw error;
+        }
+    }
+
+    /**
+     * 保存到 Obsidian / Markdown 笔记库（见 lib/vault.js）
+     * @param {Object} result - 抓取结果（需包含 markdown 格式）
+     * @param {string} vaultDir - 笔记库根目录
+     * @param {Object} options - { tags }
+     * @returns {Promise<{path: string, status: 'created'|'updated', attachments: number}>}
+     */
+    async saveToVault(result, vaultDir, options = {}) {
+        try {
+            this.startStep('save');
+            const saved = await exportToVault(result, { vaultDir, tags: options.tags });
+            this.log(`📝 笔记已${saved.status === 'updated' ? '更新' : '创建'}: ${path.join(vaultDir, saved.path)}`, this.endStep('save'));
+            return saved;
+        } catch (error) {
+            this.logError(`❌ 保存到笔记库时出错: ${error.message}`, this.endStep('save'));
+            throw error;
+        }
+    }
+}
+
+/**
+ * 解析命令行参数
+ *   node scraper.js [url...]
+ *   node scraper.js --epub <file.epub> [--title <书名>] <文章或合集 URL...>
+ * @returns {{urls: Array<string>, epub: string|null, title: string|null}}
+ */
+function parseCliArgs(argv) {
+    const options = { urls: [], epub: null, title: null };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--epub') {
+            options.epub = argv[++i] || null;
+        } else if (argv[i] === '--title') {
+            options.title = argv[++i] || null;
+        } else {
+            options.urls.push(argv[i]);
+        }
+    }
+    return options;
 }
 
 // 主函数
 async function main() {
+    const cli = parseCliArgs(process.argv.slice(2));
+
     // 目标URL
-    const url = 'https://mp.weixin.qq.com/s/umG_UtpfpEG5riNzfjvpwA';
+    const url = cli.urls[0] || 'https://mp.weixin.qq.com/s/umG_UtpfpEG5riNzfjvpwA';
 
     // 检查API token (支持两种环境变量名)
     const apiKey = process.env.SCRAPELESS_API_KEY || process.env.SCRAPELESS_API_TOKEN;
-    if (!apiKey) {
-        console.error('错误: 请设置SCRAPELESS_API_KEY或SCRAPELESS_API_TOKEN环境变量');
-        console.error('例如: export SCRAPELESS_API_KEY="your_api_key_here"');
-        process.exit(1);
-    }
 
     try {
+        // 按环境变量选择浏览器后端（Scrapeless / 本地 Chromium / CDP 端点）
+        const browserProvider = createBrowserProviderFromEnv();
+        if (!browserProvider) {
+            console.error('错误: 请设置SCRAPELESS_API_KEY或SCRAPELESS_API_TOKEN环境变量');
+            console.error('例如: export SCRAPELESS_API_KEY="your_api_key_here"');
+            console.error('或使用本地浏览器: export CHROMIUM_PATH="/usr/bin/chromium"');
+            console.error('或连接 CDP 端点: export BROWSER_WS_ENDPOINT="ws://127.0.0.1:9222/devtools/browser/..."');
+            process.exit(1);
+        }
+
         // 创建抓取器
-        const scraper = new WeChatArticleScraper(apiKey);
+        const scraper = new WeChatArticleScraper(apiKey, { browserProvider, logger: createLoggerFromEnv() });
+
+        // EPUB 模式：逐个抓取文章与合集，合并为一本书
+        if (cli.epub) {
+            if (!cli.urls.length) {
+                console.error('用法: node scraper.js --epub <file.epub> [--title <书名>] <文章或合集 URL...>');
+                process.exit(1);
+            }
+            const results = [];
+            let albumTitle = null;
+            const articleUrls = [];
+            for (const target of cli.urls) {
+                if (isAlbumUrl(target)) {
+                    const album = await scraper.scrapeAlbum(target, { formats: ['html'] });
+                    albumTitle = albumTitle || album.album.title;
+                    results.push(...album.results.filter(entry => entry.result).map(entry => entry.result));
+                } else {
+                    articleUrls.push(target);
+                }
+            }
+            if (articleUrls.length) {
+                const batch = await scraper.scrapeMany(articleUrls, { formats: ['html'] });
+                results.push(...batch.results.filter(entry => entry.result).map(entry => entry.result));
+            }
+            const epub = await scraper.exportEpub(results, cli.epub, { title: cli.title || albumTitle || undefined });
+            console.log(`\n🎉 EPUB 生成成功: ${epub.file}（${epub.chapters.length} 篇）`);
+            return;
+        }
 
-        // 生成输出文件名
+        // 生成输出文件名（设置 VAULT_DIR 时改为写入笔记库）
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
         const outputFile = `wechat_article_${timestamp}.json`;
+        const vaultDir = process.env.VAULT_DIR;
 
         // 抓取文章
         const result = await scraper.scrapeArticle(url, {
@@ -761,7 +1687,11 @@ async function main() {
             console.log('\n🎉 抓取成功!');
 
             // 保存结果
-            await scraper.saveResult(result, outputFile);
+            if (vaultDir) {
+                await scraper.saveToVault(result, vaultDir);
+            } else {
+                await scraper.saveResult(result, outputFile);
+            }
 
             // 显示部分内容预览
             if (result.data.markdown) {
@@ -779,8 +1709,18 @@ async function main() {
     }
 }
 
+/**
+ * 离线处理 HTML 的便捷函数（无需 API Key 与浏览器）
+ * @param {Object} input - 见 WeChatArticleScraper#processHtml
+ * @returns {Promise<Object|null>} 处理结果
+ */
+async function processWechatHtml(input) {
+    const scraper = new WeChatArticleScraper(null, { offline: true });
+    return scraper.processHtml(input);
+}
+
 // 导出类供其他模块使用
-export { WeChatArticleScraper };
+export { WeChatArticleScraper, processWechatHtml, BINARY_FORMATS };
 
 // 如果直接运行此文件，则执行main函数
 if (import.meta.url === `file://${process.argv[1]}`) {
@@ -0,0 +1,58 @@
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { promises as fs } from 'node:fs';
+import { isAlbumUrl, parseAlbumHtml, findAlbumLink } from '../lib/album.js';
+import { WeChatArticleScraper } from '../scraper.js';
+
+const scraper = new WeChatArticleScraper(null, { offline: true });
+const readFixture = (name) => fs.readFile(fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url)), 'utf-8');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`❌ ${name}: ${err.message}`);
+    failed++;
+  }
+}
+
+// 1) Album URL detection
+await test('isAlbumUrl: appmsgalbum only', () => {
+  assert.equal(isAlbumUrl('https://mp.weixin.qq.com/mp/appmsgalbum?__biz=x&action=getalbum&album_id=1'), true);
+  assert.equal(isAlbumUrl('https://mp.weixin.qq.com/s/abc'), false);
+  assert.equal(isAlbumUrl('not a url'), false);
+});
+
+// 2) Album header and ordered entries
+await test('parseAlbumHtml: album info and ordered, deduplicated entries', async () => {
+  const html = await readFixture('wechat-album.html');
+  const { album, entries } = parseAlbumHtml(html, { parseDate: (t) => scraper.parsePublishDate(t) });
+  assert.equal(album.title, 'Node.js 实战');
+  assert.equal(album.account, '示例技术号');
+  assert.equal(album.cover, 'https://mmbiz.qpic.cn/album_cover/0?wx_fmt=jpeg');
+  assert.equal(entries.length, 2);
+  assert.deepEqual(entries.map(e => e.position), [1, 2]);
+  assert.equal(entries[0].title, '第一篇：环境准备');
+  assert.equal(entries[0].url, 'https://mp.weixin.qq.com/s?__biz=MzA5NjY2NjY2Ng==&mid=2650000001&idx=1&sn=aaa#rd');
+  assert.equal(entries[0].publish_time, '2025-10-29T08:21:00.000Z');
+  assert.equal(entries[0].cover, 'https://mmbiz.qpic.cn/cover_a/0?wx_fmt=jpeg');
+  assert.equal(entries[1].cover, 'https://mmbiz.qpic.cn/cover_b/0?wx_fmt=png');
+  assert.equal(entries[1].publish_time, '2025-10-29T16:00:00.000Z');
+});
+
+// 3) Album link from an article's 合集 tag
+await test('findAlbumLink: from anchor or album_id + biz', () => {
+  const anchor = '<a class="article-tag__item" href="https://mp.weixin.qq.com/mp/appmsgalbum?__biz=MzA5&amp;action=getalbum&amp;album_id=123#wechat_redirect">#合集</a>';
+  assert.equal(findAlbumLink(anchor), 'https://mp.weixin.qq.com/mp/appmsgalbum?__biz=MzA5&action=getalbum&album_id=123#wechat_redirect');
+  const byId = '<span data-album_id="3456789012"></span><script>var biz = "MzA5==" || "";</script>';
+  assert.equal(findAlbumLink(byId), 'https://mp.weixin.qq.com/mp/appmsgalbum?__biz=MzA5%3D%3D&action=getalbum&album_id=3456789012');
+  assert.equal(findAlbumLink('<p>no album</p>'), '');
+});
+
+console.log(`\nTests finished. Passed: ${passed}, Failed: ${failed}`);
+if (failed > 0) process.exit(1);
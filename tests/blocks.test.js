@@ -0,0 +1,114 @@
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { promises as fs } from 'node:fs';
+import * as cheerio from 'cheerio';
+import { WeChatArticleScraper } from '../scraper.js';
+import { BLOCK_TYPES, buildBlocks, blocksToText } from '../lib/blocks.js';
+
+const scraper = new WeChatArticleScraper(null, { offline: true });
+const fixture = name => fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`❌ ${name}: ${err.message}`);
+    failed++;
+  }
+}
+
+async function blocksOf(name) {
+  const $ = cheerio.load(`<div id="root">${await fs.readFile(fixture(`markdown/${name}.html`), 'utf-8')}</div>`);
+  return buildBlocks($, $('#root'));
+}
+
+// 1) Full article: headings, paragraphs with links, images with size, document order
+await test('processHtml: blocks and text formats', async () => {
+  const result = await scraper.processHtml({ filePath: fixture('wechat-article.html'), formats: ['blocks', 'text'] });
+  assert.equal(result.data.markdown, undefined);
+  assert.deepEqual(result.data.blocks, [
+    { type: 'paragraph', text: '第一段正文，介绍背景。' },
+    { type: 'heading', level: 3, text: '一、准备工作' },
+    { type: 'paragraph', text: '第二段正文，参考文档。', links: [{ text: '参考文档', href: 'https://example.com/doc' }] },
+    { type: 'image', src: 'https://mmbiz.qpic.cn/mmbiz_png/abc123/640?wx_fmt=png&from=appmsg', alt: '架构图', width: 1080, height: 540 },
+    { type: 'image', src: 'https://mmbiz.qpic.cn/mmbiz_jpg/def456/640?wx_fmt=jpeg', alt: '', width: 720, height: null },
+    { type: 'paragraph', text: '最后一段，总结全文。' },
+  ]);
+  assert.ok(result.data.blocks.every(block => BLOCK_TYPES.includes(block.type)));
+  assert.equal(result.data.text, '第一段正文，介绍背景。\n\n一、准备工作\n\n第二段正文，参考文档。\n\n最后一段，总结全文。');
+});
+
+// 2) WeChat code snippets: one line per <code>, language kept, line index dropped
+await test('buildBlocks: code snippets', async () => {
+  const blocks = await blocksOf('code-snippet');
+  assert.deepEqual(blocks.map(block => block.type), ['paragraph', 'code', 'code']);
+  assert.equal(blocks[1].language, 'javascript');
+  assert.equal(blocks[1].text, 'const scraper = new WeChatArticleScraper(key);\n  await scraper.scrapeArticle(url);\n// 模板字符串 `${title}`');
+  assert.deepEqual(blocks[2], { type: 'code', language: 'bash', text: 'npm install\necho "```"' });
+});
+
+// 3) Styled headings use the same rules as the Markdown converter
+await test('buildBlocks: pseudo headings', async () => {
+  const headings = (await blocksOf('headings')).filter(block => block.type === 'heading');
+  assert.deepEqual(headings, [
+    { type: 'heading', level: 2, text: '第一部分 背景' },
+    { type: 'heading', level: 3, text: '1. 为什么需要规则' },
+    { type: 'heading', level: 4, text: '加粗的小节标题' },
+  ]);
+});
+
+// 4) Tables, quotes, lists and media placeholders
+await test('buildBlocks: tables, quotes, lists and media', async () => {
+  const [plain, headed] = await blocksOf('table');
+  assert.deepEqual(plain, {
+    type: 'table',
+    header: null,
+    rows: [['参数', '说明', '默认值'], ['formats', '输出格式\n可多选', 'markdown | html'], ['images', '图片处理方式', '']],
+  });
+  assert.deepEqual(headed, { type: 'table', header: ['名称', '类型'], rows: [['url', 'string']] });
+
+  const quote = await blocksOf('quote');
+  assert.deepEqual(quote, [
+    { type: 'quote', text: '引用的第一段。\n\n引用的第二段，带加粗。' },
+    { type: 'paragraph', text: '没有边框的普通段落。' },
+  ]);
+
+  const media = (await blocksOf('media')).filter(block => block.type === 'link');
+  assert.deepEqual(media.map(block => block.text), ['音频：第一期 开场白', '音频：播客片段', '视频', '视频', '视频号：示例视频号 - 三分钟看懂规则', '小程序：示例小程序']);
+  assert.equal(media[2].href, 'https://v.qq.com/x/page/w0123abcd45.html');
+
+  const $ = cheerio.load('<div id="root"><ol><li>第一步</li><li>第二步<ul><li>子项 A</li><li>子项 B</li></ul></li></ol><p><a href="//example.com/more">阅读原文</a></p><p>第一行<br>第二行</p></div>');
+  const blocks = buildBlocks($, $('#root'));
+  assert.deepEqual(blocks, [
+    { type: 'list', ordered: true, depth: 0, items: ['第一步', '第二步'] },
+    { type: 'list', ordered: false, depth: 1, items: ['子项 A', '子项 B'] },
+    { type: 'link', text: '阅读原文', href: 'https://example.com/more' },
+    { type: 'paragraph', text: '第一行\n第二行' },
+  ]);
+  assert.equal(blocksToText(blocks), '1. 第一步\n2. 第二步\n\n  - 子项 A\n  - 子项 B\n\n阅读原文\n\n第一行\n第二行');
+});
+
+// 5) saveResult writes the text next to the JSON; blocks stay in the JSON
+await test('saveResult: writes .txt', async () => {
+  const result = await scraper.processHtml({ filePath: fixture('wechat-article.html'), formats: ['blocks', 'text'] });
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'blocks-'));
+  try {
+    const outputFile = path.join(dir, 'article.json');
+    await scraper.saveResult(result, outputFile);
+    assert.equal(await fs.readFile(path.join(dir, 'article.txt'), 'utf-8'), result.data.text);
+    const saved = JSON.parse(await fs.readFile(outputFile, 'utf-8'));
+    assert.deepEqual(saved.data.blocks, result.data.blocks);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+console.log(`\nTests finished. Passed: ${passed}, Failed: ${failed}`);
+if (failed > 0) process.exit(1);
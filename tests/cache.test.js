@@ -0,0 +1,106 @@
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { promises as fs } from 'node:fs';
+import {
+  articleIdentity,
+  MemoryCacheStore,
+  FileCacheStore,
+  ResultCache,
+  createResultCacheFromEnv,
+} from '../lib/cache.js';
+import { WeChatArticleScraper } from '../scraper.js';
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`❌ ${name}: ${err.message}`);
+    failed++;
+  }
+}
+
+// 1) Short link identity
+await test('identity: /s/<code> ignores tracking params', () => {
+  assert.equal(articleIdentity('https://mp.weixin.qq.com/s/umG_UtpfpEG5riNzfjvpwA?scene=1#rd'), 'wechat:s:umG_UtpfpEG5riNzfjvpwA');
+});
+
+// 2) Long link identity
+await test('identity: long form keyed by __biz/mid/idx', () => {
+  const a = articleIdentity('https://mp.weixin.qq.com/s?__biz=MzA5&mid=265&idx=2&sn=abc&chksm=xyz&scene=21#wechat_redirect');
+  const b = articleIdentity('http://mp.weixin.qq.com/s?mid=265&__biz=MzA5&idx=2&sn=abc');
+  assert.equal(a, 'wechat:MzA5:265:2');
+  assert.equal(a, b);
+});
+
+// 3) Other sites
+await test('identity: generic URL strips utm and hash', () => {
+  assert.equal(articleIdentity('https://example.com/post?b=2&utm_source=x&a=1#top'), 'https://example.com/post?a=1&b=2');
+});
+
+// 4) TTL expiry
+await test('ResultCache: expired entries are misses', async () => {
+  const store = new MemoryCacheStore();
+  const cache = new ResultCache({ store, ttl: 60 });
+  await store.set('k', { value: { ok: 1 }, storedAt: Date.now() - 61 * 1000 });
+  assert.equal(await cache.get('k'), null);
+  await cache.set('k', { ok: 2 });
+  assert.deepEqual((await cache.get('k')).value, { ok: 2 });
+});
+
+// 5) File store survives a new instance
+await test('FileCacheStore: persists across instances', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'wechat-cache-'));
+  try {
+    await new ResultCache({ store: new FileCacheStore({ dir }) }).set('k', { title: '标题' });
+    const hit = await new ResultCache({ store: new FileCacheStore({ dir }) }).get('k');
+    assert.equal(hit.value.title, '标题');
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+// 6) Env configuration
+await test('env: CACHE_TTL=0 disables, unknown store throws', () => {
+  assert.equal(createResultCacheFromEnv({ CACHE_TTL: '0' }), null);
+  assert.equal(createResultCacheFromEnv({}).store.name, 'memory');
+  assert.throws(() => createResultCacheFromEnv({ CACHE_STORE: 'redis' }));
+});
+
+// 7) scrapeArticle: hit, miss and forceRefresh
+await test('scrapeArticle: second call hits cache, forceRefresh bypasses it', async () => {
+  const scraper = new WeChatArticleScraper(null, { offline: true, cache: new ResultCache() });
+  let fetches = 0;
+  scraper.fetchArticle = async (url) => {
+    fetches++;
+    return {
+      status: 'completed', url, timestamp: new Date().toISOString(), metadata: {}, data: { markdown: 'x' },
+      attempts: { order: ['proxy:CN'], skipped: [], outcomes: [{ strategy: 'proxy:CN', ok: true, duration_ms: 900 }] },
+      timings: { steps: { navigate: 800 } },
+    };
+  };
+  const url = 'https://mp.weixin.qq.com/s/abc';
+  const first = await scraper.scrapeArticle(url);
+  const second = await scraper.scrapeArticle(`${url}?scene=1`);
+  const third = await scraper.scrapeArticle(url, { forceRefresh: true });
+  const other = await scraper.scrapeArticle(url, { formats: ['html'] });
+  assert.equal(first.cache.hit, false);
+  assert.equal(second.cache.hit, true);
+  assert.equal(typeof second.cache.age_seconds, 'number');
+  // A hit made no attempts: the original scrape's attempts and timings are not reported as new
+  assert.ok(first.attempts && first.timings);
+  assert.equal(second.attempts, undefined);
+  assert.equal(second.timings, undefined);
+  assert.equal(second.data.markdown, 'x');
+  assert.equal(third.cache.hit, false);
+  assert.equal(other.cache.hit, false);
+  assert.equal(fetches, 3);
+});
+
+console.log(`\nTests finished. Passed: ${passed}, Failed: ${failed}`);
+if (failed > 0) process.exit(1);
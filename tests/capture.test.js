@@ -0,0 +1,121 @@
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { promises as fs } from 'node:fs';
+import { WeChatArticleScraper } from '../scraper.js';
+import { ResultCache } from '../lib/cache.js';
+import { WECHAT_OVERLAY_SELECTORS, normalizeCaptureOptions, capturePage } from '../lib/capture.js';
+
+const scraper = new WeChatArticleScraper(null, { offline: true });
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`❌ ${name}: ${err.message}`);
+    failed++;
+  }
+}
+
+const PDF_BYTES = Buffer.from('%PDF-1.4\n%fake');
+const PNG_BYTES = Buffer.from('89504e470d0a1a0a0000', 'hex');
+
+// Records calls in order; pdf/screenshot return Uint8Array like puppeteer does
+function fakePage() {
+  const calls = [];
+  return {
+    calls,
+    addStyleTag: async (options) => { calls.push(['addStyleTag', options]); },
+    pdf: async (options) => { calls.push(['pdf', options]); return new Uint8Array(PDF_BYTES); },
+    screenshot: async (options) => { calls.push(['screenshot', options]); return new Uint8Array(PNG_BYTES); },
+  };
+}
+
+// 1) Overlays hidden before capturing; page size passed to pdf
+await test('capturePage: hides overlays and captures both formats', async () => {
+  const page = fakePage();
+  const captures = await capturePage(page, ['markdown', 'pdf', 'screenshot'], { pageSize: 'letter' });
+  assert.deepEqual(page.calls.map(([name]) => name), ['addStyleTag', 'screenshot', 'pdf']);
+  assert.match(page.calls[0][1].content, /#js_pc_qr_code/);
+  assert.ok(WECHAT_OVERLAY_SELECTORS.every(selector => page.calls[0][1].content.includes(selector)));
+  assert.equal(page.calls[1][1].fullPage, true);
+  assert.equal(page.calls[2][1].format, 'Letter');
+  assert.equal(page.calls[2][1].printBackground, true);
+  assert.deepEqual(captures, { pdf: PDF_BYTES.toString('base64'), screenshot: PNG_BYTES.toString('base64') });
+});
+
+// 2) Options: overlays kept when disabled, no page work without capture formats, unknown sizes rejected
+await test('capturePage: respects hideOverlays and format list', async () => {
+  const page = fakePage();
+  const captures = await capturePage(page, ['screenshot'], { hideOverlays: false });
+  assert.deepEqual(page.calls.map(([name]) => name), ['screenshot']);
+  assert.deepEqual(Object.keys(captures), ['screenshot']);
+
+  const idle = fakePage();
+  assert.deepEqual(await capturePage(idle, ['markdown', 'html']), {});
+  assert.equal(idle.calls.length, 0);
+
+  assert.deepEqual(normalizeCaptureOptions(), { pageSize: 'A4', hideOverlays: true });
+  assert.throws(() => normalizeCaptureOptions({ pageSize: 'B7' }), /不支持的纸张大小: B7/);
+});
+
+// 3) Scraper stores captures in result.data; missing result is a no-op
+await test('captureFormats: adds base64 captures to the result', async () => {
+  const result = { data: { markdown: '# 标题' } };
+  await scraper.captureFormats(fakePage(), result, ['markdown', 'pdf'], { pageSize: 'A5' });
+  assert.equal(result.data.markdown, '# 标题');
+  assert.equal(result.data.pdf, PDF_BYTES.toString('base64'));
+  assert.equal(result.data.screenshot, undefined);
+
+  const page = fakePage();
+  await scraper.captureFormats(page, null, ['pdf']);
+  assert.equal(page.calls.length, 0);
+});
+
+// 4) Offline processing has no page: capture formats are ignored
+await test('processHtml: pdf and screenshot ignored offline', async () => {
+  const html = '<html><body><div id="js_content"><p>正文内容</p></div></body></html>';
+  const result = await scraper.processHtml({ html, url: 'https://mp.weixin.qq.com/s/offline', formats: ['markdown', 'pdf', 'screenshot'] });
+  assert.equal(result.data.markdown, '正文内容');
+  assert.equal(result.data.pdf, undefined);
+  assert.equal(result.data.screenshot, undefined);
+});
+
+// 5) saveResult writes .pdf and .png next to the JSON and keeps them out of it
+await test('saveResult: writes pdf and screenshot files', async () => {
+  const result = {
+    status: 'completed',
+    url: 'https://mp.weixin.qq.com/s/capture',
+    metadata: { title: '存档' },
+    data: { markdown: '正文', pdf: PDF_BYTES.toString('base64'), screenshot: PNG_BYTES.toString('base64') },
+  };
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'capture-'));
+  try {
+    const outputFile = path.join(dir, 'article.json');
+    await scraper.saveResult(result, outputFile);
+    const saved = JSON.parse(await fs.readFile(outputFile, 'utf-8'));
+    assert.deepEqual(saved.data, { markdown: '正文' });
+    assert.deepEqual(await fs.readFile(path.join(dir, 'article.pdf')), PDF_BYTES);
+    assert.deepEqual(await fs.readFile(path.join(dir, 'article.png')), PNG_BYTES);
+    assert.equal(result.data.pdf, PDF_BYTES.toString('base64'));
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+// 6) Capture options only split the cache when a capture format is requested
+await test('ResultCache.keyFor: page size and overlays only matter for captures', () => {
+  const cache = new ResultCache();
+  const url = 'https://mp.weixin.qq.com/s/cachekey';
+  assert.equal(cache.keyFor(url, { formats: ['markdown'], pageSize: 'A3' }), cache.keyFor(url, { formats: ['markdown'] }));
+  assert.notEqual(cache.keyFor(url, { formats: ['pdf'], pageSize: 'A3' }), cache.keyFor(url, { formats: ['pdf'] }));
+  assert.notEqual(cache.keyFor(url, { formats: ['screenshot'], hideOverlays: false }), cache.keyFor(url, { formats: ['screenshot'] }));
+});
+
+console.log(`\nTests finished. Passed: ${passed}, Failed: ${failed}`);
+if (failed > 0) process.exit(1);
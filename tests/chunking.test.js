@@ -0,0 +1,113 @@
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { processWechatHtml } from '../scraper.js';
+import { estimateTokens, normalizeChunkOptions, chunkMarkdown, chunkArticle } from '../lib/chunking.js';
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`❌ ${name}: ${err.message}`);
+    failed++;
+  }
+}
+
+const longParagraph = '这是一个用来测试分块的句子。'.repeat(30);
+const code = ['```js', ...Array.from({ length: 30 }, (_v, i) => `const value${i} = ${i};`), '```'].join('\n');
+const table = ['| 参数 | 说明 |', '| --- | --- |', ...Array.from({ length: 10 }, (_v, i) => `| p${i} | 第 ${i} 个参数 |`)].join('\n');
+const markdown = [
+  '开头的导语。',
+  '# 第一章',
+  longParagraph,
+  '## 1.1 代码',
+  '代码之前的说明。',
+  code,
+  '## 1.2 表格',
+  table,
+  '表格之后的一段话。',
+  '# 第二章',
+  '短段落。',
+].join('\n\n');
+
+// 1) Heading boundaries, heading paths and offsets
+await test('chunkMarkdown: follows headings and records offsets', () => {
+  const chunks = chunkMarkdown(markdown, { maxChars: 200, overlap: 30 });
+  for (const chunk of chunks) {
+    assert.equal(chunk.text, markdown.slice(chunk.start, chunk.end));
+    assert.equal(chunk.chars, chunk.text.length);
+    assert.equal(chunk.total, chunks.length);
+  }
+  assert.deepEqual(chunks.map(chunk => chunk.ordinal), chunks.map((_c, i) => i + 1));
+  assert.deepEqual(chunks[0], { ...chunks[0], headingPath: [], text: '开头的导语。' });
+  assert.deepEqual([...new Set(chunks.map(chunk => chunk.headingPath.join(' > ')))], ['', '第一章', '第一章 > 1.1 代码', '第一章 > 1.2 表格', '第二章']);
+  // A heading is never the last line of a chunk, and never left alone
+  assert.ok(chunks.every(chunk => !/^#+ .*$/.test(chunk.text.trim().split('\n').pop())));
+  assert.equal(chunks[chunks.length - 1].text, '# 第二章\n\n短段落。');
+});
+
+// 2) Budget and overlap for long paragraphs
+await test('chunkMarkdown: splits long paragraphs within budget with overlap', () => {
+  const chunks = chunkMarkdown(markdown, { maxChars: 200, overlap: 30 }).filter(chunk => chunk.headingPath.join() === '第一章');
+  assert.ok(chunks.length >= 3);
+  assert.ok(chunks.every(chunk => chunk.chars <= 200));
+  assert.ok(chunks[0].text.startsWith('# 第一章\n\n这是一个'));
+  for (let i = 1; i < chunks.length; i++) {
+    assert.ok(chunks[i].overlap > 0 && chunks[i].overlap <= 30);
+    // The overlap repeats the end of the previous chunk and starts at a sentence boundary
+    assert.ok(chunks[i].start < chunks[i - 1].end);
+    assert.ok(chunks[i].text.startsWith('这是一个用来测试分块的句子。'));
+  }
+  // Together the chunks cover the whole paragraph
+  assert.equal(chunks[chunks.length - 1].end, markdown.indexOf(longParagraph) + longParagraph.length);
+});
+
+// 3) Code blocks and tables are never split
+await test('chunkMarkdown: keeps code blocks and tables whole', () => {
+  const chunks = chunkMarkdown(markdown, { maxChars: 200, overlap: 30 });
+  const codeChunk = chunks.find(chunk => chunk.text.includes('```js'));
+  assert.ok(codeChunk.text.includes(code));
+  assert.ok(codeChunk.chars > 200);
+  assert.equal(codeChunk.overlap, 0);
+  assert.ok(chunks.some(chunk => chunk.text.includes(table)));
+  assert.equal(chunks.filter(chunk => chunk.text.includes('| p3 |')).length, 1);
+});
+
+// 4) Token budget
+await test('chunkMarkdown: maxTokens budget', () => {
+  assert.equal(estimateTokens('中文字符'), 4);
+  assert.equal(estimateTokens('abcdefgh'), 2);
+  const chunks = chunkMarkdown(longParagraph, { maxTokens: 100, overlap: 20 });
+  assert.ok(chunks.length > 1);
+  assert.ok(chunks.every(chunk => chunk.tokens <= 100));
+  assert.deepEqual(chunkMarkdown('', {}), []);
+});
+
+// 5) Option validation
+await test('normalizeChunkOptions: defaults and errors', () => {
+  assert.deepEqual(normalizeChunkOptions(), { maxChars: 2000, maxTokens: null, overlap: 200 });
+  assert.deepEqual(normalizeChunkOptions({ maxTokens: 500, overlap: 50 }), { maxChars: null, maxTokens: 500, overlap: 50 });
+  assert.throws(() => normalizeChunkOptions({ maxChars: 100, overlap: 100 }), /overlap/);
+  assert.throws(() => normalizeChunkOptions({ maxChars: 0 }), /正数/);
+});
+
+// 6) Article metadata travels with every chunk
+await test('chunkArticle: attaches canonical article metadata', async () => {
+  const result = await processWechatHtml({ filePath: fileURLToPath(new URL('./fixtures/wechat-article.html', import.meta.url)), formats: ['markdown'] });
+  const chunks = chunkArticle(result, { maxChars: 60, overlap: 10 });
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) {
+    assert.equal(chunk.article.title, '示例文章：用 Node.js 抓取公众号');
+    assert.equal(chunk.article.url, result.metadata.canonical_url);
+    assert.match(chunk.article.article_id, /^wechat:/);
+  }
+  assert.ok(chunks.some(chunk => chunk.headingPath.includes('一、准备工作')));
+  assert.throws(() => chunkArticle({ data: { html: '<p>x</p>' } }), /markdown/);
+});
+
+console.log(`\nTests finished. Passed: ${passed}, Failed: ${failed}`);
+if (failed > 0) process.exit(1);
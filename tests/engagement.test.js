@@ -0,0 +1,206 @@
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { fileURLToPath } from 'node:url';
+import { promises as fs } from 'node:fs';
+import { WeChatArticleScraper } from '../scraper.js';
+import { ResultCache } from '../lib/cache.js';
+import { buildEngagement, createEngagementRecorder } from '../lib/engagement.js';
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`❌ ${name}: ${err.message}`);
+    failed++;
+  }
+}
+
+const STATS = {
+  base_resp: { ret: 0 },
+  appmsgstat: { show: true, read_num: 12034, like_num: 88, old_like_num: 321, real_read_num: 0 },
+};
+const COMMENTS = {
+  base_resp: { ret: 0 },
+  enabled: 1,
+  elected_comment_total_cnt: 2,
+  elected_comment: [
+    {
+      nick_name: '读者甲',
+      content: '写得很清楚，收藏了',
+      like_num: 56,
+      create_time: 1735689600,
+      ip_wording: { country_name: '中国', province_name: '浙江' },
+      reply_new: {
+        reply_total_cnt: 1,
+        reply_list: [{ content: '谢谢支持', create_time: 1735693200, reply_like_num: 9, nick_name: '示例技术号', is_from: 2 }],
+      },
+    },
+    {
+      nick_name: '读者乙',
+      content: '第二部分的代码跑不通',
+      like_num: 3,
+      create_time: 1735776000,
+      reply: { reply_list: [{ content: '已更新，请重试', create_time: 1735779600, reply_like_num: 1 }] },
+    },
+  ],
+};
+
+const response = (url, body) => ({
+  url: () => url,
+  text: () => (body instanceof Error ? Promise.reject(body) : Promise.resolve(typeof body === 'string' ? body : JSON.stringify(body))),
+});
+
+// 1) Counts and featured comments
+await test('buildEngagement: parses stats and comments', () => {
+  const engagement = buildEngagement([
+    { type: 'stats', text: JSON.stringify(STATS) },
+    { type: 'comments', text: JSON.stringify(COMMENTS) },
+  ]);
+  assert.equal(engagement.available, true);
+  assert.deepEqual(engagement.sources, ['stats', 'comments']);
+  assert.equal(engagement.read_count, 12034);
+  assert.equal(engagement.like_count, 321);
+  assert.equal(engagement.wow_count, 88);
+  assert.equal(engagement.share_count, null);
+  assert.equal(engagement.comment_count, 2);
+  assert.deepEqual(engagement.comments[0], {
+    nickname: '读者甲',
+    content: '写得很清楚，收藏了',
+    likes: 56,
+    created_at: '2025-01-01T00:00:00.000Z',
+    ip_location: '浙江',
+    replies: [{ nickname: '示例技术号', content: '谢谢支持', likes: 9, created_at: '2025-01-01T01:00:00.000Z', from_author: true }],
+  });
+  assert.deepEqual(engagement.comments[1].replies, [{ nickname: '', content: '已更新，请重试', likes: 1, created_at: '2025-01-02T01:00:00.000Z', from_author: true }]);
+  assert.equal(engagement.reason, undefined);
+});
+
+// 2) Degrades gracefully when the session has no access
+await test('buildEngagement: unavailable data', () => {
+  const none = buildEngagement([]);
+  assert.equal(none.available, false);
+  assert.match(none.reason, /未请求互动数据接口/);
+
+  const denied = buildEngagement([{ type: 'stats', text: '{"base_resp":{"ret":-3}}' }, { type: 'comments', text: '<html>' }]);
+  assert.equal(denied.available, false);
+  assert.match(denied.reason, /stats: ret=-3; comments: 响应不是 JSON/);
+
+  const partial = buildEngagement([{ type: 'stats', text: JSON.stringify(STATS) }, { type: 'comments', text: '{"base_resp":{"ret":0}}' }]);
+  assert.equal(partial.available, true);
+  assert.equal(partial.comments, undefined);
+  assert.deepEqual(partial.warnings, ['comments: 缺少数据字段']);
+});
+
+// 3) Recorder only reads matching responses and stops listening
+await test('createEngagementRecorder: listens on page responses', async () => {
+  const page = new EventEmitter();
+  const recorder = createEngagementRecorder(page, { bodyTimeout: 200 });
+  page.emit('response', response('https://mp.weixin.qq.com/s/abc', '<html>'));
+  page.emit('response', response('https://mp.weixin.qq.com/mp/getappmsgext?f=json&mock=&uin=777', STATS));
+  page.emit('response', response('https://mp.weixin.qq.com/mp/appmsg_comment?action=getcomment&f=json', new Error('No resource with given identifier')));
+  page.emit('response', response('https://mp.weixin.qq.com/mp/appmsg_comment?action=getcomment&offset=0', COMMENTS));
+  // Never resolves: dropped after bodyTimeout
+  page.emit('response', { url: () => 'https://mp.weixin.qq.com/mp/getappmsgext?retry=1', text: () => new Promise(() => {}) });
+  const engagement = await recorder.finish();
+  assert.equal(page.listenerCount('response'), 0);
+  assert.equal(engagement.available, true);
+  assert.equal(engagement.read_count, 12034);
+  assert.equal(engagement.comments.length, 2);
+  assert.equal(await recorder.waitForData(), true);
+});
+
+// 4) waitForData waits for the endpoints not seen yet, with a timeout
+await test('createEngagementRecorder: waitForData', async () => {
+  const page = Object.assign(new EventEmitter(), {
+    waits: [],
+    waitForResponse(predicate, { timeout }) {
+      page.waits.push(timeout);
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Timed out after ${timeout} ms`)), timeout);
+        page.on('response', (item) => {
+          if (predicate(item)) {
+            clearTimeout(timer);
+            resolve(item);
+          }
+        });
+      });
+    },
+  });
+  const recorder = createEngagementRecorder(page, { bodyTimeout: 200, responseTimeout: 100 });
+  page.emit('response', response('https://mp.weixin.qq.com/mp/getappmsgext?f=json', STATS));
+  setTimeout(() => page.emit('response', response('https://mp.weixin.qq.com/mp/appmsg_comment?action=getcomment', COMMENTS)), 20);
+  const started = Date.now();
+  assert.equal(await recorder.waitForData(), true);
+  assert.ok(Date.now() - started < 100);
+  assert.equal((await recorder.finish()).comments.length, 2);
+
+  // Nothing arrives: gives up after responseTimeout, engagement unavailable
+  const silent = createEngagementRecorder(page, { responseTimeout: 50 });
+  assert.equal(await silent.waitForData(), false);
+  assert.deepEqual(page.waits, [100, 50]);
+  const engagement = await silent.finish();
+  assert.equal(engagement.available, false);
+  assert.equal(engagement.read_count, undefined);
+});
+
+// 5) End to end through fetchArticle with a fake browser
+await test('fetchArticle: includeEngagement adds result.engagement', async () => {
+  const html = await fs.readFile(fileURLToPath(new URL('./fixtures/wechat-article.html', import.meta.url)), 'utf-8');
+  const evaluated = [];
+  const page = Object.assign(new EventEmitter(), {
+    evaluateOnNewDocument: async () => {},
+    setUserAgent: async () => {},
+    setExtraHTTPHeaders: async () => {},
+    setViewport: async () => {},
+    setRequestInterception: async () => {},
+    waitForSelector: async () => {},
+    waitForResponse: () => Promise.reject(new Error('unexpected wait')),
+    async goto() {
+      this.emit('response', response('https://mp.weixin.qq.com/mp/getappmsgext?f=json', STATS));
+      return { status: () => 200 };
+    },
+    async evaluate(fn, ...args) {
+      evaluated.push(String(fn));
+      // Comments load once the page reaches the bottom
+      if (String(fn).includes('document.body.scrollHeight)')) {
+        this.emit('response', response('https://mp.weixin.qq.com/mp/appmsg_comment?action=getcomment', COMMENTS));
+      }
+      return { height: 2000, bottom: true, images: 0, pending: 0 };
+    },
+    content: async () => html,
+  });
+  const browserProvider = {
+    name: 'fake',
+    supportsProxyCountry: false,
+    supportsProxyURL: false,
+    describe: () => 'fake',
+    preparePage: async () => {},
+    connect: async () => ({ newPage: async () => page, close: async () => {} }),
+  };
+  const scraper = new WeChatArticleScraper(null, { browserProvider });
+  const result = await scraper.fetchArticle('https://mp.weixin.qq.com/s/abcdef', { includeEngagement: true, formats: ['markdown'] });
+  assert.equal(result.engagement.available, true);
+  assert.equal(result.engagement.read_count, 12034);
+  assert.equal(result.engagement.comments[0].nickname, '读者甲');
+  assert.ok(evaluated.some(fn => fn.includes('scrollHeight')));
+  assert.equal(page.listenerCount('response'), 0);
+
+  const plain = await scraper.fetchArticle('https://mp.weixin.qq.com/s/abcdef', { formats: ['markdown'] });
+  assert.equal(plain.engagement, undefined);
+});
+
+// 6) Engagement results are cached separately
+await test('ResultCache.keyFor: includeEngagement', () => {
+  const cache = new ResultCache();
+  const url = 'https://mp.weixin.qq.com/s/cachekey';
+  assert.notEqual(cache.keyFor(url, { includeEngagement: true }), cache.keyFor(url));
+  assert.equal(cache.keyFor(url, { includeEngagement: false }), cache.keyFor(url));
+});
+
+console.log(`\nTests finished. Passed: ${passed}, Failed: ${failed}`);
+if (failed > 0) process.exit(1);
@@ -0,0 +1,177 @@
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { inflateRawSync, crc32 as zlibCrc32 } from 'node:zlib';
+import { promises as fs } from 'node:fs';
+import * as cheerio from 'cheerio';
+import { WeChatArticleScraper } from '../scraper.js';
+import { createZip, crc32 } from '../lib/zip.js';
+import { orderArticles, toXhtml, buildEpub } from '../lib/epub.js';
+
+const scraper = new WeChatArticleScraper(null, { offline: true });
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`❌ ${name}: ${err.message}`);
+    failed++;
+  }
+}
+
+// Minimal ZIP reader: walks local file headers in order
+function readZip(buffer) {
+  const entries = [];
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const method = buffer.readUInt16LE(offset + 8);
+    const crc = buffer.readUInt32LE(offset + 14);
+    const size = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const extraLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString('utf-8', offset + 30, offset + 30 + nameLength);
+    const start = offset + 30 + nameLength + extraLength;
+    const raw = buffer.subarray(start, start + size);
+    const data = method === 8 ? inflateRawSync(raw) : raw;
+    entries.push({ name, method, crc, data });
+    offset = start + size;
+  }
+  return entries;
+}
+
+const PNG_BYTES = Buffer.from('89504e470d0a1a0a0000', 'hex');
+const JPG_BYTES = Buffer.from('ffd8ffe000104a464946', 'hex');
+const requests = [];
+async function fakeFetch(url) {
+  requests.push(url);
+  if (url.includes('missing')) {
+    return new Response('not found', { status: 404 });
+  }
+  return new Response(url.includes('cover') ? JPG_BYTES : PNG_BYTES, { status: 200, headers: { 'content-type': 'image/png' } });
+}
+
+const article = (index, publishedDate, html) => ({
+  url: `https://mp.weixin.qq.com/s/article${index}`,
+  metadata: {
+    title: `第${index}篇：标题 & 说明`,
+    author: '示例技术号',
+    account_name: '示例技术号',
+    published_date: publishedDate,
+    image_url: `https://mmbiz.qpic.cn/cover${index}/0?wx_fmt=jpeg`,
+    canonical_url: `https://mp.weixin.qq.com/s?__biz=MzA5&mid=${index}&idx=1&sn=abc`,
+    article_id: `wechat:MzA5:${index}:1`,
+  },
+  data: { html },
+});
+
+// 1) ZIP writer: CRC matches zlib, entries round-trip, stored entries are not compressed
+await test('createZip: stored and deflated entries round-trip', () => {
+  assert.equal(crc32(Buffer.from('hello')), zlibCrc32(Buffer.from('hello')));
+  const zip = createZip([
+    { name: 'mimetype', data: 'application/epub+zip', store: true },
+    { name: '目录/文件.txt', data: '中文内容'.repeat(50) },
+  ]);
+  const entries = readZip(zip);
+  assert.deepEqual(entries.map(entry => [entry.name, entry.method]), [['mimetype', 0], ['目录/文件.txt', 8]]);
+  assert.equal(entries[1].data.toString('utf-8'), '中文内容'.repeat(50));
+  assert.equal(entries[1].crc, zlibCrc32(entries[1].data));
+  assert.equal(zip.readUInt32LE(zip.length - 22), 0x06054b50);
+});
+
+// 2) XHTML cleanup
+await test('toXhtml: well-formed output without scripts, data attributes or custom elements', () => {
+  const images = new Map([['https://mmbiz.qpic.cn/a/0?wx_fmt=png', { href: 'images/a.png' }]]);
+  const xhtml = toXhtml('<p data-x="1" onclick="x()">第一行&nbsp;<br>第二行</p><mp-style-type data-value="3"><span>保留</span></mp-style-type>'
+    + '<script>alert(1)</script><img data-src="x" src="//mmbiz.qpic.cn/a/0?wx_fmt=png"><img src="https://x.com/missing.png" alt="缺失图">', images);
+  assert.equal(xhtml, '<p>第一行\u00a0<br/>第二行</p><span>保留</span><img src="../images/a.png" alt=""/><span class="missing-image">[图片：缺失图]</span>');
+});
+
+// 3) Chapters follow publish order; undated articles go last
+await test('orderArticles: ascending publish date, undated last', () => {
+  const ordered = orderArticles([article(2, '2025-02-01T00:00:00Z', ''), article(3, '', ''), article(1, '2025-01-01T00:00:00Z', '')]);
+  assert.deepEqual(ordered.map(result => result.metadata.title.slice(0, 3)), ['第1篇', '第2篇', '第3篇']);
+});
+
+// 4) Full package: container, OPF metadata, cover, TOC order and embedded images
+await test('buildEpub: valid EPUB3 package for a collection', async () => {
+  requests.length = 0;
+  const epub = await buildEpub([
+    article(2, '2025-02-01T08:00:00.000Z', '<p>第二篇正文</p><img src="https://mmbiz.qpic.cn/shared/0?wx_fmt=png">'),
+    article(1, '2025-01-01T08:00:00.000Z', '<p>第一篇正文</p><img src="https://mmbiz.qpic.cn/shared/0?wx_fmt=png"><img src="https://mmbiz.qpic.cn/missing/0?wx_fmt=png" alt="图二">'),
+  ], { fetchImpl: fakeFetch });
+
+  const entries = readZip(epub.buffer);
+  const files = new Map(entries.map(entry => [entry.name, entry.data.toString('utf-8')]));
+  assert.equal(entries[0].name, 'mimetype');
+  assert.equal(entries[0].method, 0);
+  assert.equal(files.get('mimetype'), 'application/epub+zip');
+  assert.match(files.get('META-INF/container.xml'), /full-path="OEBPS\/content\.opf"/);
+
+  const opf = cheerio.load(files.get('OEBPS/content.opf'), { xml: true });
+  assert.equal(opf('package').attr('version'), '3.0');
+  assert.equal(opf('dc\\:title').text(), '示例技术号 文章合集');
+  assert.equal(opf('dc\\:creator').text(), '示例技术号');
+  assert.equal(opf('dc\\:language').text(), 'zh-CN');
+  assert.match(opf('meta[property="dcterms:modified"]').text(), /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z$/);
+  assert.match(opf('dc\\:identifier').text(), /^urn:uuid:/);
+  // Every manifest item exists in the package
+  opf('manifest item').each((_i, item) => assert.ok(files.has(`OEBPS/${opf(item).attr('href')}`), opf(item).attr('href')));
+  // Cover comes from the first article in publish order
+  const coverHref = opf('item[properties="cover-image"]').attr('href');
+  assert.match(coverHref, /^images\/\w+\.jpg$/);
+  assert.deepEqual(entries.find(entry => entry.name === `OEBPS/${coverHref}`).data, JPG_BYTES);
+  assert.ok(requests.includes('https://mmbiz.qpic.cn/cover1/0?wx_fmt=jpeg'));
+  assert.deepEqual(opf('spine itemref').map((_i, ref) => opf(ref).attr('idref')).get(), ['cover-page', 'chapter-1', 'chapter-2']);
+
+  const nav = cheerio.load(files.get('OEBPS/nav.xhtml'), { xml: true });
+  assert.deepEqual(nav('nav li a').map((_i, a) => nav(a).text()).get(), ['第1篇：标题 & 说明', '第2篇：标题 & 说明']);
+  assert.match(files.get('OEBPS/toc.ncx'), /<content src="text\/chapter-001\.xhtml"\/>/);
+
+  const chapter = files.get('OEBPS/text/chapter-001.xhtml');
+  assert.match(chapter, /<h1>第1篇：标题 &amp; 说明<\/h1>/);
+  assert.match(chapter, /<p>第一篇正文<\/p><img src="\.\.\/images\/\w+\.png" alt=""\/>/);
+  assert.match(chapter, /\[图片：图二\]/);
+  assert.match(chapter, /<a href="https:\/\/mp\.weixin\.qq\.com\/s\?__biz=MzA5&amp;mid=1&amp;idx=1&amp;sn=abc">原文链接<\/a>/);
+
+  // Shared image downloaded once and stored once
+  assert.equal(requests.filter(url => url.includes('shared')).length, 1);
+  assert.deepEqual(epub.images, { total: 3, embedded: 2, failed: [{ url: 'https://mmbiz.qpic.cn/missing/0?wx_fmt=png', error: 'HTTP 404' }] });
+  assert.deepEqual(epub.chapters.map(chapter => chapter.href), ['text/chapter-001.xhtml', 'text/chapter-002.xhtml']);
+});
+
+// 5) formats: ['epub'] on a single article; saveResult writes the .epub and keeps it out of the JSON
+await test('processHtml: epub format and saveResult', async () => {
+  const png = PNG_BYTES.toString('base64');
+  const html = `<html><head><meta property="og:title" content="单篇文章"></head><body>
+    <div id="js_content"><p>正文内容</p><img src="data:image/png;base64,${png}"></div>
+  </body></html>`;
+  const result = await scraper.processHtml({ html, url: 'https://mp.weixin.qq.com/s/single', formats: ['epub'] });
+  assert.equal(result.data.html, undefined);
+  const files = new Map(readZip(Buffer.from(result.data.epub, 'base64')).map(entry => [entry.name, entry.data]));
+  assert.match(files.get('OEBPS/content.opf').toString('utf-8'), /<dc:title>单篇文章<\/dc:title>/);
+  assert.ok([...files.keys()].some(name => /^OEBPS\/images\/\w+\.png$/.test(name)));
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'epub-'));
+  try {
+    const outputFile = path.join(dir, 'article.json');
+    await scraper.saveResult(result, outputFile);
+    const saved = JSON.parse(await fs.readFile(outputFile, 'utf-8'));
+    assert.equal(saved.data.epub, undefined);
+    assert.deepEqual(await fs.readFile(path.join(dir, 'article.epub')), Buffer.from(result.data.epub, 'base64'));
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+// 6) Articles without html are rejected
+await test('buildEpub: requires html content', async () => {
+  await assert.rejects(buildEpub([{ metadata: {}, data: { markdown: '# x' } }]), /html/);
+});
+
+console.log(`\nTests finished. Passed: ${passed}, Failed: ${failed}`);
+if (failed > 0) process.exit(1);
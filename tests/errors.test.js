@@ -0,0 +1,129 @@
+import assert from 'node:assert/strict';
+import * as cheerio from 'cheerio';
+import { WeChatArticleScraper } from '../scraper.js';
+import { ERROR_CODES, ScrapeError, detectBlockedPage, toScrapeError, isPermanentError } from '../lib/errors.js';
+import { JobStore } from '../lib/jobs.js';
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`❌ ${name}: ${err.message}`);
+    failed++;
+  }
+}
+
+const messagePage = (title, desc = '') => `<html><head><title></title></head><body>
+  <div class="weui-msg"><div class="weui-msg__text-area">
+    <h2 class="weui-msg__title">${title}</h2><p class="weui-msg__desc">${desc}</p>
+  </div></div></body></html>`;
+
+// 1) WeChat notice pages map to distinct codes
+await test('detectBlockedPage: deleted, banned, captcha, client-only, not found', () => {
+  const cases = [
+    [messagePage('该内容已被发布者删除'), ERROR_CODES.ARTICLE_DELETED],
+    [messagePage('此内容因违规无法查看'), ERROR_CODES.ARTICLE_BANNED],
+    [messagePage('该内容已被投诉且经审核涉嫌侵权，无法查看。'), ERROR_CODES.ARTICLE_BANNED],
+    [messagePage('环境异常', '当前环境异常，完成验证后即可继续访问。'), ERROR_CODES.CAPTCHA_REQUIRED],
+    [messagePage('请在微信客户端打开链接'), ERROR_CODES.WECHAT_CLIENT_ONLY],
+    [messagePage('参数错误'), ERROR_CODES.NOT_FOUND],
+  ];
+  for (const [html, code] of cases) {
+    const error = detectBlockedPage(cheerio.load(html));
+    assert.ok(error instanceof ScrapeError, `expected ${code}`);
+    assert.equal(error.code, code);
+  }
+  assert.equal(detectBlockedPage(cheerio.load('<html><body><p>普通页面</p></body></html>')), null);
+});
+
+// 2) processHtml throws the typed error instead of returning null
+await test('processHtml: deleted page throws ARTICLE_DELETED', async () => {
+  const scraper = new WeChatArticleScraper(null, { offline: true });
+  await assert.rejects(
+    scraper.processHtml({ html: messagePage('该内容已被发布者删除'), url: 'https://mp.weixin.qq.com/s/gone' }),
+    error => error.code === ERROR_CODES.ARTICLE_DELETED && error.retryable === false
+  );
+  const unknown = await scraper.processHtml({ html: '<html><body><p>x</p></body></html>', url: 'https://example.com/a' });
+  assert.equal(unknown, null);
+});
+
+// 3) Browser/network errors
+await test('toScrapeError: timeouts and proxy failures', () => {
+  const timeout = new Error('Navigation timeout of 60000 ms exceeded');
+  timeout.name = 'TimeoutError';
+  assert.equal(toScrapeError(timeout).code, ERROR_CODES.TIMEOUT);
+  assert.equal(toScrapeError(new Error('net::ERR_PROXY_CONNECTION_FAILED at https://mp.weixin.qq.com')).code, ERROR_CODES.PROXY_FAILED);
+  const other = new Error('something else');
+  assert.equal(toScrapeError(other), other);
+  assert.equal(isPermanentError(toScrapeError(timeout)), false);
+  assert.deepEqual(new ScrapeError(ERROR_CODES.ARTICLE_DELETED, 'gone').toJSON(), {
+    code: 'ARTICLE_DELETED',
+    message: 'gone',
+    retryable: false
+  });
+});
+
+// Fake browser backend: records connect calls, pages answer goto with the given status
+function fakeProvider({ status = 200, connectError = null } = {}) {
+  const provider = {
+    name: 'fake',
+    supportsProxyCountry: true,
+    supportsProxyURL: false,
+    connects: [],
+    describe: () => 'fake',
+    preparePage: async () => {},
+    async connect(options) {
+      provider.connects.push(options.proxyCountry);
+      if (connectError) throw new Error(connectError);
+      const page = {
+        evaluateOnNewDocument: async () => {},
+        setUserAgent: async () => {},
+        setExtraHTTPHeaders: async () => {},
+        setViewport: async () => {},
+        setRequestInterception: async () => {},
+        on: () => {},
+        goto: async () => ({ status: () => status }),
+      };
+      return { newPage: async () => page, close: async () => {} };
+    }
+  };
+  return provider;
+}
+
+// 4) Permanent failures stop the proxy loop after the first attempt
+await test('fetchArticle: HTTP 404 stops without trying other proxies', async () => {
+  const browserProvider = fakeProvider({ status: 404 });
+  const scraper = new WeChatArticleScraper(null, { browserProvider });
+  await assert.rejects(
+    scraper.fetchArticle('https://mp.weixin.qq.com/s/missing', { proxyRetries: ['CN', 'HK', 'SG'] }),
+    error => error.code === ERROR_CODES.NOT_FOUND
+  );
+  assert.deepEqual(browserProvider.connects, ['CN']);
+});
+
+// 5) Retryable failures go through every proxy
+await test('fetchArticle: proxy failures retry every country', async () => {
+  const browserProvider = fakeProvider({ connectError: 'net::ERR_TUNNEL_CONNECTION_FAILED' });
+  const scraper = new WeChatArticleScraper(null, { browserProvider });
+  await assert.rejects(
+    scraper.fetchArticle('https://mp.weixin.qq.com/s/flaky', { proxyRetries: ['CN', 'HK'] }),
+    error => error.code === ERROR_CODES.PROXY_FAILED
+  );
+  assert.deepEqual(browserProvider.connects, ['CN', 'HK']);
+});
+
+// 6) Jobs keep the error code
+await test('JobStore: fail records error_code', () => {
+  const store = new JobStore();
+  const job = store.create('scrape_article', {});
+  store.fail(job.id, new ScrapeError(ERROR_CODES.CAPTCHA_REQUIRED, 'captcha'));
+  assert.equal(store.get(job.id).error_code, 'CAPTCHA_REQUIRED');
+});
+
+console.log(`\nTests finished. Passed: ${passed}, Failed: ${failed}`);
+if (failed > 0) process.exit(1);
@@ -0,0 +1,90 @@
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { promises as fs } from 'node:fs';
+import { WeChatArticleScraper } from '../scraper.js';
+import { extractScriptVariable, readingStats } from '../lib/wechat-metadata.js';
+
+const scraper = new WeChatArticleScraper(null, { offline: true });
+const readFixture = (name) => fs.readFile(fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url)), 'utf-8');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`❌ ${name}: ${err.message}`);
+    failed++;
+  }
+}
+
+const original = (await scraper.processHtml({ html: await readFixture('wechat-article.html') })).metadata;
+const repost = (await scraper.processHtml({ html: await readFixture('wechat-article-repost.html') })).metadata;
+
+// 1) Cover image and digest
+await test('original: msg_cdn_url cover and msg_desc summary', () => {
+  assert.equal(original.image_url, 'https://mmbiz.qpic.cn/mmbiz_jpg/cover123/0?wx_fmt=jpeg');
+  assert.equal(original.summary, '一篇用于测试的示例文章摘要');
+});
+
+// 2) Article identity
+await test('original: __biz/mid/idx/sn from script variables', () => {
+  assert.equal(original.biz, 'MzA5NjY2NjY2Ng==');
+  assert.equal(original.mid, '2650000001');
+  assert.equal(original.idx, '1');
+  assert.equal(original.sn, '0123456789abcdef0123456789abcdef');
+});
+
+// 3) Account vs. author
+await test('original: account name/ID and real author', () => {
+  assert.equal(original.author, '示例技术号');
+  assert.equal(original.account_name, '示例技术号');
+  assert.equal(original.account_id, 'gh_0123456789ab');
+  assert.equal(original.article_author, '张三');
+});
+
+// 4) Original flag, IP location, no source link
+await test('original: 原创 flag and IP location', () => {
+  assert.equal(original.is_original, true);
+  assert.equal(original.ip_location, '广东');
+  assert.equal(original.source_url, '');
+});
+
+// 5) Reading stats
+await test('original: word count and reading time', () => {
+  assert.equal(original.word_count, 31);
+  assert.equal(original.reading_time_minutes, 1);
+});
+
+// 6) Repost: window.* variables, escapes and identity from og:url
+await test('repost: window.msg_cdn_url, escaped msg_desc, og:url identity', () => {
+  assert.equal(repost.image_url, 'https://mmbiz.qpic.cn/mmbiz_png/repost_cover/0?wx_fmt=png');
+  assert.equal(repost.summary, 'Rust & async：从 Future 到 await');
+  assert.equal(repost.biz, 'MzIyMjIyMjIyMg==');
+  assert.equal(repost.mid, '2247480000');
+  assert.equal(repost.idx, '3');
+  assert.equal(repost.sn, 'fedcba9876543210fedcba9876543210');
+});
+
+// 7) Repost: not original, source link, no IP, ct fallback for publish date
+await test('repost: source_url, not original, ct fallback date', () => {
+  assert.equal(repost.is_original, false);
+  assert.equal(repost.source_url, 'https://blog.example.com/async-rust?from=wechat');
+  assert.equal(repost.ip_location, '');
+  assert.equal(repost.article_author, '');
+  assert.equal(repost.published_date, '2025-01-01T00:00:00.000Z');
+});
+
+// 8) Helpers
+await test('extractScriptVariable / readingStats', () => {
+  assert.equal(extractScriptVariable('var title = \'a\\x26b\';', 'title'), 'a&b');
+  assert.equal(extractScriptVariable('var subtitle = "x";', 'title'), '');
+  assert.deepEqual(readingStats(''), { word_count: 0, reading_time_minutes: 0 });
+  assert.deepEqual(readingStats('word '.repeat(450)), { word_count: 450, reading_time_minutes: 3 });
+});
+
+console.log(`\nTests finished. Passed: ${passed}, Failed: ${failed}`);
+if (failed > 0) process.exit(1);
@@ -0,0 +1,99 @@
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { promises as fs } from 'node:fs';
+import * as cheerio from 'cheerio';
+import { imageExtension, hashBuffer } from '../lib/images.js';
+import { WeChatArticleScraper } from '../scraper.js';
+
+const scraper = new WeChatArticleScraper(null, { offline: true });
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`❌ ${name}: ${err.message}`);
+    failed++;
+  }
+}
+
+// Fake fetch: same bytes for a.png and b.png (dedup), 404 for missing.gif
+const PNG_BYTES = Buffer.from('89504e470d0a1a0a0000', 'hex');
+const JPG_BYTES = Buffer.from('ffd8ffe000104a464946', 'hex');
+const requests = [];
+async function fakeFetch(url, init) {
+  requests.push({ url, referer: init.headers.Referer });
+  if (url.includes('missing')) {
+    return new Response('not found', { status: 404 });
+  }
+  const body = url.includes('wx_fmt=jpeg') ? JPG_BYTES : PNG_BYTES;
+  return new Response(body, { status: 200, headers: { 'content-type': 'image/png' } });
+}
+
+function loadArticle() {
+  const $ = cheerio.load(`<div id="js_content">
+    <img src="https://mmbiz.qpic.cn/a/640?wx_fmt=png">
+    <img src="https://mmbiz.qpic.cn/b/640?wx_fmt=png">
+    <img src="https://mmbiz.qpic.cn/a/640?wx_fmt=png">
+    <img src="https://mmbiz.qpic.cn/c/640?wx_fmt=jpeg">
+    <img src="https://mmbiz.qpic.cn/missing/640?wx_fmt=gif">
+  </div>`);
+  return { $, content: $('#js_content') };
+}
+
+// 1) Extension from wx_fmt wins over content type
+await test('imageExtension: wx_fmt=jpeg → jpg', () => {
+  assert.equal(imageExtension('https://mmbiz.qpic.cn/x/640?wx_fmt=jpeg', 'image/png'), 'jpg');
+  assert.equal(imageExtension('https://example.com/x', 'image/webp'), 'webp');
+  assert.equal(imageExtension('https://example.com/x.gif'), 'gif');
+});
+
+// 2) Download mode: dedup by URL and content hash, relative paths, Referer sent
+await test('download: dedup by content hash and rewrite to relative paths', async () => {
+  requests.length = 0;
+  const { $, content } = loadArticle();
+  const { assets, summary } = await scraper.localizeImages(content, $, { mode: 'download', fetchImpl: fakeFetch });
+  assert.equal(requests.length, 4);
+  assert.ok(requests.every(r => r.referer === 'https://mp.weixin.qq.com/'));
+  assert.equal(assets.length, 2);
+  assert.equal(summary.localized, 3);
+  assert.equal(summary.failed.length, 1);
+  const srcs = content.find('img').map((_i, img) => $(img).attr('src')).get();
+  assert.equal(srcs[0], `assets/${hashBuffer(PNG_BYTES)}.png`);
+  assert.equal(srcs[1], srcs[0]);
+  assert.equal(srcs[3], `assets/${hashBuffer(JPG_BYTES)}.jpg`);
+  assert.match(srcs[4], /^https:\/\/mmbiz\.qpic\.cn\/missing/);
+});
+
+// 3) Inline mode: data URIs, no assets
+await test('inline-base64: data URIs and no assets', async () => {
+  const { $, content } = loadArticle();
+  const { assets } = await scraper.localizeImages(content, $, { mode: 'inline-base64', fetchImpl: fakeFetch });
+  assert.equal(assets.length, 0);
+  assert.match(content.find('img').first().attr('src'), /^data:image\/png;base64,/);
+});
+
+// 4) saveResult writes the asset folder and strips binary data from JSON
+await test('saveResult: writes assets next to the output file', async () => {
+  const { $, content } = loadArticle();
+  const { assets } = await scraper.localizeImages(content, $, { mode: 'download', fetchImpl: fakeFetch });
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'wechat-images-'));
+  try {
+    const outputFile = path.join(dir, 'article.json');
+    await scraper.saveResult({ url: 'x', data: { markdown: '# x' }, assets }, outputFile);
+    const saved = await fs.readFile(path.join(dir, assets[0].file));
+    assert.deepEqual(saved, PNG_BYTES);
+    const json = JSON.parse(await fs.readFile(outputFile, 'utf-8'));
+    assert.equal(json.assets[0].data, undefined);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+console.log(`\nTests finished. Passed: ${passed}, Failed: ${failed}`);
+if (failed > 0) process.exit(1);
@@ -0,0 +1,161 @@
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { fileURLToPath } from 'node:url';
+import { promises as fs } from 'node:fs';
+import { WeChatArticleScraper } from '../scraper.js';
+import { normalizeInterceptionOptions, blockReason, installRequestInterception } from '../lib/interception.js';
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`❌ ${name}: ${err.message}`);
+    failed++;
+  }
+}
+
+const ARTICLE_URL = 'https://mp.weixin.qq.com/s/abcdef';
+
+// Fake Puppeteer page: emit(request) returns what the interceptor did with it
+function fakePage() {
+  const mainFrame = { name: 'main' };
+  const page = Object.assign(new EventEmitter(), {
+    interception: false,
+    mainFrame: () => mainFrame,
+    async setRequestInterception(value) {
+      page.interception = value;
+    },
+  });
+  page.request = (url, resourceType, { navigation = false, frame = mainFrame, handled = false } = {}) => {
+    const request = {
+      outcome: null,
+      url: () => url,
+      resourceType: () => resourceType,
+      isNavigationRequest: () => navigation,
+      frame: () => frame,
+      isInterceptResolutionHandled: () => handled,
+      continue: async () => { request.outcome = 'continue'; },
+      abort: async (reason) => { request.outcome = `abort:${reason}`; },
+    };
+    page.emit('request', request);
+    return request.outcome;
+  };
+  return page;
+}
+
+// 1) Options: defaults, images metadata mode, capture formats, validation
+await test('normalizeInterceptionOptions: defaults and errors', () => {
+  const defaults = normalizeInterceptionOptions();
+  assert.equal(defaults.enabled, true);
+  assert.deepEqual(defaults.blockTypes, ['font', 'media']);
+  assert.equal(defaults.images, 'load');
+  assert.ok(defaults.blockPatterns.length > 0);
+
+  assert.equal(normalizeInterceptionOptions(false).enabled, false);
+  assert.equal(normalizeInterceptionOptions({ enabled: false }).enabled, false);
+
+  const metadata = normalizeInterceptionOptions({ images: 'metadata', blockTypes: ['font'], defaultPatterns: false, blockPatterns: ['cdn.example.com'] });
+  assert.deepEqual(metadata, { enabled: true, blockTypes: ['font', 'image'], blockPatterns: ['cdn.example.com'], images: 'metadata' });
+
+  const rendering = normalizeInterceptionOptions({ images: 'metadata', blockTypes: ['font', 'media', 'stylesheet'] }, { keepRendering: true });
+  assert.deepEqual(rendering.blockTypes, ['media']);
+  assert.equal(rendering.images, 'load');
+
+  assert.throws(() => normalizeInterceptionOptions({ blockTypes: ['fonts'] }), /不支持的资源类型: fonts/);
+  assert.throws(() => normalizeInterceptionOptions({ images: 'none' }), /不支持的图片加载方式/);
+  assert.throws(() => normalizeInterceptionOptions({ blockPatterns: [''] }), /URL 屏蔽规则/);
+});
+
+// 2) Rules: main document always passes, engagement endpoints are not blocked
+await test('blockReason: types and URL patterns', () => {
+  const options = normalizeInterceptionOptions({ blockPatterns: ['ads.example.com', /\.woff2$/] });
+  const check = (url, resourceType = 'script', isMainDocument = false) => blockReason({ url, resourceType, isMainDocument }, options);
+  assert.equal(check(ARTICLE_URL, 'document', true), null);
+  assert.equal(check('https://res.wx.qq.com/fonts/a.ttf', 'font'), 'type');
+  assert.equal(check('https://mpvideo.qpic.cn/0bc3/video.mp4', 'media'), 'type');
+  assert.equal(check('https://mp.weixin.qq.com/mp/jsmonitor?idkey=1', 'image'), 'pattern');
+  assert.equal(check('https://v.qq.com/txp/iframe/player.html?vid=w0123', 'document'), 'pattern');
+  assert.equal(check('https://ads.example.com/pixel.js'), 'pattern');
+  assert.equal(check('https://cdn.example.com/a.woff2', 'other'), 'pattern');
+  assert.equal(check('https://mp.weixin.qq.com/mp/getappmsgext?f=json', 'xhr'), null);
+  assert.equal(check('https://mp.weixin.qq.com/mp/appmsg_comment?action=getcomment', 'xhr'), null);
+  assert.equal(check('https://mmbiz.qpic.cn/mmbiz_png/abc/640', 'image'), null);
+  assert.equal(check('data:image/png;base64,AAAA', 'image'), null);
+});
+
+// 3) Page listener: aborts, continues and counts
+await test('installRequestInterception: counters', async () => {
+  const page = fakePage();
+  const interceptor = await installRequestInterception(page, normalizeInterceptionOptions({ images: 'metadata' }));
+  assert.equal(page.interception, true);
+  assert.equal(page.request(ARTICLE_URL, 'document', { navigation: true }), 'continue');
+  assert.equal(page.request('https://v.qq.com/iframe/player.html', 'document', { navigation: true, frame: {} }), 'abort:blockedbyclient');
+  assert.equal(page.request('https://mmbiz.qpic.cn/mmbiz_png/abc/640', 'image'), 'abort:blockedbyclient');
+  assert.equal(page.request('https://mmbiz.qpic.cn/mmbiz_jpg/def/640', 'image'), 'abort:blockedbyclient');
+  assert.equal(page.request('https://res.wx.qq.com/a.woff', 'font'), 'abort:blockedbyclient');
+  assert.equal(page.request('https://res.wx.qq.com/app.js', 'script'), 'continue');
+  assert.equal(page.request('https://res.wx.qq.com/other.js', 'script', { handled: true }), null);
+  assert.deepEqual(interceptor.summary(), {
+    total: 6,
+    blocked: 4,
+    blocked_by_type: { document: 1, image: 2, font: 1 },
+    estimated_bytes_saved: (30 + 80 * 2 + 40) * 1024,
+    images: 'metadata',
+  });
+
+  const disabledPage = fakePage();
+  assert.equal(await installRequestInterception(disabledPage, normalizeInterceptionOptions(false)), null);
+  assert.equal(disabledPage.interception, false);
+});
+
+// 4) fetchArticle: counters and step durations end up in result.timings
+await test('fetchArticle: result.timings', async () => {
+  const html = await fs.readFile(fileURLToPath(new URL('./fixtures/wechat-article.html', import.meta.url)), 'utf-8');
+  const page = Object.assign(fakePage(), {
+    evaluateOnNewDocument: async () => {},
+    setUserAgent: async () => {},
+    setExtraHTTPHeaders: async () => {},
+    setViewport: async () => {},
+    waitForSelector: async () => {},
+    evaluate: async () => ({ height: 2000, bottom: true, images: 0, pending: 0 }),
+    content: async () => html,
+    async goto(url) {
+      page.request(url, 'document', { navigation: true });
+      page.request('https://res.wx.qq.com/mmbizappmsg/zh_CN/htmledition/js/appmsg.js', 'script');
+      page.request('https://mmbiz.qpic.cn/mmbiz_png/abc123/640?wx_fmt=png', 'image');
+      page.request('https://mp.weixin.qq.com/mp/webcommreport?action=report', 'xhr');
+      return { status: () => 200 };
+    },
+  });
+  const browserProvider = {
+    name: 'fake',
+    supportsProxyCountry: false,
+    supportsProxyURL: false,
+    describe: () => 'fake',
+    preparePage: async () => {},
+    connect: async () => ({ newPage: async () => page, close: async () => {} }),
+  };
+  const scraper = new WeChatArticleScraper(null, { browserProvider });
+  const result = await scraper.fetchArticle(ARTICLE_URL, { formats: ['markdown'], interception: { images: 'metadata' } });
+  assert.deepEqual(result.timings.requests, {
+    total: 4,
+    blocked: 2,
+    blocked_by_type: { image: 1, xhr: 1 },
+    estimated_bytes_saved: (80 + 2) * 1024,
+    images: 'metadata',
+  });
+  for (const step of ['connect', 'navigate', 'scroll', 'process']) {
+    assert.equal(typeof result.timings.steps[step], 'number', step);
+  }
+  // Image URLs stay in the Markdown even though the browser never downloaded them
+  assert.match(result.data.markdown, /mmbiz\.qpic\.cn\/mmbiz_png\/abc123/);
+  await assert.rejects(scraper.fetchArticle(ARTICLE_URL, { interception: { blockTypes: ['fonts'] } }), /不支持的资源类型/);
+});
+
+console.log(`\nTests finished. Passed: ${passed}, Failed: ${failed}`);
+if (failed > 0) process.exit(1);
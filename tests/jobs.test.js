@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import { JobStore } from '../lib/jobs.js';
+import { WeChatArticleScraper } from '../scraper.js';
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`❌ ${name}: ${err.message}`);
+    failed++;
+  }
+}
+
+// 1) Lifecycle: queued → running → succeeded, progress recorded
+await test('JobStore: lifecycle with step and attempts', () => {
+  const store = new JobStore();
+  const job = store.create('scrape_article', { url: 'https://mp.weixin.qq.com/s/a' });
+  assert.equal(job.state, 'queued');
+  store.markRunning(job.id);
+  store.recordProgress(job.id, { type: 'attempt', attempt: 1, proxy: 'CN' });
+  store.recordProgress(job.id, { type: 'step', step: 'navigate' });
+  store.complete(job.id, { status: 'success' });
+  const saved = store.get(job.id);
+  assert.equal(saved.state, 'succeeded');
+  assert.equal(saved.step, 'navigate');
+  assert.equal(saved.attempts[0].proxy, 'CN');
+  assert.deepEqual(saved.result, { status: 'success' });
+});
+
+// 2) Cancel runs the handler and late results are dropped
+await test('JobStore: cancel calls handler, late completion ignored', async () => {
+  const store = new JobStore();
+  const job = store.create('scrape_article', {});
+  let handled = false;
+  store.onCancel(job.id, async () => { handled = true; });
+  assert.equal(await store.cancel(job.id), true);
+  store.complete(job.id, { status: 'success' });
+  assert.equal(handled, true);
+  assert.equal(store.get(job.id).state, 'cancelled');
+  assert.equal(await store.cancel(job.id), false);
+});
+
+// 3) Finished jobs are pruned after retention
+await test('JobStore: prune removes expired finished jobs', () => {
+  const store = new JobStore({ retention: 60 });
+  const done = store.create('scrape_article', {});
+  const running = store.create('scrape_article', {});
+  store.fail(done.id, new Error('x'));
+  store.prune(Date.now() + 61 * 1000);
+  assert.equal(store.get(done.id), null);
+  assert.ok(store.get(running.id));
+});
+
+// 4) Scraper cancel closes the active browser and blocks further attempts
+await test('scraper.cancel: closes active browser', async () => {
+  const scraper = new WeChatArticleScraper(null, { offline: true });
+  let closed = false;
+  scraper.activeBrowser = { close: async () => { closed = true; } };
+  await scraper.cancel();
+  assert.equal(closed, true);
+  assert.throws(() => scraper.throwIfCancelled(), /已取消/);
+});
+
+console.log(`\nTests finished. Passed: ${passed}, Failed: ${failed}`);
+if (failed > 0) process.exit(1);
@@ -0,0 +1,148 @@
+import assert from 'node:assert/strict';
+import { WeChatArticleScraper } from '../scraper.js';
+import { BUILTIN_PROFILES, SiteProfileRegistry, validateProfile } from '../lib/site-profiles.js';
+import { normalizeLoadBudget, scrollUntilLoaded } from '../lib/lazy-load.js';
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`❌ ${name}: ${err.message}`);
+    failed++;
+  }
+}
+
+/**
+ * Fake page for scrollUntilLoaded: each scroll step asks `step(n, options)` for the page state.
+ * Calls without arguments are the final scroll back to the top.
+ */
+function fakePage(step) {
+  const page = { steps: [], scrolledToTop: false };
+  page.evaluate = async (_fn, options) => {
+    if (!options) {
+      page.scrolledToTop = true;
+      return undefined;
+    }
+    page.steps.push(options);
+    return step(page.steps.length, options);
+  };
+  return page;
+}
+
+// 1) Long page: keeps scrolling while the height grows and images are pending
+await test('scrollUntilLoaded: stops when height is stable and images are loaded', async () => {
+  const page = fakePage((n) => {
+    const height = Math.min(1000 * n, 6000);
+    return { height, bottom: n >= 6, images: 8, pending: Math.max(0, 8 - 2 * n) };
+  });
+  const loading = await scrollUntilLoaded(page, { selectors: ['#js_content'], lazyAttributes: ['data-src'], interval: 5 });
+  assert.equal(loading.unresolved, 0);
+  assert.equal(loading.images, 8);
+  assert.equal(loading.scroll_height, 6000);
+  assert.equal(loading.budget_exhausted, false);
+  // 6 steps to reach the bottom, then 2 more to confirm the height is stable
+  assert.equal(loading.scrolls, 8);
+  assert.deepEqual(page.steps[0], { selectors: ['#js_content'], lazyAttributes: ['data-src'], reveal: -1 });
+  assert.ok(page.scrolledToTop);
+});
+
+// 2) Short page: no fixed sleeps
+await test('scrollUntilLoaded: short pages finish quickly', async () => {
+  const page = fakePage(() => ({ height: 900, bottom: true, images: 1, pending: 0 }));
+  const loading = await scrollUntilLoaded(page, { interval: 5 });
+  assert.equal(loading.scrolls, 3);
+  assert.ok(loading.duration_ms < 1000);
+});
+
+// 3) Images that never load: revealed one by one, then given up after imageTimeout
+await test('scrollUntilLoaded: unresolved images time out', async () => {
+  const page = fakePage(() => ({ height: 3000, bottom: true, images: 5, pending: 2 }));
+  const loading = await scrollUntilLoaded(page, { interval: 10, imageTimeout: 100 });
+  assert.equal(loading.unresolved, 2);
+  assert.equal(loading.images, 5);
+  assert.equal(loading.budget_exhausted, false);
+  const reveals = page.steps.map(options => options.reveal);
+  assert.deepEqual(reveals.slice(0, 3), [-1, -1, -1]);
+  assert.ok(reveals.slice(3).length > 0 && reveals.slice(3).every(reveal => reveal >= 0));
+});
+
+// 4) Overall budget: a page that keeps growing
+await test('scrollUntilLoaded: budget', async () => {
+  const page = fakePage(n => ({ height: 1000 * n, bottom: true, images: 0, pending: 0 }));
+  const loading = await scrollUntilLoaded(page, { budget: 150, interval: 20 });
+  assert.equal(loading.budget_exhausted, true);
+  assert.ok(loading.duration_ms < 1000);
+  assert.ok(page.scrolledToTop);
+  assert.equal(normalizeLoadBudget(), 20000);
+  assert.throws(() => normalizeLoadBudget(0), /loadBudget/);
+  assert.throws(() => normalizeLoadBudget('abc'), /loadBudget/);
+});
+
+// 5) Ready selector instead of sleeping
+await test('waitForContent: waits for the site ready selector', async () => {
+  const calls = [];
+  const page = { waitForSelector: async (selector, options) => { calls.push([selector, options]); } };
+  const scraper = new WeChatArticleScraper(null, { offline: true });
+  const started = Date.now();
+  await scraper.waitForContent(page, 'https://mp.weixin.qq.com/s/abcdef');
+  assert.deepEqual(calls, [['#js_content', { timeout: 10000, visible: true }]]);
+  assert.ok(Date.now() - started < 1000);
+
+  const registry = new SiteProfileRegistry([
+    ...BUILTIN_PROFILES.map(profile => validateProfile(profile, 'builtin')),
+    validateProfile({ name: 'blog', hosts: ['blog.example.com'], content: ['.post'], wait: { selector: '.post', timeout: 500 } }, 'test.json'),
+  ]);
+  const blogScraper = new WeChatArticleScraper(null, { offline: true, siteProfiles: registry });
+  await blogScraper.waitForContent(page, 'https://blog.example.com/p/1');
+  assert.deepEqual(calls[1], ['.post', { timeout: 500, visible: false }]);
+
+  // Other sites wait for the generic ready selector instead of sleeping
+  await blogScraper.waitForContent(page, 'https://news.example.org/story/1');
+  assert.deepEqual(calls[2], ['article, main', { timeout: 5000, visible: false }]);
+  assert.ok(Date.now() - started < 1000);
+
+  assert.throws(() => validateProfile({ name: 'bad', hosts: ['x.com'], wait: { visible: 'yes' } }, 'test.json'), /wait\.visible/);
+});
+
+// 6) The generic profile waits until the page script renders <main>; <body> alone is not ready
+await test('waitForContent: generic pages wait for late-rendered content', async () => {
+  const present = new Set(['html', 'body']);
+  const page = {
+    waitForSelector: async (selector, { timeout }) => {
+      const deadline = Date.now() + timeout;
+      const found = () => selector.split(',').some(part => present.has(part.trim()));
+      while (!found()) {
+        if (Date.now() > deadline) throw new Error(`Waiting for selector \`${selector}\` failed`);
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+    },
+  };
+  setTimeout(() => present.add('main'), 300);
+  const scraper = new WeChatArticleScraper(null, { offline: true });
+  const started = Date.now();
+  await scraper.waitForContent(page, 'https://spa.example.org/post/1');
+  const elapsed = Date.now() - started;
+  assert.ok(present.has('main'));
+  assert.ok(elapsed >= 250, `returned after ${elapsed}ms, before the content was rendered`);
+  assert.ok(elapsed < 2000);
+});
+
+// 7) A profile delay stops as soon as the scrape is cancelled
+await test('waitForContent: delay is abortable', async () => {
+  const registry = new SiteProfileRegistry([
+    validateProfile({ name: 'slow', hosts: ['slow.example.com'], content: ['.post'], wait: { delay: 5000 } }, 'test.json'),
+  ]);
+  const scraper = new WeChatArticleScraper(null, { offline: true, siteProfiles: registry });
+  const started = Date.now();
+  setTimeout(() => scraper.cancel(), 100);
+  await assert.rejects(scraper.waitForContent({}, 'https://slow.example.com/p/1'), /抓取已取消/);
+  assert.ok(Date.now() - started < 1000);
+});
+
+console.log(`\nTests finished. Passed: ${passed}, Failed: ${failed}`);
+if (failed > 0) process.exit(1);
@@ -0,0 +1,77 @@
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { promises as fs } from 'node:fs';
+import { WeChatArticleScraper } from '../scraper.js';
+import { createMarkdownConverter } from '../lib/markdown-rules.js';
+
+// UPDATE_GOLDEN=1 node tests/markdownRules.test.js 重新生成 .md 期望文件
+const UPDATE_GOLDEN = process.env.UPDATE_GOLDEN === '1';
+const goldenDir = fileURLToPath(new URL('./fixtures/markdown/', import.meta.url));
+const converter = createMarkdownConverter();
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`❌ ${name}: ${err.message}`);
+    failed++;
+  }
+}
+
+// 1) Golden files: tests/fixtures/markdown/<case>.html → <case>.md
+const cases = (await fs.readdir(goldenDir)).filter(name => name.endsWith('.html')).sort();
+for (const file of cases) {
+  const name = file.replace(/\.html$/, '');
+  await test(`golden: ${name}`, async () => {
+    const html = await fs.readFile(`${goldenDir}${file}`, 'utf-8');
+    const actual = `${converter.turndown(html)}\n`;
+    const goldenPath = `${goldenDir}${name}.md`;
+    if (UPDATE_GOLDEN) {
+      await fs.writeFile(goldenPath, actual, 'utf-8');
+    }
+    assert.equal(actual, await fs.readFile(goldenPath, 'utf-8'));
+  });
+}
+
+// 2) Scraper uses the WeChat rules for markdown output
+await test('processHtml markdown keeps code language and media placeholders', async () => {
+  const scraper = new WeChatArticleScraper(null, { offline: true });
+  const html = `<html><head><title>规则测试</title></head><body>
+    <h1 id="activity-name">规则测试</h1>
+    <div id="js_content">
+      <section class="code-snippet__fix"><pre class="code-snippet__python" data-lang="python"><code>print("hi")</code></pre></section>
+      <mpvoice voice_encode_fileid="abc" name="语音"></mpvoice>
+    </div>
+  </body></html>`;
+  const result = await scraper.processHtml({ html, url: 'https://mp.weixin.qq.com/s/rules' });
+  assert.match(result.data.markdown, /```python\nprint\("hi"\)\n```/);
+  assert.match(result.data.markdown, /\[音频：语音\]\(https:\/\/res\.wx\.qq\.com\/voice\/getvoice\?mediaid=abc\)/);
+});
+
+// 3) Fence grows past backticks inside code
+await test('code fence longer than backtick runs in code', () => {
+  const markdown = converter.turndown('<pre class="code-snippet__md"><code>```js</code><code>x</code><code>```</code></pre>');
+  assert.ok(markdown.startsWith('````md\n'), markdown);
+  assert.ok(markdown.endsWith('\n````'), markdown);
+});
+
+// 4) Non-WeChat content still converts as before
+await test('plain paragraphs and native headings are unchanged', () => {
+  assert.equal(converter.turndown('<h2>标题</h2><p>正文</p>'), '## 标题\n\n正文');
+});
+
+// 5) Empty media go through the constructor's blankReplacement; a caller's own one still handles other blank nodes
+await test('blankReplacement option: media first, then the caller fallback', () => {
+  const custom = createMarkdownConverter({ blankReplacement: (_content, node) => (node.nodeName === 'DIV' ? '[empty]' : '') });
+  const markdown = custom.turndown('<p>前</p><div></div><mpvoice voice_encode_fileid="abc" name="语音"></mpvoice>');
+  assert.match(markdown, /\[empty\]/);
+  assert.match(markdown, /\[音频：语音\]\(https:\/\/res\.wx\.qq\.com\/voice\/getvoice\?mediaid=abc\)/);
+});
+
+console.log(`\nTests finished. Passed: ${passed}, Failed: ${failed}`);
+if (failed > 0) process.exit(1);
@@ -116,7 +116,15 @@ test('CN no year: 10月29日 16:21 → currentYear-10-29T08:21:00.000Z', () => {
   assert.equal(out, expected);
 });
 
-// 12) Invalid input
+// 12) Chinese date only → assume 00:00 +08
+test('CN date only: 2025年10月30日 → 2025-10-29T16:00:00.000Z', () => {
+  const input = '2025年10月30日';
+  const out = scraper.parsePublishDate(input);
+  const expected = isoAtBeijing(2025, 10, 30, 0, 0, 0);
+  assert.equal(out, expected);
+});
+
+// 13) Invalid input
 test('Invalid: abc → empty string', () => {
   const input = 'abc';
   const out = scraper.parsePublishDate(input);
@@ -0,0 +1,60 @@
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { promises as fs } from 'node:fs';
+import { WeChatArticleScraper, processWechatHtml } from '../scraper.js';
+
+const fixturePath = fileURLToPath(new URL('./fixtures/wechat-article.html', import.meta.url));
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`❌ ${name}: ${err.message}`);
+    failed++;
+  }
+}
+
+// 1) Process from a local file path, URL inferred from the page
+await test('filePath: extracts metadata and markdown', async () => {
+  const result = await processWechatHtml({ filePath: fixturePath });
+  assert.equal(result.status, 'completed');
+  assert.equal(result.metadata.title, '示例文章：用 Node.js 抓取公众号');
+  assert.match(result.url, /^http:\/\/mp\.weixin\.qq\.com\/s\?__biz=/);
+  assert.match(result.data.markdown, /第一段正文/);
+  assert.match(result.data.markdown, /mmbiz_png\/abc123/);
+});
+
+// 2) Inline HTML with explicit URL and a single format
+await test('inline html: explicit url and formats are honored', async () => {
+  const html = await fs.readFile(fixturePath, 'utf-8');
+  const url = 'https://mp.weixin.qq.com/s/abcdef';
+  const result = await processWechatHtml({ html, url, formats: ['html'] });
+  assert.equal(result.url, url);
+  assert.ok(result.data.html.includes('最后一段'));
+  assert.equal(result.data.markdown, undefined);
+});
+
+// 3) Page without article body → null
+await test('no article body → null', async () => {
+  const result = await processWechatHtml({ html: '<html><body><p>nothing</p></body></html>' });
+  assert.equal(result, null);
+});
+
+// 4) Missing input
+await test('no html and no filePath → throws', async () => {
+  await assert.rejects(() => processWechatHtml({}), /html 或 filePath/);
+});
+
+// 5) Offline scraper refuses to open a browser
+await test('offline scraper: scrapeArticle rejects', async () => {
+  const scraper = new WeChatArticleScraper(null, { offline: true });
+  await assert.rejects(() => scraper.scrapeArticle('https://mp.weixin.qq.com/s/x'), /离线模式/);
+});
+
+console.log(`\nTests finished. Passed: ${passed}, Failed: ${failed}`);
+if (failed > 0) process.exit(1);
@@ -0,0 +1,84 @@
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { promises as fs } from 'node:fs';
+import * as cheerio from 'cheerio';
+import { WeChatArticleScraper } from '../scraper.js';
+import { stripChrome, scoreContent, linkDensity } from '../lib/readability.js';
+
+const scraper = new WeChatArticleScraper(null, { offline: true });
+const readFixture = (name) => fs.readFile(fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url)), 'utf-8');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`❌ ${name}: ${err.message}`);
+    failed++;
+  }
+}
+
+const paragraphs = (count, prefix = '正文段落') => Array.from({ length: count }, (_v, i) =>
+  `<p>${prefix}${i + 1}，这一段文字足够长，包含逗号，用来模拟真实文章的内容密度，而不是导航或者链接列表。</p>`).join('');
+
+// 1) Scoring helpers
+await test('linkDensity and stripChrome', () => {
+  const $ = cheerio.load('<div id="a"><a href="#">链接文字</a>普通文字</div><nav>导航</nav><div class="share-bar">分享</div><div class="post-content">正文</div>');
+  assert.equal(linkDensity($, $('#a')), 0.5);
+  stripChrome($, $('body'));
+  assert.equal($('nav').length, 0);
+  assert.equal($('.share-bar').length, 0);
+  assert.equal($('.post-content').length, 1);
+});
+
+// 2) No generic selector matches: scoring picks the story, not the link sidebar or comments
+await test('readability: picks the main block when no selector matches', async () => {
+  const result = await scraper.processHtml({ html: await readFixture('blog-no-selectors.html'), url: 'https://blog.example.org/p/42' });
+  assert.equal(result.extraction.strategy, 'readability');
+  assert.equal(result.extraction.profile, 'generic');
+  assert.ok(result.extraction.confidence > 0.5 && result.extraction.confidence <= 1, `confidence ${result.extraction.confidence}`);
+  assert.match(result.data.markdown, /固定的选择器列表很容易命中侧栏/);
+  assert.doesNotMatch(result.data.markdown, /热门文章|这是一条评论|版权所有/);
+});
+
+// 3) A generic selector that hits a sidebar teaser is rejected
+await test('readability: overrides a generic selector that misses the main block', async () => {
+  const html = `<html><body>
+    <div class="widget"><article class="teaser"><a href="/x">推荐阅读：另一篇文章</a></article></div>
+    <div class="story">${paragraphs(5)}</div>
+  </body></html>`;
+  const result = await scraper.processHtml({ html, url: 'https://news.example.org/a' });
+  assert.equal(result.extraction.strategy, 'readability');
+  assert.match(result.data.markdown, /正文段落5/);
+  assert.doesNotMatch(result.data.markdown, /推荐阅读/);
+});
+
+// 4) A generic selector that contains the main block is kept
+await test('generic-selector: kept when it contains the scored block', async () => {
+  const html = `<html><body><nav><a href="/">首页</a></nav>
+    <article><h1>标题</h1>${paragraphs(4)}<div class="related"><a href="/y">相关文章</a></div></article>
+  </body></html>`;
+  const result = await scraper.processHtml({ html, url: 'https://blog.example.org/b' });
+  assert.equal(result.extraction.strategy, 'generic-selector');
+  assert.equal(result.extraction.selector, 'article');
+  assert.doesNotMatch(result.data.markdown, /相关文章|首页/);
+});
+
+// 5) WeChat pages keep using the site profile
+await test('site-profile: WeChat article reports full confidence', async () => {
+  const result = await scraper.processHtml({ html: await readFixture('wechat-article.html') });
+  assert.deepEqual(result.extraction, { strategy: 'site-profile', profile: 'wechat', selector: '#js_content', confidence: 1 });
+});
+
+// 6) Nothing to score
+await test('scoreContent: returns null for pages without paragraphs', () => {
+  const $ = cheerio.load('<html><body><a href="/">首页</a></body></html>');
+  assert.equal(scoreContent($), null);
+});
+
+console.log(`\nTests finished. Passed: ${passed}, Failed: ${failed}`);
+if (failed > 0) process.exit(1);
@@ -0,0 +1,120 @@
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { promises as fs } from 'node:fs';
+import { processWechatHtml } from '../scraper.js';
+import { buildReaderDocument, ReadwiseClient, createReadwiseClientFromEnv } from '../lib/readwise.js';
+
+const fixturePath = fileURLToPath(new URL('./fixtures/wechat-article.html', import.meta.url));
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`❌ ${name}: ${err.message}`);
+    failed++;
+  }
+}
+
+// Local stub of the Reader save endpoint: 201 for new URLs, 200 for known ones
+const requests = [];
+const known = new Map();
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    requests.push({ method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+    if (req.headers.authorization !== 'Token test-token') {
+      res.writeHead(401, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ detail: 'Invalid token.' }));
+      return;
+    }
+    const { url } = JSON.parse(body);
+    const existing = known.get(url);
+    const id = existing || `doc_${known.size + 1}`;
+    known.set(url, id);
+    res.writeHead(existing ? 200 : 201, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ id, url: `https://read.readwise.io/new/read/${id}` }));
+  });
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const baseUrl = `http://127.0.0.1:${server.address().port}/`;
+
+const result = await processWechatHtml({ filePath: fixturePath, formats: ['html'] });
+
+// 1) Request body mirrors the Reader save API
+await test('buildReaderDocument: maps metadata to Reader fields', () => {
+  const document = buildReaderDocument(result, { tags: ['wechat', ' wechat ', '', 'node'] });
+  assert.equal(document.url, result.metadata.canonical_url);
+  assert.equal(document.html, result.data.html);
+  assert.equal(document.title, result.metadata.title);
+  assert.equal(document.author, result.metadata.author);
+  assert.equal(document.published_date, result.metadata.published_date);
+  assert.equal(document.image_url, result.metadata.image_url);
+  assert.equal(document.saved_using, 'wechat-scraper-mcp');
+  assert.deepEqual(document.tags, ['wechat', 'node']);
+  assert.throws(() => buildReaderDocument({ ...result, data: { markdown: '# x' } }), /html/);
+});
+
+// 2) Save against the stub, then skip the duplicate without a second request
+await test('save: returns document id and skips duplicate canonical URLs', async () => {
+  const client = new ReadwiseClient({ token: 'test-token', baseUrl });
+  const first = await client.save(result, { tags: ['wechat'] });
+  assert.equal(first.status, 'saved');
+  assert.equal(first.document_id, 'doc_1');
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].method, 'POST');
+  assert.equal(requests[0].url, '/api/v3/save/');
+  assert.deepEqual(requests[0].body.tags, ['wechat']);
+
+  // Same article reached through a tracking-laden link
+  const second = await client.save({ ...result, metadata: { ...result.metadata, canonical_url: `${result.metadata.canonical_url}&scene=21#rd` } });
+  assert.deepEqual(second, { status: 'skipped', document_id: 'doc_1', url: first.url });
+  assert.equal(requests.length, 1);
+  assert.equal((await client.findSaved(result.metadata.canonical_url)).document_id, 'doc_1');
+});
+
+// 3) Reader already has the URL (saved by another client): reported as exists
+await test('save: 200 from Reader is reported as exists', async () => {
+  const client = new ReadwiseClient({ token: 'test-token', baseUrl });
+  const saved = await client.save(result);
+  assert.equal(saved.status, 'exists');
+  assert.equal(saved.document_id, 'doc_1');
+});
+
+// 4) HTTP errors carry the status code
+await test('save: non-2xx responses throw with status', async () => {
+  const client = new ReadwiseClient({ token: 'wrong', baseUrl });
+  await assert.rejects(client.save(result), (error) => error.status === 401 && /HTTP 401/.test(error.message));
+});
+
+// 5) Environment configuration and persistent dedupe state
+await test('createReadwiseClientFromEnv: token, base URL and state dir', async () => {
+  assert.equal(createReadwiseClientFromEnv({}), null);
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'readwise-'));
+  try {
+    const env = { READWISE_TOKEN: 'test-token', READWISE_BASE_URL: baseUrl, READWISE_STATE_DIR: dir };
+    const client = createReadwiseClientFromEnv(env);
+    assert.equal(client.baseUrl, baseUrl.replace(/\/$/, ''));
+    await client.save(result);
+    const count = requests.length;
+    // A new process with the same state dir still skips the article
+    const restarted = createReadwiseClientFromEnv(env);
+    assert.equal((await restarted.save(result)).status, 'skipped');
+    assert.equal(requests.length, count);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+await new Promise(resolve => server.close(resolve));
+
+console.log(`\nTests finished. Passed: ${passed}, Failed: ${failed}`);
+if (failed > 0) process.exit(1);
@@ -0,0 +1,247 @@
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { promises as fs } from 'node:fs';
+import { WeChatArticleScraper } from '../scraper.js';
+import { ERROR_CODES, ScrapeError } from '../lib/errors.js';
+import { DEFAULT_RETRY_POLICY, normalizeRetryPolicy, limitAttempts, backoffDelay, shouldRetry } from '../lib/retry-policy.js';
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`❌ ${name}: ${err.message}`);
+    failed++;
+  }
+}
+
+const html = await fs.readFile(fileURLToPath(new URL('./fixtures/wechat-article.html', import.meta.url)), 'utf-8');
+const ARTICLE_URL = 'https://mp.weixin.qq.com/s/abcdef';
+const FAST = { initialDelay: 0 };
+
+/**
+ * Fake browser backend. `goto(n)` decides what the n-th navigation does: return a status,
+ * throw, or return 'hang' to wait until the browser is closed (like Puppeteer on disconnect).
+ */
+function fakeProvider({ failing = [], goto = () => 200, supportsProxyURL = false } = {}) {
+  const provider = {
+    name: 'fake',
+    supportsProxyCountry: true,
+    supportsProxyURL,
+    connects: [],
+    navigations: 0,
+    closed: 0,
+    describe: () => 'fake',
+    preparePage: async () => {},
+    async connect(options) {
+      provider.connects.push(options.proxyURL ? 'custom' : options.proxyCountry);
+      if (failing.includes(options.proxyURL ? 'custom' : options.proxyCountry)) {
+        throw new Error('net::ERR_TUNNEL_CONNECTION_FAILED');
+      }
+      let disconnect = () => {};
+      const disconnected = new Promise((_, reject) => {
+        disconnect = () => reject(new Error('Navigating frame was detached'));
+      });
+      disconnected.catch(() => {});
+      const page = {
+        evaluateOnNewDocument: async () => {},
+        setUserAgent: async () => {},
+        setExtraHTTPHeaders: async () => {},
+        setViewport: async () => {},
+        setRequestInterception: async () => {},
+        on: () => {},
+        waitForSelector: async () => {},
+        async goto() {
+          const outcome = goto(++provider.navigations);
+          if (outcome === 'hang') return disconnected;
+          if (outcome instanceof Error) throw outcome;
+          return { status: () => outcome };
+        },
+        evaluate: async () => ({ height: 2000, bottom: true, images: 0, pending: 0 }),
+        content: async () => html,
+      };
+      return {
+        newPage: async () => page,
+        close: async () => {
+          provider.closed++;
+          disconnect();
+        },
+      };
+    }
+  };
+  return provider;
+}
+
+// 1) Policy: defaults, overrides and validation
+await test('normalizeRetryPolicy: defaults and errors', () => {
+  assert.deepEqual(normalizeRetryPolicy(), DEFAULT_RETRY_POLICY);
+  assert.deepEqual(normalizeRetryPolicy(null), DEFAULT_RETRY_POLICY);
+  const policy = normalizeRetryPolicy({ maxAttempts: 2, retryOn: ['TIMEOUT'] });
+  assert.equal(policy.maxAttempts, 2);
+  assert.equal(policy.navigationAttempts, 3);
+  assert.deepEqual(policy.retryOn, ['TIMEOUT']);
+
+  assert.throws(() => normalizeRetryPolicy({ attempts: 3 }), /未知字段: attempts/);
+  assert.throws(() => normalizeRetryPolicy({ maxAttempts: 0 }), /maxAttempts/);
+  assert.throws(() => normalizeRetryPolicy({ navigationAttempts: 1.5 }), /navigationAttempts/);
+  assert.throws(() => normalizeRetryPolicy({ initialDelay: -1 }), /initialDelay/);
+  assert.throws(() => normalizeRetryPolicy({ backoffFactor: 0.5 }), /backoffFactor/);
+  assert.throws(() => normalizeRetryPolicy({ jitter: 2 }), /jitter/);
+  assert.throws(() => normalizeRetryPolicy({ retryOn: ['NOPE'] }), /retryOn/);
+});
+
+// 2) Exponential backoff with jitter, capped by maxDelay
+await test('backoffDelay and shouldRetry', () => {
+  const policy = normalizeRetryPolicy({ initialDelay: 1000, backoffFactor: 2, maxDelay: 5000, jitter: 0.2 });
+  assert.equal(backoffDelay(policy, 1, () => 0.5), 1000);
+  assert.equal(backoffDelay(policy, 2, () => 0.5), 2000);
+  assert.equal(backoffDelay(policy, 3, () => 0), 3200);
+  assert.equal(backoffDelay(policy, 3, () => 0.999), 4798);
+  assert.equal(backoffDelay(policy, 10, () => 0.5), 5000);
+  assert.equal(backoffDelay(normalizeRetryPolicy({ jitter: 0 }), 2, () => 0.9), 6000);
+
+  const timeoutOnly = normalizeRetryPolicy({ retryOn: ['TIMEOUT'] });
+  assert.equal(shouldRetry(timeoutOnly, new ScrapeError(ERROR_CODES.TIMEOUT, 'slow')), true);
+  assert.equal(shouldRetry(timeoutOnly, new ScrapeError(ERROR_CODES.PROXY_FAILED, 'proxy')), false);
+  assert.equal(shouldRetry(timeoutOnly, new Error('boom')), false);
+  assert.equal(shouldRetry(normalizeRetryPolicy(), new Error('boom')), true);
+  assert.equal(shouldRetry(normalizeRetryPolicy(), new ScrapeError(ERROR_CODES.ARTICLE_DELETED, 'gone')), false);
+  assert.equal(shouldRetry(normalizeRetryPolicy({ retryOn: ['CANCELLED'] }), new ScrapeError(ERROR_CODES.CANCELLED, 'stop')), false);
+});
+
+// 3) fetchArticle: maxAttempts and retryOn limit the strategies tried
+await test('fetchArticle: maxAttempts and retryOn', async () => {
+  const limited = fakeProvider({ failing: ['CN', 'HK', 'SG'] });
+  const error = await new WeChatArticleScraper(null, { browserProvider: limited })
+    .fetchArticle(ARTICLE_URL, { retryPolicy: { ...FAST, maxAttempts: 2 } })
+    .then(() => null, err => err);
+  assert.equal(error.code, ERROR_CODES.PROXY_FAILED);
+  assert.deepEqual(limited.connects, ['CN', 'HK']);
+  assert.deepEqual(error.attempts.order, ['proxy:CN', 'proxy:HK']);
+  assert.deepEqual(error.attempts.skipped, [{ strategy: 'proxy:SG', reason: 'max_attempts' }]);
+
+  // The custom proxy keeps the last slot instead of being cut behind the official proxies
+  const withCustom = fakeProvider({ failing: ['CN', 'HK', 'SG'], supportsProxyURL: true });
+  const result = await new WeChatArticleScraper(null, { browserProvider: withCustom })
+    .fetchArticle(ARTICLE_URL, { proxyURL: 'http://u:p@proxy.example.com:8443', retryPolicy: { ...FAST, maxAttempts: 2 } });
+  assert.deepEqual(withCustom.connects, ['CN', 'custom']);
+  assert.equal(result.attempts.order[1], 'proxy-url:proxy.example.com:8443');
+  assert.deepEqual(result.attempts.skipped.map(item => [item.strategy, item.reason]), [['proxy:HK', 'max_attempts'], ['proxy:SG', 'max_attempts']]);
+
+  const strategies = [{ id: 'a' }, { id: 'b' }, { id: 'c', fallback: true }];
+  assert.deepEqual(limitAttempts(strategies, null), { order: strategies, dropped: [] });
+  assert.deepEqual(limitAttempts(strategies, 3).dropped, []);
+  assert.deepEqual(limitAttempts(strategies, 2).order.map(s => s.id), ['a', 'c']);
+  assert.deepEqual(limitAttempts(strategies, 1).order.map(s => s.id), ['a']);
+  assert.deepEqual(limitAttempts(strategies, 1).dropped.map(s => s.id), ['b', 'c']);
+
+  const noProxyRetry = fakeProvider({ failing: ['CN'] });
+  const stopped = await new WeChatArticleScraper(null, { browserProvider: noProxyRetry })
+    .fetchArticle(ARTICLE_URL, { retryPolicy: { ...FAST, retryOn: ['TIMEOUT'] } })
+    .then(() => null, err => err);
+  assert.equal(stopped.code, ERROR_CODES.PROXY_FAILED);
+  assert.deepEqual(noProxyRetry.connects, ['CN']);
+  assert.equal(stopped.attempts.outcomes.length, 1);
+
+  await assert.rejects(
+    new WeChatArticleScraper(null, { browserProvider: fakeProvider() }).fetchArticle(ARTICLE_URL, { retryPolicy: { maxAttempts: -1 } }),
+    /重试策略无效/
+  );
+  await assert.rejects(
+    new WeChatArticleScraper(null, { browserProvider: fakeProvider() }).fetchArticle(ARTICLE_URL, { deadline: 0 }),
+    /deadline/
+  );
+});
+
+// 4) Navigation retries inside one strategy follow the policy
+await test('fetchArticle: navigation attempts', async () => {
+  const flaky = fakeProvider({ goto: n => (n < 3 ? new Error('Navigation timeout of 60000 ms exceeded') : 200) });
+  const result = await new WeChatArticleScraper(null, { browserProvider: flaky })
+    .fetchArticle(ARTICLE_URL, { formats: ['markdown'], retryPolicy: FAST });
+  assert.equal(flaky.navigations, 3);
+  assert.deepEqual(flaky.connects, ['CN']);
+  assert.match(result.data.markdown, /\S/);
+
+  const once = fakeProvider({ goto: () => new Error('Navigation timeout of 60000 ms exceeded') });
+  const error = await new WeChatArticleScraper(null, { browserProvider: once })
+    .fetchArticle(ARTICLE_URL, { proxyRetries: ['CN'], retryPolicy: { ...FAST, navigationAttempts: 1 } })
+    .then(() => null, err => err);
+  assert.equal(error.code, ERROR_CODES.TIMEOUT);
+  assert.equal(once.navigations, 1);
+});
+
+// 5) Deadline: closes the browser mid-navigation and stops retrying; the scraper stays usable
+await test('fetchArticle: overall deadline', async () => {
+  const hanging = fakeProvider({ goto: n => (n === 1 ? 'hang' : 200) });
+  const scraper = new WeChatArticleScraper(null, { browserProvider: hanging });
+  const started = Date.now();
+  const error = await scraper.fetchArticle(ARTICLE_URL, { deadline: 100, retryPolicy: FAST }).then(() => null, err => err);
+  assert.equal(error.code, ERROR_CODES.TIMEOUT);
+  assert.match(error.message, /总时限/);
+  assert.ok(Date.now() - started < 2000);
+  assert.equal(hanging.closed, 1);
+  assert.deepEqual(hanging.connects, ['CN']);
+  assert.deepEqual(error.attempts.outcomes.map(outcome => outcome.ok), [false]);
+
+  const result = await scraper.fetchArticle(ARTICLE_URL, { formats: ['markdown'], retryPolicy: FAST });
+  assert.ok(result.data.markdown);
+});
+
+// 6) AbortSignal: aborting closes the browser right away and fails with CANCELLED
+await test('fetchArticle: AbortSignal cancellation', async () => {
+  const hanging = fakeProvider({ goto: () => 'hang' });
+  const scraper = new WeChatArticleScraper(null, { browserProvider: hanging });
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 50);
+  const error = await scraper.fetchArticle(ARTICLE_URL, { signal: controller.signal, retryPolicy: FAST }).then(() => null, err => err);
+  assert.equal(error.code, ERROR_CODES.CANCELLED);
+  assert.equal(hanging.closed, 1);
+  assert.deepEqual(hanging.connects, ['CN']);
+  assert.equal(error.toJSON().code, ERROR_CODES.CANCELLED);
+
+  // Already aborted: nothing is started
+  const idle = fakeProvider();
+  const aborted = await new WeChatArticleScraper(null, { browserProvider: idle })
+    .fetchArticle(ARTICLE_URL, { signal: AbortSignal.abort(), retryPolicy: FAST })
+    .then(() => null, err => err);
+  assert.equal(aborted.code, ERROR_CODES.CANCELLED);
+  assert.deepEqual(idle.connects, []);
+  assert.equal(scraper.cancelled, false);
+});
+
+// 7) listAlbum: same navigation retries, deadline (also during scroll waits) and AbortSignal
+await test('listAlbum: retry policy, deadline and cancellation', async () => {
+  const ALBUM_URL = 'https://mp.weixin.qq.com/mp/appmsgalbum?__biz=MzA5&action=getalbum&album_id=123';
+  const flaky = fakeProvider({ goto: n => (n < 3 ? new Error('Navigation timeout of 60000 ms exceeded') : 200) });
+  const listing = await new WeChatArticleScraper(null, { browserProvider: flaky })
+    .listAlbum(ALBUM_URL, { maxScrolls: 1, scrollInterval: 0, retryPolicy: FAST });
+  assert.equal(flaky.navigations, 3);
+  assert.ok(Array.isArray(listing.entries));
+  await assert.rejects(
+    new WeChatArticleScraper(null, { browserProvider: fakeProvider() }).listAlbum(ALBUM_URL, { retryPolicy: { jitter: 5 } }),
+    /重试策略无效/
+  );
+
+  const slow = fakeProvider();
+  const started = Date.now();
+  const timedOut = await new WeChatArticleScraper(null, { browserProvider: slow })
+    .listAlbum(ALBUM_URL, { maxScrolls: 5, scrollInterval: 10000, deadline: 200 })
+    .then(() => null, err => err);
+  assert.equal(timedOut.code, ERROR_CODES.TIMEOUT);
+  assert.ok(Date.now() - started < 2000);
+  assert.equal(slow.closed, 1);
+
+  const idle = fakeProvider();
+  const cancelled = await new WeChatArticleScraper(null, { browserProvider: idle })
+    .listAlbum(ALBUM_URL, { signal: AbortSignal.abort() })
+    .then(() => null, err => err);
+  assert.equal(cancelled.code, ERROR_CODES.CANCELLED);
+  assert.deepEqual(idle.connects, []);
+});
+
+console.log(`\nTests finished. Passed: ${passed}, Failed: ${failed}`);
+if (failed > 0) process.exit(1);
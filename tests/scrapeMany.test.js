@@ -0,0 +1,75 @@
+import assert from 'node:assert/strict';
+import { WeChatArticleScraper } from '../scraper.js';
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`❌ ${name}: ${err.message}`);
+    failed++;
+  }
+}
+
+// Fake scraper: no browser, fetchArticle resolves after a short delay
+let active = 0;
+let maxActive = 0;
+class FakeScraper extends WeChatArticleScraper {
+  async fetchArticle(url) {
+    active++;
+    maxActive = Math.max(maxActive, active);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    active--;
+    if (url.includes('fail')) throw new Error('boom');
+    if (url.includes('empty')) return null;
+    return { status: 'completed', url, timestamp: new Date().toISOString(), metadata: {}, data: {} };
+  }
+}
+
+// 1) Dedup, invalid input and failure isolation
+await test('scrapeMany: summary and per-URL results in input order', async () => {
+  const scraper = new FakeScraper(null, { offline: true });
+  const { summary, results } = await scraper.scrapeMany([
+    'https://mp.weixin.qq.com/s/aaa',
+    'https://mp.weixin.qq.com/s/aaa?scene=1#rd',
+    'not a url',
+    'https://mp.weixin.qq.com/s/fail',
+    'https://mp.weixin.qq.com/s/empty',
+    'https://mp.weixin.qq.com/s/bbb',
+  ]);
+  assert.deepEqual(summary, { total: 6, succeeded: 2, failed: 2, skipped: 2 });
+  assert.deepEqual(results.map(r => r.status), ['success', 'skipped', 'skipped', 'failed', 'failed', 'success']);
+  assert.equal(results[1].reason, 'duplicate');
+  assert.equal(results[1].duplicate_of, 'https://mp.weixin.qq.com/s/aaa');
+  assert.equal(results[2].reason, 'invalid_url');
+  assert.equal(results[3].error, 'boom');
+});
+
+// 2) Concurrency limit
+await test('scrapeMany: never exceeds the concurrency limit', async () => {
+  maxActive = 0;
+  const scraper = new FakeScraper(null, { offline: true });
+  const urls = Array.from({ length: 8 }, (_v, i) => `https://mp.weixin.qq.com/s/c${i}`);
+  const { summary } = await scraper.scrapeMany(urls, { concurrency: 2 });
+  assert.equal(summary.succeeded, 8);
+  assert.equal(maxActive, 2);
+});
+
+// 3) Invalid concurrency values still run every URL
+await test('scrapeMany: coerces concurrency to an integer >= 1', async () => {
+  const urls = Array.from({ length: 4 }, (_v, i) => `https://mp.weixin.qq.com/s/n${i}`);
+  for (const [concurrency, expected] of [[NaN, 3], ['abc', 3], [0, 1], [-2, 1], [2.7, 2], ['2', 2]]) {
+    maxActive = 0;
+    const { summary, results } = await new FakeScraper(null, { offline: true }).scrapeMany(urls, { concurrency });
+    assert.equal(summary.succeeded, 4, `concurrency ${concurrency}`);
+    assert.ok(results.every(r => r.status === 'success'));
+    assert.equal(maxActive, expected, `concurrency ${concurrency}`);
+  }
+});
+
+console.log(`\nTests finished. Passed: ${passed}, Failed: ${failed}`);
+if (failed > 0) process.exit(1);
@@ -0,0 +1,121 @@
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { WeChatArticleScraper } from '../scraper.js';
+import {
+  SiteProfileRegistry,
+  hostMatches,
+  validateProfile,
+  loadSiteProfileRegistry
+} from '../lib/site-profiles.js';
+
+const profilesDir = fileURLToPath(new URL('./fixtures/site-profiles/', import.meta.url));
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`❌ ${name}: ${err.message}`);
+    failed++;
+  }
+}
+
+// 1) Host patterns
+await test('hostMatches: exact, wildcard subdomain and catch-all', () => {
+  assert.equal(hostMatches('mp.weixin.qq.com', 'mp.weixin.qq.com'), true);
+  assert.equal(hostMatches('mp.weixin.qq.com', 'evil-mp.weixin.qq.com.cn'), false);
+  assert.equal(hostMatches('*.example.com', 'example.com'), true);
+  assert.equal(hostMatches('*.example.com', 'blog.example.com'), true);
+  assert.equal(hostMatches('*.example.com', 'notexample.com'), false);
+  assert.equal(hostMatches('*', 'anything.org'), true);
+});
+
+// 2) Built-in registry
+await test('builtin: WeChat URL resolves to wechat then generic', () => {
+  const registry = SiteProfileRegistry.builtin();
+  assert.deepEqual(registry.profilesFor('https://mp.weixin.qq.com/s/abc').map(p => p.name), ['wechat', 'generic']);
+  assert.deepEqual(registry.profilesFor('https://www.mowen.cn/note/1').map(p => p.name), ['mowen', 'generic']);
+  assert.deepEqual(registry.profilesFor('').map(p => p.name), ['wechat', 'generic']);
+});
+
+// 3) Validation reports every problem
+await test('validateProfile: rejects unknown fields and bad selectors', () => {
+  assert.throws(
+    () => validateProfile({ name: 'bad', hosts: [], content: ['div[['], titel: ['h1'], wait: { delay: -1 } }, 'test.json'),
+    (error) => /test\.json: bad/.test(error.message)
+      && /未知字段 titel/.test(error.message)
+      && /hosts/.test(error.message)
+      && /选择器无效: div\[\[/.test(error.message)
+      && /wait\.delay/.test(error.message)
+  );
+});
+
+// 4) Loading a directory: external profiles win over built-ins
+await test('loadSiteProfileRegistry: external profiles override built-ins', async () => {
+  const registry = await loadSiteProfileRegistry({ dir: profilesDir });
+  const names = registry.list().map(p => p.name);
+  assert.ok(names.includes('example-blog'));
+  assert.equal(names.filter(name => name === 'wechat').length, 1);
+  const [wechat] = registry.profilesFor('https://mp.weixin.qq.com/s/abc');
+  assert.deepEqual(wechat.strip, ['.js_uneditable']);
+  assert.match(wechat.source, /wechat-override\.json$/);
+  assert.equal(registry.profilesFor('https://blog.example.com/p/1')[0].name, 'example-blog');
+  // YAML files are loaded the same way as JSON
+  const [docs] = registry.profilesFor('https://docs.example.org/guide');
+  assert.equal(docs.name, 'example-docs');
+  assert.deepEqual(docs.title, ['h1.doc-title', 'meta[property="og:title"]@content']);
+  assert.deepEqual(docs.wait, { selector: '.doc-main', timeout: 3000 });
+  assert.match(docs.source, /example-docs\.yaml$/);
+});
+
+// 5) Duplicate names and invalid files fail at load time
+await test('loadSiteProfileRegistry: duplicate names and invalid JSON/YAML throw', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'site-profiles-'));
+  try {
+    const profile = { name: 'dup', hosts: ['a.com'], content: ['main'] };
+    await fs.writeFile(path.join(dir, 'a.json'), JSON.stringify(profile));
+    await fs.writeFile(path.join(dir, 'b.json'), JSON.stringify(profile));
+    await assert.rejects(loadSiteProfileRegistry({ dir }), /重名: dup/);
+    await fs.writeFile(path.join(dir, 'b.json'), '{ not json');
+    await assert.rejects(loadSiteProfileRegistry({ dir }), /解析失败/);
+    await fs.rm(path.join(dir, 'b.json'));
+    await fs.writeFile(path.join(dir, 'c.yml'), 'name: [unclosed');
+    await assert.rejects(loadSiteProfileRegistry({ dir }), /解析失败 \(.*c\.yml\)/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+// 6) Scraper uses the matched profile for content, metadata, strip and lazy images
+await test('processHtml: applies selectors from an external profile', async () => {
+  const siteProfiles = await loadSiteProfileRegistry({ dir: profilesDir });
+  const scraper = new WeChatArticleScraper(null, { offline: true, siteProfiles });
+  const html = `<html><head><meta property="og:title" content="OG 标题"></head><body>
+    <h1 class="post-title">示例文章</h1>
+    <div class="byline"><span class="name">张三</span></div>
+    <time class="published" datetime="2025-10-29T08:00:00Z">昨天</time>
+    <article>不应使用的通用容器</article>
+    <div class="post-body">
+      <p>正文内容</p>
+      <img src="data:image/svg+xml,placeholder" data-lazy="https://img.example.com/a.png">
+      <div class="share-buttons">分享</div>
+    </div>
+  </body></html>`;
+  const result = await scraper.processHtml({ html, url: 'https://blog.example.com/p/1', formats: ['markdown'] });
+  assert.equal(result.metadata.title, '示例文章');
+  assert.equal(result.metadata.author, '张三');
+  assert.equal(result.metadata.published_date, '2025-10-29T08:00:00.000Z');
+  assert.match(result.data.markdown, /正文内容/);
+  assert.match(result.data.markdown, /https:\/\/img\.example\.com\/a\.png/);
+  assert.doesNotMatch(result.data.markdown, /分享|通用容器/);
+});
+
+console.log(`\nTests finished. Passed: ${passed}, Failed: ${failed}`);
+if (failed > 0) process.exit(1);
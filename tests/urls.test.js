@@ -0,0 +1,121 @@
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { promises as fs } from 'node:fs';
+import { WeChatArticleScraper } from '../scraper.js';
+import {
+  unwrapRedirect,
+  canonicalArticleUrl,
+  parseArticleUrl,
+  articleIdentity,
+  resolveCanonicalIdentity
+} from '../lib/urls.js';
+
+const readFixture = (name) => fs.readFile(fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url)), 'utf-8');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`❌ ${name}: ${err.message}`);
+    failed++;
+  }
+}
+
+// 1) Short links
+await test('short link drops query and hash', () => {
+  assert.deepEqual(parseArticleUrl('http://mp.weixin.qq.com/s/umG_UtpfpEG5riNzfjvpwA?scene=1&chksm=abc#rd'), {
+    type: 'wechat_article',
+    url: 'https://mp.weixin.qq.com/s/umG_UtpfpEG5riNzfjvpwA',
+    id: 'wechat:s:umG_UtpfpEG5riNzfjvpwA'
+  });
+});
+
+// 2) Long links keep only identity params, in a fixed order
+await test('long link keeps __biz/mid/idx/sn only', () => {
+  const parsed = parseArticleUrl('https://mp.weixin.qq.com/s?sn=abc&idx=2&mid=265&__biz=MzA5NjY2Ng==&chksm=xyz&sharer_shareinfo=1&scene=21#wechat_redirect');
+  assert.equal(parsed.type, 'wechat_article');
+  assert.equal(parsed.url, 'https://mp.weixin.qq.com/s?__biz=MzA5NjY2Ng==&mid=265&idx=2&sn=abc');
+  assert.equal(parsed.id, 'wechat:MzA5NjY2Ng==:265:2');
+});
+
+// 3) Legacy /mp/appmsg/show links and HTML-escaped ampersands
+await test('legacy appmsg/show link maps to /s form', () => {
+  const parsed = parseArticleUrl('http://mp.weixin.qq.com/mp/appmsg/show?__biz=MzA5&amp;appmsgid=10&amp;itemidx=1&amp;sign=s1#wechat_redirect');
+  assert.equal(parsed.url, 'https://mp.weixin.qq.com/s?__biz=MzA5&mid=10&idx=1&sn=s1');
+});
+
+// 4) Redirect wrappers
+await test('redirect wrappers are unwrapped', () => {
+  const target = 'https://mp.weixin.qq.com/s/abcDEF123?scene=1';
+  assert.equal(unwrapRedirect(`https://weixin110.qq.com/cgi-bin/mmspamsupport-bin/newredirectconfirmcgi?main_type=2&url=${encodeURIComponent(target)}`), target);
+  assert.equal(unwrapRedirect(`https://link.zhihu.com/?target=${encodeURIComponent(target)}`), target);
+  assert.equal(parseArticleUrl(`https://link.zhihu.com/?target=${encodeURIComponent(target)}`).url, 'https://mp.weixin.qq.com/s/abcDEF123');
+  assert.equal(unwrapRedirect('https://example.com/?url=https://other.com'), 'https://example.com/?url=https://other.com');
+});
+
+// 5) Albums and other pages
+await test('album and generic URLs', () => {
+  const album = parseArticleUrl('https://mp.weixin.qq.com/mp/appmsgalbum?__biz=MzA5&action=getalbum&album_id=123456789&scene=173#wechat_redirect');
+  assert.equal(album.type, 'wechat_album');
+  assert.equal(album.id, 'wechat:album:123456789');
+  assert.ok(!album.url.includes('scene'));
+  assert.deepEqual(parseArticleUrl('https://example.com/post?b=2&utm_source=x&a=1#top'), {
+    type: 'web',
+    url: 'https://example.com/post?a=1&b=2',
+    id: 'https://example.com/post?a=1&b=2'
+  });
+  // WeChat tracking names can select the page on other sites: only utm_* and the hash are dropped
+  const docs = parseArticleUrl('https://docs.example.com/guide?version=2&utm_medium=feed&lang=en&from=nav&key=abc#install');
+  assert.equal(docs.url, 'https://docs.example.com/guide?from=nav&key=abc&lang=en&version=2');
+  assert.notEqual(articleIdentity('https://docs.example.com/guide?lang=en'), articleIdentity('https://docs.example.com/guide?lang=zh'));
+});
+
+// 6) Temporary links have no __biz/mid: keyed by the normalized full URL
+await test('temporary link without __biz/mid', () => {
+  const temporary = 'https://mp.weixin.qq.com/s?src=11&timestamp=1730000000&ver=5600&signature=abc*def-&new=1';
+  const expected = 'https://mp.weixin.qq.com/s?new=1&signature=abc*def-&src=11&timestamp=1730000000&ver=5600';
+  assert.deepEqual(parseArticleUrl(`${temporary}&scene=1&chksm=xyz#rd`), { type: 'wechat_article', url: expected, id: expected });
+  assert.equal(articleIdentity(temporary), expected);
+  assert.equal(resolveCanonicalIdentity({ biz: 'MzA5', mid: '265', idx: '1', sn: 'abc' }, temporary).article_id, 'wechat:MzA5:265:1');
+  assert.deepEqual(resolveCanonicalIdentity({}, temporary), { canonical_url: expected, article_id: expected });
+});
+
+// 7) Invalid input
+await test('invalid and unsupported URLs throw', () => {
+  assert.throws(() => parseArticleUrl('not a url'), /无效的 URL/);
+  assert.throws(() => parseArticleUrl('ftp://example.com/a'), /http\(s\)/);
+  assert.throws(() => parseArticleUrl('https://mp.weixin.qq.com/s?scene=1&chksm=abc#rd'), /__biz\/mid/);
+  assert.throws(() => parseArticleUrl('https://mp.weixin.qq.com/mp/profile_ext?action=home'), /不支持的微信页面/);
+});
+
+// 8) Canonical identity after loading the page
+await test('resolveCanonicalIdentity prefers page params', () => {
+  assert.deepEqual(resolveCanonicalIdentity({ biz: 'MzA5', mid: '265', idx: '', sn: 'abc' }, 'https://mp.weixin.qq.com/s/short'), {
+    canonical_url: 'https://mp.weixin.qq.com/s?__biz=MzA5&mid=265&idx=1&sn=abc',
+    article_id: 'wechat:MzA5:265:1'
+  });
+  assert.deepEqual(resolveCanonicalIdentity({}, '', 'https://mp.weixin.qq.com/s/short?scene=1'), {
+    canonical_url: 'https://mp.weixin.qq.com/s/short',
+    article_id: 'wechat:s:short'
+  });
+  assert.equal(canonicalArticleUrl({ mid: '1' }), '');
+});
+
+// 9) Short link and long link of the same page share article_id
+await test('processHtml exposes canonical_url and article_id', async () => {
+  const scraper = new WeChatArticleScraper(null, { offline: true });
+  const html = await readFixture('wechat-article.html');
+  const viaShort = await scraper.processHtml({ html, url: 'https://mp.weixin.qq.com/s/shortCode123' });
+  const viaLong = await scraper.processHtml({ html });
+  assert.equal(viaShort.metadata.canonical_url, 'https://mp.weixin.qq.com/s?__biz=MzA5NjY2NjY2Ng==&mid=2650000001&idx=1&sn=0123456789abcdef0123456789abcdef');
+  assert.equal(viaShort.metadata.article_id, 'wechat:MzA5NjY2NjY2Ng==:2650000001:1');
+  assert.equal(viaLong.metadata.article_id, viaShort.metadata.article_id);
+});
+
+console.log(`\nTests finished. Passed: ${passed}, Failed: ${failed}`);
+if (failed > 0) process.exit(1);
@@ -0,0 +1,125 @@
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { promises as fs } from 'node:fs';
+import { WeChatArticleScraper } from '../scraper.js';
+import { slugify, notePath, buildFrontMatter, splitNote, exportToVault } from '../lib/vault.js';
+
+const fixturePath = fileURLToPath(new URL('./fixtures/wechat-article.html', import.meta.url));
+const scraper = new WeChatArticleScraper(null, { offline: true });
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`❌ ${name}: ${err.message}`);
+    failed++;
+  }
+}
+
+const withVault = async (fn) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vault-'));
+  try {
+    await fn(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+};
+
+const result = await scraper.processHtml({ filePath: fixturePath, formats: ['markdown'] });
+
+// 1) File naming
+await test('slugify and notePath: <account>/<date>-<slug>.md', () => {
+  assert.equal(slugify('示例文章：用 Node.js 抓取公众号'), '示例文章-用-node.js-抓取公众号');
+  assert.equal(slugify('  A/B  测试 #1 [草稿]  '), 'a-b-测试-1-草稿');
+  assert.equal(slugify('../..'), '');
+  assert.equal(notePath(result), '示例技术号/2025-10-29-示例文章-用-node.js-抓取公众号.md');
+  // Published at 2025-10-29 23:30 Beijing time is still the 29th
+  assert.match(notePath({ ...result, metadata: { ...result.metadata, published_date: '2025-10-29T15:30:00.000Z' } }), /\/2025-10-29-/);
+});
+
+// 2) Front matter is valid YAML with quoted strings and lists
+await test('buildFrontMatter: quotes strings, lists arrays, skips empty values', () => {
+  assert.equal(
+    buildFrontMatter({ title: 'a: "b"', tags: ['x', 'y'], empty: '', none: [] }),
+    'title: "a: \\"b\\""\ntags:\n  - "x"\n  - "y"\nnone: []'
+  );
+});
+
+// 3) First export creates the note with front matter and body
+await test('exportToVault: creates note with front matter', () => withVault(async (vaultDir) => {
+  const saved = await exportToVault(result, { vaultDir, tags: ['wechat'] });
+  assert.deepEqual(saved, { path: '示例技术号/2025-10-29-示例文章-用-node.js-抓取公众号.md', status: 'created', attachments: 0 });
+  const text = await fs.readFile(path.join(vaultDir, saved.path), 'utf-8');
+  const { fields, body } = splitNote(text);
+  assert.equal(fields.get('title'), 'title: "示例文章：用 Node.js 抓取公众号"');
+  assert.equal(fields.get('author'), 'author: "张三"');
+  assert.equal(fields.get('account'), 'account: "示例技术号"');
+  assert.equal(fields.get('source'), `source: "${result.metadata.canonical_url}"`);
+  assert.equal(fields.get('published'), 'published: "2025-10-29T08:21:00.000Z"');
+  assert.equal(fields.get('tags'), 'tags:\n  - "wechat"');
+  assert.match(fields.get('scraped_at'), /^scraped_at: "\d{4}-/);
+  assert.equal(fields.get('article_id'), 'article_id: "wechat:MzA5NjY2NjY2Ng==:2650000001:1"');
+  assert.match(body, /^第一段正文/);
+}));
+
+// 4) Re-scraping updates the note in place, even after it was moved and edited by hand
+await test('exportToVault: re-export updates the existing note in place', () => withVault(async (vaultDir) => {
+  const first = await exportToVault(result, { vaultDir, tags: ['wechat'] });
+  const moved = path.join(vaultDir, 'Inbox', 'my-note.md');
+  await fs.mkdir(path.dirname(moved), { recursive: true });
+  const edited = (await fs.readFile(path.join(vaultDir, first.path), 'utf-8'))
+    .replace('tags:\n  - "wechat"', 'tags: [wechat, reading]\nstatus: "to-read"');
+  await fs.writeFile(moved, edited);
+  await fs.rm(path.join(vaultDir, first.path));
+
+  const retitled = { ...result, metadata: { ...result.metadata, title: '新标题' }, data: { markdown: '更新后的正文' } };
+  const second = await exportToVault(retitled, { vaultDir, tags: ['node'] });
+  assert.deepEqual(second, { path: 'Inbox/my-note.md', status: 'updated', attachments: 0 });
+  const { fields, body } = splitNote(await fs.readFile(moved, 'utf-8'));
+  assert.equal(fields.get('title'), 'title: "新标题"');
+  assert.equal(fields.get('status'), 'status: "to-read"');
+  assert.equal(fields.get('tags'), 'tags:\n  - "wechat"\n  - "reading"\n  - "node"');
+  assert.equal(body.trim(), '更新后的正文');
+  const notes = (await fs.readdir(vaultDir, { recursive: true })).filter(name => name.endsWith('.md'));
+  assert.equal(notes.length, 1);
+}));
+
+// 5) A different article with the same title and date does not overwrite the note
+await test('exportToVault: same name for another article gets a suffix', () => withVault(async (vaultDir) => {
+  const first = await exportToVault(result, { vaultDir });
+  const other = { ...result, metadata: { ...result.metadata, article_id: 'wechat:other:1:1' } };
+  const second = await exportToVault(other, { vaultDir });
+  assert.equal(second.status, 'created');
+  assert.equal(second.path, first.path.replace(/\.md$/, '-2.md'));
+}));
+
+// 6) Localized images go to attachments/ next to the note
+await test('saveToVault: writes attachments and rewrites image paths', () => withVault(async (vaultDir) => {
+  const png = Buffer.from('89504e470d0a1a0a', 'hex');
+  const withAssets = {
+    ...result,
+    data: { markdown: '![架构图](assets/abc.png)\n\n正文' },
+    assets: [{ file: 'assets/abc.png', url: 'https://mmbiz.qpic.cn/a.png', data: png.toString('base64') }],
+  };
+  const saved = await scraper.saveToVault(withAssets, vaultDir);
+  assert.equal(saved.attachments, 1);
+  const noteDir = path.join(vaultDir, path.dirname(saved.path));
+  assert.deepEqual(await fs.readFile(path.join(noteDir, 'attachments', 'abc.png')), png);
+  assert.match(await fs.readFile(path.join(vaultDir, saved.path), 'utf-8'), /!\[架构图\]\(attachments\/abc\.png\)/);
+}));
+
+// 7) Markdown is required
+await test('exportToVault: requires markdown and a vault directory', async () => {
+  await assert.rejects(exportToVault(result, {}), /VAULT_DIR/);
+  await assert.rejects(exportToVault({ ...result, data: { html: '<p>x</p>' } }, { vaultDir: os.tmpdir() }), /markdown/);
+});
+
+console.log(`\nTests finished. Passed: ${passed}, Failed: ${failed}`);
+if (failed > 0) process.exit(1);